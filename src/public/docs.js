@@ -0,0 +1,84 @@
+// Renders /api/openapi.json with DOM calls only: the content security policy
+// forbids inline scripts and styles, so nothing is injected as HTML.
+
+const element = (tag, properties = {}, children = []) => {
+  const node = Object.assign(document.createElement(tag), properties);
+  node.append(...children);
+  return node;
+};
+
+const schemaName = schema => (schema && schema.$ref ? schema.$ref.split('/').pop() : '');
+
+const schemaLink = schema =>
+  schemaName(schema)
+    ? element('a', { href: `#schema-${schemaName(schema)}`, textContent: schemaName(schema) })
+    : element('code', { textContent: JSON.stringify(schema) });
+
+const parametersTable = parameters =>
+  element('table', {}, [
+    element('tr', {}, ['Name', 'In', 'Required', 'Description'].map(text => element('th', { textContent: text }))),
+    ...parameters.map(parameter =>
+      element('tr', {}, [
+        element('td', {}, [element('code', { textContent: parameter.name })]),
+        element('td', { textContent: parameter.in }),
+        element('td', { textContent: parameter.required ? 'yes' : '' }),
+        element('td', { textContent: parameter.description || '' })
+      ])
+    )
+  ]);
+
+const responsesTable = responses =>
+  element('table', {}, [
+    element('tr', {}, ['Status', 'Description', 'Content'].map(text => element('th', { textContent: text }))),
+    ...Object.entries(responses).map(([status, response]) =>
+      element('tr', {}, [
+        element('td', { textContent: status }),
+        element('td', { textContent: response.description }),
+        element('td', {}, Object.keys(response.content || {}).map(type => element('div', { textContent: type })))
+      ])
+    )
+  ]);
+
+const operationSection = (path, method, operation) => {
+  const id = `${method}-${path}`.replace(/[^\w-]/g, '_');
+  const body = operation.requestBody && operation.requestBody.content['application/json'];
+  document.getElementById('operations').append(
+    element('a', { href: `#${id}` }, [element('span', { className: `method method-${method}`, textContent: method }), path])
+  );
+  return element('article', { id, className: 'operation' }, [
+    element('h3', {}, [element('span', { className: `method method-${method}`, textContent: method }), element('code', { textContent: path })]),
+    element('p', { textContent: operation.summary || '' }),
+    ...(operation.description ? [element('p', { textContent: operation.description })] : []),
+    ...(operation.parameters ? [element('h4', { textContent: 'Parameters' }), parametersTable(operation.parameters)] : []),
+    ...(body ? [element('h4', { textContent: 'Request body' }), schemaLink(body.schema)] : []),
+    element('h4', { textContent: 'Responses' }),
+    responsesTable(operation.responses || {})
+  ]);
+};
+
+fetch('/api/openapi.json')
+  .then(res => res.json())
+  .then(spec => {
+    document.title = `${spec.info.title} ${spec.info.version} - API`;
+    document.getElementById('title').textContent = `${spec.info.title} API ${spec.info.version}`;
+    document.getElementById('description').textContent = spec.info.description;
+
+    Object.entries(spec.paths).forEach(([path, methods]) =>
+      Object.entries(methods).forEach(([method, operation]) =>
+        document.getElementById('paths').append(operationSection(path, method, operation))
+      )
+    );
+
+    document.getElementById('schemas').append(
+      element('h2', { textContent: 'Schemas' }),
+      ...Object.entries(spec.components.schemas).map(([name, schema]) =>
+        element('article', { id: `schema-${name}` }, [
+          element('h3', { textContent: name }),
+          element('pre', { textContent: JSON.stringify(schema, null, 2) })
+        ])
+      )
+    );
+  })
+  .catch(error => {
+    document.getElementById('paths').textContent = `Could not load the API document: ${error.message}`;
+  });
@@ -20,3 +20,32 @@ document.getElementById('testForm').addEventListener('submit', e => {
       document.getElementById('jsonResult').innerText = JSON.stringify(data);
     });
 });
+
+// Suggest symbols from /api/symbols while a stock field is being typed in.
+// A newer query aborts the search still in flight, so stale suggestions never replace fresh ones.
+let symbolSearch;
+let symbolController;
+document.querySelectorAll('input[name="stock"]').forEach(input => {
+  input.addEventListener('input', e => {
+    const query = e.target.value.trim();
+    clearTimeout(symbolSearch);
+    symbolController?.abort();
+    if (!query) return;
+    symbolSearch = setTimeout(() => {
+      const controller = symbolController = new AbortController();
+      fetch(`/api/symbols?q=${encodeURIComponent(query)}&limit=8`, { signal: controller.signal })
+        .then(res => res.json())
+        .then(data => {
+          if (controller.signal.aborted) return;
+          const options = (data.symbols || []).map(entry =>
+            Object.assign(document.createElement('option'), {
+              value: entry.stock,
+              label: entry.exchange ? `${entry.name} (${entry.exchange})` : entry.name
+            })
+          );
+          document.getElementById('symbols').replaceChildren(...options);
+        })
+        .catch(() => {});
+    }, 200);
+  });
+});
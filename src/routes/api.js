@@ -1,6 +1,8 @@
 
 const Routes = require(`../scripts/manager/routes.js`);
 const OutputProcessor = require(`../scripts/net/incoming/input-output.js`).OutputProcessor;
+const openapi = require(`../scripts/net/incoming/openapi.js`);
+const WebSocketServer = require(`ws`).WebSocketServer;
 
 const routes = new Routes();
 
@@ -8,8 +10,8 @@ module.exports = function (app) {
 	/**
 	 * Register API routes on the provided Express application.
 	 *
-	 * Wires a GET handler for '/api/stock-prices' that delegates to the Routes adapter
-	 * and formats results/errors through the OutputProcessor before sending JSON.
+	 * Wires GET and DELETE handlers for '/api/stock-prices' that delegate to the Routes adapter
+	 * and format results/errors through the OutputProcessor before sending JSON with the matching HTTP status.
 	 *
 	 * @param {import('express').Application} app - Express application instance to register routes on.
 	 * @returns {void}
@@ -21,17 +23,438 @@ module.exports = function (app) {
 			 *
 			 * - Accepts query parameter `stock` which may be a string or an array of strings.
 			 * - Recognizes watch-like flags (`like`, `watch`) in the query to trigger watch behaviour.
-			 * - Uses req.ip to identify the requester when registering watchers.
-			 * - Uses OutputProcessor to convert manager results or known errors into response payloads.
+			 * - Accepts `fields` (comma-separated StockQuote field names, e.g. `change,open`) or `full=true` to add quote fields to each stockData; the default shape is unchanged.
+			 * - Accepts `currency` (ISO 4217 code, e.g. `EUR`) to convert the prices with the local exchange rate table; each stockData then holds `currency`, `rate` and `rateTimestamp`. DELETE accepts it too.
+			 * - Renders CSV or NDJSON instead of JSON when asked through `format=csv|ndjson` or the `Accept` header (`text/csv`, `application/x-ndjson`); errors become a single `error,status,detail` record. The other routes negotiate the same way.
+			 * - Identifies the requester through the configured identity strategies (IP address, API key or bearer token) when registering watchers.
+			 * - Uses OutputProcessor to convert manager results or known errors into response payloads and HTTP statuses (404 unknown symbol, 400 invalid input, 429 rate limited with `Retry-After`, 502/503/504 upstream failures).
+			 * - Sends RFC 7807 problem details instead of `{error: ...}` when the client accepts `application/problem+json`.
 			 *
 			 * @param {import('express').Request} req - Request object (request body): contains query parameters and client IP.
 			 * @param {import('express').Response} res - Response object (response body): used to send the JSON payload (res.json).
 			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
 			 */
-      		let output = new OutputProcessor();
+      		let output = new OutputProcessor().negotiate(req);
 			let response = await output.execute(() => {
 				return routes.any(req)
 			});
-			res.send(response);
-    });
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+    })
+	.delete(async function (req, res){
+			/**
+			 * Express handler for DELETE /api/stock-prices.
+			 *
+			 * Takes back the requester's like on the stock(s) given in the `stock` query parameter and responds like the GET handler.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.unwatch(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/stock-prices/history')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/stock-prices/history.
+			 *
+			 * - Accepts query parameters `stock` (required), `from` and `to` (optional dates or ISO timestamps).
+			 * - Responds with `{stockData: {stock, history: [...]}}` listing the quotes recorded for the symbol, oldest first.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.history(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/stock-prices/popular')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/stock-prices/popular.
+			 *
+			 * - Accepts optional query parameters `limit` (1-100, default 10), `offset` (default 0), and `from`/`to` to only count likes made within a time window.
+			 * - Responds with `{stockData: [{rank, stock, likes}], total}` without downloading any quote.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.popular(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/stock-prices/stream')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/stock-prices/stream.
+			 *
+			 * - Accepts query parameter `stock` which may be a string or an array of strings.
+			 * - Answers with a `text/event-stream` of `{stockData: {...}}` events: the current data of each symbol, then every fresh quote, with periodic heartbeats.
+			 * - Invalid symbols are reported as a regular (non-stream) error response.
+			 * - The stream is closed when the client disconnects.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters.
+			 * @param {import('express').Response} res - Response object: kept open to stream the events.
+			 * @returns {Promise<void>} Resolves once the initial events have been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let stream;
+			let response = await output.execute(() => {
+				stream = routes.stream(req);
+			});
+			if (!(stream)) {return res.status(output.status).type(output.type).set(output.headers).send(response)};
+
+			req.on(`close`, () => stream.close());
+			await stream.start(res).catch((error) => {
+				console.error(error);
+				stream.close();
+			});
+	});
+
+	app.route('/api/stock-prices/batch')
+	.post(async function (req, res){
+			/**
+			 * Express handler for POST /api/stock-prices/batch.
+			 *
+			 * - Accepts a JSON body listing symbols, optionally flagged with `like` (see Routes.batch).
+			 * - Responds with `{stockData: [...]}` holding, in request order, the stock data of each symbol or the error that prevented it.
+			 * - A malformed body fails the whole request with 400; an unknown symbol only fails its own entry.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.batch(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/symbols')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/symbols.
+			 *
+			 * - Accepts query parameters `q` (ticker, partial ticker or company name; typos are tolerated) and `limit` (1-50, default 10).
+			 * - Responds with `{symbols: [{stock, name, exchange}]}` from the local symbol directory, best match first, without downloading any quote.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.symbols(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/alerts')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/alerts.
+			 *
+			 * - Lists the price alert rules registered by the requester, optionally only those of the `stock` query parameter.
+			 * - Responds with `{alerts: [{id, stock, field, condition, value, armed, created, triggered}]}`.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.alerts(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	})
+	.post(async function (req, res){
+			/**
+			 * Express handler for POST /api/alerts.
+			 *
+			 * - Accepts a JSON body `{stock, condition, value, field?}`: `above`/`below` compare a quote field (default `latestPrice`) with `value`, `change` fires when the quote moved by `value` percent or more since the previous close.
+			 * - Rules are evaluated against every fresh quote; a rule that fires is POSTed to the configured webhook and logged (see GET /api/alerts/deliveries).
+			 * - Responds with `{alerts: [rule]}`; an unknown symbol is reported like GET /api/stock-prices.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.alert(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/alerts/deliveries')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/alerts/deliveries.
+			 *
+			 * - Accepts optional query parameters `alert` (rule id), `status` (`pending`, `delivered`, `failed` or `skipped`) and `limit` (1-1000, default 50).
+			 * - Responds with `{deliveries: [{id, alert, stock, url, status, attempts, payload, created}]}` for the requester's alerts, newest first.
+			 *
+			 * @param {import('express').Request} req - Request object: contains query parameters and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.deliveries(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/alerts/:id')
+	.delete(async function (req, res){
+			/**
+			 * Express handler for DELETE /api/alerts/:id.
+			 *
+			 * Removes one of the requester's alert rules and responds with `{alerts: [rule]}`, or 404 if the requester has no such rule.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the rule id and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.dismiss(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/portfolio')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/portfolio.
+			 *
+			 * - Values the requester's positions against the current quotes.
+			 * - Responds with `{portfolio: [{stock, quantity, basis, price, marketValue, cost, unrealized, unrealizedPercent, dayChange}], total: {marketValue, cost, unrealized, unrealizedPercent, dayChange, dayChangePercent}}`; percentages are fractions, like `changePercent`.
+			 * - Accepts `currency` (ISO 4217 code) to convert the amounts, cost bases included; each position then holds `currency`, `rate` and `rateTimestamp`. POST and DELETE accept it too.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.portfolio(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	})
+	.post(async function (req, res){
+			/**
+			 * Express handler for POST /api/portfolio.
+			 *
+			 * - Accepts a JSON body `{stock, quantity, basis}` (`basis`: average price paid per share) and records it, replacing the position already held in the symbol.
+			 * - Responds with the whole portfolio, like GET /api/portfolio; an unknown symbol is reported like GET /api/stock-prices.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.hold(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/portfolio/:stock')
+	.delete(async function (req, res){
+			/**
+			 * Express handler for DELETE /api/portfolio/:stock.
+			 *
+			 * Closes the requester's position in the symbol and responds with the remaining portfolio, or 404 if the requester holds no such position.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the symbol and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.release(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/watchlists')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/watchlists.
+			 *
+			 * Responds with the requester's named watchlists and their symbols, without quotes: `{watchlists: [{name, stock: [...]}]}`.
+			 * Likes (`like=true`) are kept in the `likes` watchlist; a stock counts as one like however many watchlists hold it.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.watchlists(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	})
+	.post(async function (req, res){
+			/**
+			 * Express handler for POST /api/watchlists.
+			 *
+			 * Accepts a JSON body `{name}` and creates an empty watchlist, responding like GET /api/watchlists; a name already taken is a 400.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.createWatchlist(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/watchlists/:name')
+	.get(async function (req, res){
+			/**
+			 * Express handler for GET /api/watchlists/:name.
+			 *
+			 * Reads every symbol of the watchlist, each on its own like a batch: `{watchlist, stockData: [...]}`, with `{stock, error}` for the symbols that could not be read.
+			 * Accepts the `fields`, `full` and `format` query parameters of GET /api/stock-prices; responds 404 if the requester has no such watchlist.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the watchlist name, query and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.watchlist(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	})
+	.patch(async function (req, res){
+			/**
+			 * Express handler for PATCH /api/watchlists/:name.
+			 *
+			 * Accepts a JSON body `{name}` and renames the watchlist, responding like GET /api/watchlists, or 404 if the requester has no such watchlist.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the watchlist name, JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.renameWatchlist(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	})
+	.delete(async function (req, res){
+			/**
+			 * Express handler for DELETE /api/watchlists/:name.
+			 *
+			 * Deletes the watchlist, responding with the remaining ones like GET /api/watchlists, or 404 if the requester has no such watchlist.
+			 * Its symbols lose a like unless another watchlist holds them.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the watchlist name and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.deleteWatchlist(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/watchlists/:name/stocks')
+	.post(async function (req, res){
+			/**
+			 * Express handler for POST /api/watchlists/:name/stocks.
+			 *
+			 * Accepts a JSON body `{stock}` and adds the symbol to the watchlist, responding with the watchlist like GET /api/watchlists/:name.
+			 * The symbol gains a like if no other watchlist of the requester held it; an unknown symbol is reported like GET /api/stock-prices.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the watchlist name, JSON body and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.include(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/watchlists/:name/stocks/:stock')
+	.delete(async function (req, res){
+			/**
+			 * Express handler for DELETE /api/watchlists/:name/stocks/:stock.
+			 *
+			 * Removes the symbol from the watchlist, responding with the watchlist like GET /api/watchlists/:name, or 404 if the watchlist does not hold it.
+			 * The symbol loses a like unless another watchlist of the requester holds it.
+			 *
+			 * @param {import('express').Request} req - Request object: contains the watchlist name, symbol and client IP.
+			 * @param {import('express').Response} res - Response object: used to send the JSON payload.
+			 * @returns {Promise<void>} Resolves once the JSON response has been sent.
+			 */
+			let output = new OutputProcessor().negotiate(req);
+			let response = await output.execute(() => {
+				return routes.exclude(req)
+			});
+			res.status(output.status).type(output.type).set(output.headers).send(response);
+	});
+
+	app.route('/api/openapi.json')
+	.get(function (req, res){
+			/**
+			 * Express handler for GET /api/openapi.json.
+			 *
+			 * Responds with the OpenAPI 3.1 document of the API, generated from the routes registered on the application and the zod schemas of the data (see scripts/net/incoming/openapi.js).
+			 *
+			 * @param {import('express').Request} req - Request object.
+			 * @param {import('express').Response} res - Response object: used to send the JSON document.
+			 * @returns {void}
+			 */
+			res.json(openapi.document(app));
+	});
+
+	app.route('/api/docs')
+	.get(function (req, res){
+			/**
+			 * Express handler for GET /api/docs.
+			 *
+			 * Serves the documentation page, which renders /api/openapi.json with scripts and styles from /public only, as the content security policy requires.
+			 *
+			 * @param {import('express').Request} req - Request object.
+			 * @param {import('express').Response} res - Response object: used to send the HTML page.
+			 * @returns {void}
+			 */
+			res.sendFile(process.cwd() + '/views/docs.html');
+	});
+};
+
+/**
+ * Accept WebSocket connections on '/api/stock-prices/socket' of the provided HTTP server.
+ *
+ * Each connection is served by the same Routes adapter as the HTTP API (see Routes.socket), so likes made over a socket and over HTTP share their counts.
+ *
+ * @param {import('http').Server} server - HTTP server the Express application listens with.
+ * @returns {WebSocketServer} The WebSocket server.
+ */
+module.exports.sockets = function (server) {
+	const sockets = new WebSocketServer({"server": server, "path": `/api/stock-prices/socket`, "maxPayload": 64 * 1024});
+	sockets.on(`connection`, (socket, req) => routes.socket(socket, req));
+	return sockets;
 };
@@ -0,0 +1,245 @@
+/**
+ * @module config
+ *
+ * Environment-driven configuration, read once when the module is first required.
+ * Every setting is validated through zod so a malformed variable fails at startup instead of at request time.
+ * Empty variables (e.g. `STORAGE=` in a copied sample.env) are treated as unset and fall back to the defaults.
+ */
+const path = require(`path`)
+const crypto = require(`crypto`)
+const z = require(`zod`).z
+const canonicalSymbol = require(`./data/exchange.js`).canonicalSymbol
+
+/**
+ * Read an environment variable, treating empty strings as unset.
+ *
+ * @param {string} name - Name of the environment variable.
+ * @returns {string|undefined} The trimmed value, or undefined when missing or empty.
+ */
+const env = (name) => ((process.env[name] || ``).trim() || undefined)
+
+/**
+ * Configuration schema.
+ *
+ * - storage.type: which storage adapter backs persistent managers (`memory` or `file`)
+ * - storage.directory: directory holding the JSON files of the `file` adapter
+ * - quotes.provider: where quotes come from (`fcc` for the freeCodeCamp proxy, `fixture` for local JSON files)
+ * - quotes.proxy: URL template of the `fcc` provider; `{symbol}` is replaced by the requested symbol
+ * - quotes.fixtures: directory of `<SYMBOL>.json` files served by the `fixture` provider
+ * - quotes.timeout: time in milliseconds a single upstream request may take before it is aborted
+ * - quotes.retries: extra attempts made after a transient failure (network error, timeout or 5xx status)
+ * - quotes.backoff: base delay in milliseconds of the exponential backoff between attempts (with full jitter)
+ * - quotes.threshold: consecutive failures after which the circuit breaker opens and requests fail fast
+ * - quotes.cooldown: time in milliseconds the circuit breaker stays open before a trial request is let through
+ * - quotes.ttl: lifetime of a cached quote in milliseconds (0 keeps quotes until unloaded)
+ * - quotes.stale: serve expired quotes immediately while refreshing them in the background (stale-while-revalidate)
+ * - currencies.rates: JSON file of exchange rates as `{base, timestamp, rates: {<code>: <units per base unit>}}`, used by `currency=`
+ * - currencies.source: currency the quotes are published in upstream
+ * - currencies.refresh: interval in milliseconds at which the rate file is reloaded (0 only loads it at startup)
+ * - symbols.directory: JSON file listing the known symbols as `[{symbol, name, exchange}]`, searched by /api/symbols
+ * - symbols.aliases: symbols resolved to another one before quotes are fetched or likes counted, e.g. old tickers (`FB=META,TWTR=X`); both sides are spelled like requested symbols (`NYSE:FB=meta` is `FB=META`)
+ * - history.limit: largest number of recorded quotes kept per symbol
+ * - stream.heartbeat: interval in milliseconds between heartbeats of the live price stream and socket; subscribed quotes older than half a heartbeat are downloaded again at each one, whatever quotes.ttl
+ * - stream.symbols: largest number of symbols a single WebSocket client may subscribe to at once
+ * - comparison.max: largest number of symbols a single comparison may include
+ * - comparison.baseline: what rel_likes and the other differences are measured against (`others`: mean of the other symbols, `mean`: mean of all symbols, `first`: the first symbol)
+ * - batch.max: largest number of symbols a single batch request may include
+ * - watchlists.max / watchlists.size: largest number of named watchlists an address may create, and of symbols a single watchlist may hold
+ * - limits.reads / limits.likes: requests an address may make per window, with `limit` units (one per symbol) every `window` milliseconds; a limit of 0 disables the bucket
+ * - limits.lookups: symbol directory searches an address may make per window, kept apart from reads so that suggestions while typing do not use up quotes
+ * - limits.store: storage adapter holding the rate limit counters (`memory` or `file`), independently of storage.type
+ * - alerts.webhook: URL every triggered price alert is POSTed to (alerts are only logged when unset)
+ * - alerts.timeout / alerts.retries / alerts.backoff: time limit of a webhook attempt, extra attempts after a transient failure and base backoff delay, in milliseconds
+ * - alerts.max: largest number of alert rules a single watcher may register
+ * - alerts.log: largest number of deliveries kept in the delivery log
+ * - errors.format: default body of error responses (`json` for `{error: …}`, `problem` for RFC 7807 problem details); clients can ask for problem details with `Accept: application/problem+json`
+ * - anonymization.secret: key from which the address hashing salts are derived; random per process when unset, so it is required with the `file` storage type (stored pseudonyms would no longer match after a restart)
+ * - anonymization.rotation: salt lifetime in milliseconds (0 keeps a single salt forever)
+ * - anonymization.ipv4 / anonymization.ipv6: prefix length kept before hashing (32 / 128 keep the whole address)
+ * - identity.strategies: how requesters are identified, tried in order (`ip`, `key`, `token`); `ip` always applies, so it must end the list when present
+ * - identity.proxies: proxies whose `X-Forwarded-For` is trusted by the `ip` strategy (`loopback`, `linklocal`, `uniquelocal`, addresses or CIDR blocks); none by default
+ * - identity.header / identity.keys: header holding the API key and the accepted keys, for the `key` strategy
+ * - identity.secret: HMAC-SHA256 secret signing the bearer tokens (JWT, HS256) of the `token` strategy
+ *
+ * @type {import("zod").ZodType}
+ */
+const Configuration = z.object({
+	"storage": z.object({
+		"type": z.enum([`memory`, `file`]).default(`memory`),
+		"directory": z.string().default(path.join(process.cwd(), `.data`))
+	}),
+	"quotes": z.object({
+		"provider": z.enum([`fcc`, `fixture`]).default(`fcc`),
+		"proxy": z.string().includes(`{symbol}`).default(`https://stock-price-checker-proxy.freecodecamp.rocks/v1/stock/{symbol}/quote`),
+		"fixtures": z.string().default(path.join(process.cwd(), `fixtures`, `quotes`)),
+		"timeout": z.coerce.number().int().gte(1).default(5000),
+		"retries": z.coerce.number().int().gte(0).default(2),
+		"backoff": z.coerce.number().int().gte(0).default(200),
+		"threshold": z.coerce.number().int().gte(1).default(5),
+		"cooldown": z.coerce.number().int().gte(0).default(30000),
+		"ttl": z.coerce.number().int().gte(0).default(0),
+		"stale": z.stringbool().default(false)
+	}),
+	"currencies": z.object({
+		"rates": z.string().default(path.join(process.cwd(), `datasets`, `fx.json`)),
+		"source": z.string().trim().toUpperCase().length(3).default(`USD`),
+		"refresh": z.coerce.number().int().gte(0).default(3600000)
+	}),
+	"symbols": z.object({
+		"directory": z.string().default(path.join(process.cwd(), `datasets`, `symbols.json`)),
+		"aliases": z.string().default(``).transform((list) => Object.fromEntries(
+			list.split(`,`).filter((pair) => pair.trim()).map((pair) => pair.split(`=`).map((symbol) => canonicalSymbol(symbol)))
+		)).pipe(z.record(z.string().min(1), z.string().min(1)))
+	}),
+	"history": z.object({
+		"limit": z.coerce.number().int().gte(1).default(1000)
+	}),
+	"stream": z.object({
+		"heartbeat": z.coerce.number().int().gte(1000).default(15000),
+		"symbols": z.coerce.number().int().gte(1).default(20)
+	}),
+	"comparison": z.object({
+		"max": z.coerce.number().int().gte(2).default(5),
+		"baseline": z.enum([`others`, `mean`, `first`]).default(`others`)
+	}),
+	"batch": z.object({
+		"max": z.coerce.number().int().gte(1).default(20)
+	}),
+	"watchlists": z.object({
+		"max": z.coerce.number().int().gte(1).default(20),
+		"size": z.coerce.number().int().gte(1).default(50)
+	}),
+	"limits": z.object({
+		"buckets": z.object({
+			"reads": z.object({
+				"limit": z.coerce.number().int().gte(0).default(120),
+				"window": z.coerce.number().int().gte(1).default(60000)
+			}),
+			"likes": z.object({
+				"limit": z.coerce.number().int().gte(0).default(10),
+				"window": z.coerce.number().int().gte(1).default(60000)
+			}),
+			"lookups": z.object({
+				"limit": z.coerce.number().int().gte(0).default(120),
+				"window": z.coerce.number().int().gte(1).default(60000)
+			})
+		}),
+		"store": z.enum([`memory`, `file`]).default(`memory`)
+	}),
+	"alerts": z.object({
+		"webhook": z.url().optional(),
+		"timeout": z.coerce.number().int().gte(1).default(5000),
+		"retries": z.coerce.number().int().gte(0).default(3),
+		"backoff": z.coerce.number().int().gte(0).default(1000),
+		"max": z.coerce.number().int().gte(1).default(20),
+		"log": z.coerce.number().int().gte(1).default(1000)
+	}),
+	"errors": z.object({
+		"format": z.enum([`json`, `problem`]).default(`json`)
+	}),
+	"anonymization": z.object({
+		"secret": z.string().min(1).optional(),
+		"rotation": z.coerce.number().int().gte(0).default(0),
+		"ipv4": z.coerce.number().int().gte(0).lte(32).default(32),
+		"ipv6": z.coerce.number().int().gte(0).lte(128).default(128)
+	}),
+	"identity": z.object({
+		"strategies": z.string().default(`ip`).transform((list) => list.split(`,`).map((name) => name.trim().toLowerCase()).filter(Boolean)).pipe(z.array(z.enum([`ip`, `key`, `token`])).min(1)),
+		"proxies": z.string().default(``).transform((list) => list.split(`,`).map((entry) => entry.trim()).filter(Boolean)),
+		"header": z.string().trim().toLowerCase().min(1).default(`x-api-key`),
+		"keys": z.string().default(``).transform((list) => list.split(`,`).map((key) => key.trim()).filter(Boolean)),
+		"secret": z.string().min(1).optional()
+	})
+	.refine((identity) => !(identity.strategies.slice(0, -1).includes(`ip`)), {"message": `The ip strategy always applies, so it must come last.`, "path": [`strategies`]})
+	.refine((identity) => (!(identity.strategies.includes(`key`)) || identity.keys.length), {"message": `The key strategy needs at least one accepted key.`, "path": [`keys`]})
+	.refine((identity) => (!(identity.strategies.includes(`token`)) || identity.secret), {"message": `The token strategy needs a secret.`, "path": [`secret`]})
+})
+.refine((configuration) => ((configuration.storage.type != `file`) || configuration.anonymization.secret), {"message": `The file storage type needs a fixed address secret, or stored pseudonyms stop matching after a restart.`, "path": [`anonymization`, `secret`]})
+.transform((configuration) => ({...configuration, "anonymization": {...configuration.anonymization, "secret": (configuration.anonymization.secret || crypto.randomBytes(32).toString(`hex`))}}))
+
+module.exports = Configuration.parse({
+	"storage": {
+		"type": env(`STORAGE`),
+		"directory": env(`STORAGE_DIRECTORY`)
+	},
+	"quotes": {
+		"provider": env(`QUOTE_PROVIDER`),
+		"proxy": env(`QUOTE_PROXY_URL`),
+		"fixtures": env(`QUOTE_FIXTURES`),
+		"timeout": env(`QUOTE_TIMEOUT`),
+		"retries": env(`QUOTE_RETRIES`),
+		"backoff": env(`QUOTE_BACKOFF`),
+		"threshold": env(`QUOTE_BREAKER_THRESHOLD`),
+		"cooldown": env(`QUOTE_BREAKER_COOLDOWN`),
+		"ttl": env(`QUOTE_TTL`),
+		"stale": env(`QUOTE_STALE_WHILE_REVALIDATE`)
+	},
+	"currencies": {
+		"rates": env(`FX_RATES`),
+		"source": env(`FX_SOURCE`),
+		"refresh": env(`FX_REFRESH`)
+	},
+	"symbols": {
+		"directory": env(`SYMBOL_DIRECTORY`),
+		"aliases": env(`SYMBOL_ALIASES`)
+	},
+	"history": {
+		"limit": env(`HISTORY_LIMIT`)
+	},
+	"stream": {
+		"heartbeat": env(`STREAM_HEARTBEAT`),
+		"symbols": env(`STREAM_SYMBOLS`)
+	},
+	"comparison": {
+		"max": env(`COMPARE_MAX`),
+		"baseline": env(`COMPARE_BASELINE`)
+	},
+	"batch": {
+		"max": env(`BATCH_MAX`)
+	},
+	"watchlists": {
+		"max": env(`WATCHLIST_MAX`),
+		"size": env(`WATCHLIST_SIZE`)
+	},
+	"limits": {
+		"buckets": {
+			"reads": {
+				"limit": env(`READ_LIMIT`),
+				"window": env(`READ_WINDOW`)
+			},
+			"likes": {
+				"limit": env(`LIKE_LIMIT`),
+				"window": env(`LIKE_WINDOW`)
+			},
+			"lookups": {
+				"limit": env(`LOOKUP_LIMIT`),
+				"window": env(`LOOKUP_WINDOW`)
+			}
+		},
+		"store": env(`LIMIT_STORE`)
+	},
+	"alerts": {
+		"webhook": env(`ALERT_WEBHOOK_URL`),
+		"timeout": env(`ALERT_TIMEOUT`),
+		"retries": env(`ALERT_RETRIES`),
+		"backoff": env(`ALERT_BACKOFF`),
+		"max": env(`ALERT_MAX`),
+		"log": env(`ALERT_LOG_LIMIT`)
+	},
+	"errors": {
+		"format": env(`ERROR_FORMAT`)
+	},
+	"anonymization": {
+		"secret": env(`ADDRESS_SECRET`),
+		"rotation": env(`ADDRESS_ROTATION`),
+		"ipv4": env(`ADDRESS_PREFIX_IPV4`),
+		"ipv6": env(`ADDRESS_PREFIX_IPV6`)
+	},
+	"identity": {
+		"strategies": env(`IDENTITY_STRATEGIES`),
+		"proxies": env(`TRUSTED_PROXIES`),
+		"header": env(`API_KEY_HEADER`),
+		"keys": env(`API_KEYS`),
+		"secret": env(`TOKEN_SECRET`)
+	}
+})
@@ -0,0 +1,230 @@
+/**
+ * @module alert
+ *
+ * @constant {import("zod").ZodAny} z - Zod namespace used to build validation schemas.
+ * @constant {typeof StockQuote} StockQuote - Class representing a stock quote entity.
+ */
+const crypto = require(`crypto`)
+const z = require(`zod`).z
+const StockQuote = require(`./stock.js`).StockQuote
+const StockSybmolRegex = require(`./stock.js`).StockSybmolRegex
+
+/**
+ * Numeric StockQuote fields an alert rule can be evaluated against.
+ * @constant {string[]}
+ */
+const AlertFields = [`latestPrice`, `change`, `changePercent`, `close`, `high`, `low`, `open`, `previousClose`, `latestVolume`, `volume`]
+
+/**
+ * Class representing a price alert rule registered by a watcher on a symbol.
+ *
+ * Conditions:
+ * - `above`: `field` of the quote is greater than or equal to `value`;
+ * - `below`: `field` of the quote is lower than or equal to `value`;
+ * - `change`: the quote moved by at least `value` percent since the previous close, either way (`changePercent` is a fraction, so 0.05 is 5 percent); `field` is ignored and `value` must be positive.
+ *
+ * A rule is edge-triggered: once it fired it is disarmed until a quote no longer matches it, so a price staying above a threshold alerts once.
+ *
+ * @class AlertRule
+ * @classdesc Holds a condition on the quotes of a symbol, its owner and its trigger state, and enforces shape via a zod schema.
+ */
+class AlertRule {
+	/**
+	 * Unique identifier of the rule.
+	 * @type {string}
+	 */
+	id;
+
+	/**
+	 * Address (pseudonym) of the watcher owning the rule.
+	 * @type {string}
+	 */
+	address;
+
+	/**
+	 * Symbol the rule applies to.
+	 * @type {string}
+	 */
+	symbol;
+
+	/**
+	 * StockQuote field compared by the `above` and `below` conditions.
+	 * @type {string}
+	 */
+	field = `latestPrice`;
+
+	/**
+	 * Condition of the rule.
+	 * @type {"above"|"below"|"change"}
+	 */
+	condition;
+
+	/**
+	 * Threshold of the condition: a field value, or a percentage for `change`.
+	 * @type {number}
+	 */
+	value;
+
+	/**
+	 * Whether the rule may fire on the next matching quote.
+	 * @type {boolean}
+	 */
+	armed = true;
+
+	/**
+	 * When the rule was registered.
+	 * @type {Date}
+	 */
+	created;
+
+	/**
+	 * When the rule last fired, if ever.
+	 * @type {Date|undefined}
+	 */
+	triggered;
+
+	/**
+	 * Internal validation schema for AlertRule instances.
+	 * @type {import("zod").ZodObject}
+	 * @protected
+	 */
+	_schema = z.object({
+		"id": z.string().min(1).default(() => crypto.randomUUID()),
+		"address": z.coerce.string(),
+		"symbol": StockSybmolRegex,
+		"field": z.enum(AlertFields).default(`latestPrice`),
+		"condition": z.enum([`above`, `below`, `change`]),
+		"value": z.coerce.number().refine(Number.isFinite),
+		"armed": z.boolean().default(true),
+		"created": z.coerce.date().default(() => new Date()),
+		"triggered": z.coerce.date().optional()
+	})
+
+	/**
+	 * Constructs a new AlertRule.
+	 *
+	 * @param {Object} properties - Properties to initialize the rule with; `id` and `created` are generated when missing.
+	 * @throws {ZodError} If the properties are invalid.
+	 */
+	constructor (properties) {
+		// checked apart from _schema, whose fields the OpenAPI document picks from
+		let schema = this._schema.refine((rule) => ((rule.condition != `change`) || (rule.value > 0)), {"message": `A change alert needs a positive percentage.`, "path": [`value`]});
+		Object.assign(this, schema.parse(properties))
+	}
+
+	/**
+	 * Whether a quote satisfies the condition of the rule, regardless of whether the rule is armed.
+	 *
+	 * @param {StockQuote} quote - Quote of the rule's symbol.
+	 * @returns {boolean} True if the condition holds; false when the compared field is missing.
+	 */
+	matches(quote) {
+		z.instanceof(StockQuote).parse(quote);
+		let measured = quote[(this.condition == `change`) ? `changePercent` : this.field];
+		if (measured === null || measured === undefined || Number.isNaN(measured)) {return false};
+
+		(this.condition == `change`) && (measured = Math.abs(measured) * 100);
+		return (this.condition == `below`) ? (measured <= this.value) : (measured >= this.value);
+	}
+}
+
+/**
+ * Class representing the delivery of a triggered alert to the webhook.
+ *
+ * Statuses:
+ * - `pending`: attempts are in progress;
+ * - `delivered`: the webhook accepted the alert;
+ * - `failed`: every attempt failed;
+ * - `skipped`: no webhook is configured, the alert was only logged.
+ *
+ * @class AlertDelivery
+ * @classdesc Holds a triggered alert, where it was sent and the outcome of every attempt.
+ */
+class AlertDelivery {
+	/**
+	 * Unique identifier of the delivery.
+	 * @type {string}
+	 */
+	id;
+
+	/**
+	 * Identifier of the rule that fired.
+	 * @type {string}
+	 */
+	alert;
+
+	/**
+	 * Address (pseudonym) of the watcher owning the rule.
+	 * @type {string}
+	 */
+	address;
+
+	/**
+	 * Symbol of the quote that fired the rule.
+	 * @type {string}
+	 */
+	symbol;
+
+	/**
+	 * Webhook URL the alert was sent to, if any.
+	 * @type {string|undefined}
+	 */
+	url;
+
+	/**
+	 * Outcome of the delivery.
+	 * @type {"pending"|"delivered"|"failed"|"skipped"}
+	 */
+	status = `pending`;
+
+	/**
+	 * Body POSTed to the webhook.
+	 * @type {Object}
+	 */
+	payload = {};
+
+	/**
+	 * Every attempt made: when, the HTTP status received and/or the error met.
+	 * @type {Array<{time: Date, status?: number, error?: string}>}
+	 */
+	attempts = [];
+
+	/**
+	 * When the alert fired.
+	 * @type {Date}
+	 */
+	created;
+
+	/**
+	 * Internal validation schema for AlertDelivery instances.
+	 * @type {import("zod").ZodObject}
+	 * @protected
+	 */
+	_schema = z.object({
+		"id": z.string().min(1).default(() => crypto.randomUUID()),
+		"alert": z.string(),
+		"address": z.coerce.string(),
+		"symbol": z.string(),
+		"url": z.string().optional(),
+		"status": z.enum([`pending`, `delivered`, `failed`, `skipped`]).default(`pending`),
+		"payload": z.object({}).loose().default({}),
+		"attempts": z.array(z.object({"time": z.coerce.date(), "status": z.number().optional(), "error": z.string().optional()})).default([]),
+		"created": z.coerce.date().default(() => new Date())
+	})
+
+	/**
+	 * Constructs a new AlertDelivery.
+	 *
+	 * @param {Object} properties - Properties to initialize the delivery with; `id` and `created` are generated when missing.
+	 * @throws {ZodError} If the properties are invalid.
+	 */
+	constructor (properties) {
+		Object.assign(this, this._schema.parse(properties))
+	}
+}
+
+module.exports = {
+	AlertFields,
+	AlertRule,
+	AlertDelivery
+}
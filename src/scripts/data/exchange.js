@@ -0,0 +1,67 @@
+/**
+ * @module exchange
+ *
+ * Spelling of stock symbols: case, share classes, exchange prefixes and suffixes.
+ */
+
+/**
+ * Exchange codes accepted as a symbol prefix (`LON:VOD`), mapped to the suffix of their listings (`VOD.L`).
+ * US exchanges map to no suffix: their listings are quoted by ticker alone.
+ * @constant {Object.<string, string>}
+ */
+const StockExchanges = {
+	"NASDAQ": ``, "NYSE": ``, "NYSEARCA": ``, "NYSEAMERICAN": ``, "AMEX": ``, "BATS": ``, "OTC": ``,
+	"TYO": `T`, "JPX": `T`,
+	"LON": `L`, "LSE": `L`,
+	"TSX": `TO`, "TSXV": `V`,
+	"ETR": `DE`, "XETRA": `DE`, "FRA": `F`,
+	"EPA": `PA`, "AMS": `AS`, "EBR": `BR`, "BIT": `MI`, "BME": `MC`, "SWX": `SW`,
+	"HKG": `HK`, "HKEX": `HK`, "SHA": `SS`, "SHE": `SZ`, "KRX": `KS`,
+	"ASX": `AX`, "NSE": `NS`, "BOM": `BO`, "BVMF": `SA`, "BMV": `MX`
+}
+
+/**
+ * Exchange suffixes recognized after the last dot of a symbol (`7203.T`); any other dotted suffix is a share class (`BRK.B`).
+ * @constant {Set<string>}
+ */
+const StockExchangeSuffixes = new Set(Object.values(StockExchanges).filter(Boolean))
+
+/**
+ * Bring the spelling of a symbol as typed by a user to its canonical form, without resolving aliases (normalizeSymbol of stock.js resolves them next).
+ * It does not depend on the configuration, so that the configuration can normalize its aliases with it.
+ *
+ * - case is folded and surrounding spaces are trimmed (` aapl ` → `AAPL`);
+ * - share-class separators become a dot (`BRK-B`, `BRK/B`, `BRK B` → `BRK.B`);
+ * - exchange prefixes become the exchange suffix, or are dropped for US exchanges (`TYO:7203` → `7203.T`, `NASDAQ:AAPL` → `AAPL`), while known suffixes are kept (`7203.t` → `7203.T`).
+ *
+ * Values that are neither strings nor numbers are returned untouched, so that validation still rejects them.
+ *
+ * @param {any} symbol - Symbol to normalize.
+ * @returns {string|any} The canonical spelling.
+ */
+function canonicalSymbol(symbol) {
+	if (!((typeof(symbol)).includes(`str`) || (typeof(symbol)).includes(`num`))) {return symbol};
+
+	let text = String(symbol).trim().toUpperCase();
+	let suffix = ``;
+
+	let prefixed = text.match(/^([A-Z]+)\s*:\s*(.+)$/);
+	if (prefixed && Object.keys(StockExchanges).includes(prefixed[1])) {
+		suffix = StockExchanges[prefixed[1]];
+		text = prefixed[2];
+	};
+
+	let suffixed = text.match(/^(.+)\.([A-Z]{1,2})$/);
+	if (!(suffix) && suffixed && StockExchangeSuffixes.has(suffixed[2])) {
+		suffix = suffixed[2];
+		text = suffixed[1];
+	};
+
+	return text.replace(/\s*[-/_\s.]\s*/g, `.`) + ((suffix) ? `.${suffix}` : ``);
+}
+
+module.exports = {
+	StockExchanges,
+	StockExchangeSuffixes,
+	canonicalSymbol
+}
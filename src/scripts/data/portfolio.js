@@ -0,0 +1,116 @@
+/**
+ * @module portfolio
+ *
+ * @constant {import("zod").ZodAny} z - Zod namespace used to build validation schemas.
+ */
+const z = require(`zod`).z
+const StockSybmolRegex = require(`./stock.js`).StockSybmolRegex
+
+/**
+ * Largest quantity and basis a position may hold, so that its cost and values stay finite numbers once multiplied together, by prices or by exchange rates.
+ * @constant {{quantity: number, basis: number}}
+ */
+const PositionLimits = {"quantity": 1e12, "basis": 1e9}
+
+/**
+ * Class representing a position held in a symbol: how many shares and what they cost.
+ *
+ * @class Position
+ * @classdesc Holds a quantity of shares of a symbol and their cost basis, and enforces shape via a zod schema.
+ */
+class Position {
+	/**
+	 * Symbol held.
+	 * @type {string}
+	 */
+	symbol;
+
+	/**
+	 * Number of shares held (fractional shares are allowed), up to PositionLimits.quantity.
+	 * @type {number}
+	 */
+	quantity;
+
+	/**
+	 * Cost basis: average price paid per share, in the currency of the quotes, up to PositionLimits.basis.
+	 * @type {number}
+	 */
+	basis;
+
+	/**
+	 * When the position was first recorded.
+	 * @type {Date}
+	 */
+	opened;
+
+	/**
+	 * When the position was last recorded.
+	 * @type {Date}
+	 */
+	updated;
+
+	/**
+	 * Internal validation schema for Position instances.
+	 * @type {import("zod").ZodObject}
+	 * @protected
+	 */
+	_schema = z.object({
+		"symbol": StockSybmolRegex,
+		"quantity": z.coerce.number().positive().lte(PositionLimits.quantity).refine(Number.isFinite),
+		"basis": z.coerce.number().gte(0).lte(PositionLimits.basis).refine(Number.isFinite),
+		"opened": z.coerce.date().default(() => new Date()),
+		"updated": z.coerce.date().default(() => new Date())
+	})
+
+	/**
+	 * Constructs a new Position.
+	 *
+	 * @param {{symbol: string, quantity: number, basis: number, opened?: Date|string, updated?: Date|string}} properties - Properties to initialize the position with; the dates default to now.
+	 * @throws {ZodError} If the properties are invalid.
+	 */
+	constructor (properties) {
+		Object.assign(this, this._schema.parse(properties))
+	}
+}
+
+/**
+ * Class representing the positions recorded by an address.
+ *
+ * @class Portfolio
+ * @classdesc Holds the positions of an address, at most one per symbol, and enforces shape via a zod schema.
+ */
+class Portfolio {
+	/**
+	 * Address (pseudonym) owning the portfolio.
+	 * @type {string}
+	 */
+	address;
+
+	/**
+	 * Positions, in the order they were opened.
+	 * @type {Position[]}
+	 */
+	positions = [];
+
+	/**
+	 * Internal validation schema for Portfolio instances.
+	 * @type {import("zod").ZodObject}
+	 * @protected
+	 */
+	_schema = z.object({
+		"address": z.coerce.string(),
+		"positions": z.array(z.instanceof(Position)).default([])
+	})
+
+	/**
+	 * Constructs a new Portfolio.
+	 *
+	 * @param {{address: string, positions?: Position[]}} properties - Properties to initialize the portfolio with.
+	 * @throws {ZodError} If the properties are invalid.
+	 */
+	constructor (properties) {
+		Object.assign(this, this._schema.parse(properties))
+	}
+}
+
+module.exports = {Position, Portfolio}
@@ -1,11 +1,30 @@
 // Module imports
 const z = require(`zod`).z
+const config = require(`../config.js`)
+const StockExchanges = require(`./exchange.js`).StockExchanges
+const canonicalSymbol = require(`./exchange.js`).canonicalSymbol
+
+/**
+ * Bring a symbol as typed by a user to its canonical form, the one quotes are fetched and likes are counted under.
+ *
+ * The spelling is made canonical first (see canonicalSymbol: case, share classes and exchanges), then configured aliases, such as old tickers, are resolved (`symbols.aliases`, e.g. `FB` → `META`).
+ *
+ * Values that are neither strings nor numbers are returned untouched, so that validation still rejects them.
+ *
+ * @param {any} symbol - Symbol to normalize.
+ * @param {Object.<string, string>} [aliases] - Canonical symbol of each alias; defaults to the configuration.
+ * @returns {string|any} The canonical symbol.
+ */
+function normalizeSymbol(symbol, aliases = config.symbols.aliases) {
+	let canonical = canonicalSymbol(symbol);
+	return ((typeof(canonical)).includes(`str`)) ? (aliases?.[canonical] ?? canonical) : canonical;
+}
 
 /**
  * Stock symbol validation
- * 1-6 uppercase letters or dot
+ * Normalizes the symbol (see normalizeSymbol), then checks its canonical form: a ticker of 1-7 letters or digits, optionally followed by a share class and/or an exchange suffix, each after a dot (`AAPL`, `BRK.B`, `7203.T`).
  */
-const StockSybmolRegex = z.coerce.string().trim().regex(/^[A-Z.]{1,6}$/)
+const StockSybmolRegex = z.preprocess((symbol) => normalizeSymbol(symbol), z.string().regex(/^[A-Z0-9]{1,7}(\.[A-Z0-9]{1,3}){0,2}$/))
 
 /**
  * Represents a stock quote with various financial data attributes.
@@ -13,8 +32,7 @@ const StockSybmolRegex = z.coerce.string().trim().regex(/^[A-Z.]{1,6}$/)
  */
 class StockQuote {
 	/**
-	 * The stock symbol (e.g., "AAPL" for Apple Inc.).
-	 * Must be 1-6 uppercase letters or a dot.
+	 * The stock symbol (e.g., "AAPL" for Apple Inc.), in its canonical form (see normalizeSymbol).
 	 * @type {string}
 	 */
 	symbol;
@@ -115,7 +133,23 @@ class StockQuote {
 	}
 }
 
+/**
+ * Names of the data fields of a StockQuote, in declaration order.
+ * @constant {string[]}
+ */
+const StockQuoteFields = Object.keys(new StockQuote({"symbol": `A`})._schema.shape)
+
+/**
+ * StockQuote fields holding an amount of money, in the currency of the quote (converted by `currency=`).
+ * @constant {string[]}
+ */
+const StockPriceFields = [`change`, `close`, `high`, `latestPrice`, `low`, `open`, `previousClose`]
+
 module.exports = {
 	StockQuote, 
-	StockSybmolRegex
+	StockQuoteFields,
+	StockPriceFields,
+	StockSybmolRegex,
+	StockExchanges,
+	normalizeSymbol
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * @module symbol
+ *
+ * @constant {import("zod").ZodAny} z - Zod namespace used to build validation schemas.
+ */
+const z = require(`zod`).z
+const StockSybmolRegex = require(`./stock.js`).StockSybmolRegex
+
+/**
+ * Class representing an entry of the symbol directory: a listed ticker, the name of its company and the exchange it trades on.
+ *
+ * @class ListedSymbol
+ * @classdesc Holds a ticker and what it stands for, and enforces shape via a zod schema.
+ */
+class ListedSymbol {
+	/**
+	 * The ticker, as accepted by the quote provider.
+	 * @type {string}
+	 */
+	symbol;
+
+	/**
+	 * Name of the listed company or fund.
+	 * @type {string}
+	 */
+	name;
+
+	/**
+	 * Exchange the symbol trades on (e.g. `NASDAQ`).
+	 * @type {string|undefined}
+	 */
+	exchange;
+
+	/**
+	 * Internal validation schema for ListedSymbol instances.
+	 * @type {import("zod").ZodObject}
+	 * @protected
+	 */
+	_schema = z.object({
+		"symbol": StockSybmolRegex,
+		"name": z.string().trim().min(1),
+		"exchange": z.string().trim().min(1).optional()
+	})
+
+	/**
+	 * Constructs a new ListedSymbol.
+	 *
+	 * @param {{symbol: string, name: string, exchange?: string}} properties - Properties to initialize the entry with.
+	 * @throws {ZodError} If the properties are invalid.
+	 */
+	constructor (properties) {
+		Object.assign(this, this._schema.parse(properties))
+	}
+}
+
+module.exports = ListedSymbol
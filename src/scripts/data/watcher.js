@@ -31,16 +31,50 @@ class Watcher {
 	 */
 	address;
 
+	/**
+	 * When each stock started being watched.
+	 * @name Watcher#since
+	 * @type {Object.<string, Date>}
+	 * @description Map of stock symbol to the time it was added to this watcher; watchers stored before this was tracked may lack entries.
+	 */
+	since = {};
+
+	/**
+	 * The named watchlists of the address.
+	 * @name Watcher#lists
+	 * @type {Object.<string, string[]>}
+	 * @description Map of watchlist name to the symbols it holds, in the order they were added; `stock` holds the union of the lists. Watchers stored before lists existed get their stocks in the default list.
+	 */
+	lists = {};
+
+	/**
+	 * Name of the watchlist a like (`like=true`) adds its stock to.
+	 * @name Watcher.DefaultList
+	 * @type {string}
+	 */
+	static DefaultList = `likes`;
+
+	/**
+	 * Shape of a watchlist name: 1 to 40 letters, digits, spaces, dots, dashes or underscores, trimmed.
+	 * Names of the members every object inherits (`__proto__`, `constructor`, `toString`…) are refused, since the lists are keyed by name.
+	 * @name Watcher.ListName
+	 * @type {import("zod").ZodString}
+	 */
+	static ListName = z.string().trim().min(1).max(40).regex(/^[\w .-]+$/, `A watchlist name may only hold letters, digits, spaces, dots, dashes and underscores.`)
+		.refine((name) => !(name in Object.prototype), `This watchlist name is reserved.`);
+
 	/**
 	 * Internal validation schema for Watcher instances.
 	 * @name Watcher#_schema
 	 * @type {import("zod").ZodObject}
-	 * @description Zod object schema that validates that `stock` is an instance of StockQuote and `address` is a hostname.
+	 * @description Zod object schema that validates that `stock` is an instance of StockQuote, `address` is a hostname and `since` maps symbols to dates and `lists` maps names to symbols.
 	 * @protected
 	 */
 	_schema = z.object({
 		"stock": z.array(z.instanceof(StockQuote)),
-		"address": z.coerce.string()
+		"address": z.coerce.string(),
+		"since": z.record(z.string(), z.coerce.date()).default({}),
+		"lists": z.record(z.string(), z.array(z.string())).default({})
 	})
 
 	/**
@@ -50,10 +84,13 @@ class Watcher {
 	 * @param {Object} properties - Properties to initialize the Watcher.
 	 * @param {StockQuote[]} properties.stock - StockQuote instance to be watched.
 	 * @param {string} properties.address - Hostname associated with the watcher.
+	 * @param {Object.<string, Date|string>} [properties.since] - When each stock started being watched.
+	 * @param {Object.<string, string[]>} [properties.lists] - Named watchlists; defaults to every stock in the default list.
 	 * @returns {Watcher} A newly constructed Watcher instance.
 	 */
 	constructor (properties) {
 		(this._schema.safeParse(properties).success) ? Object.assign(this, this._schema.parse(properties)) : false;
+		(this.stock.length && !(Object.keys(this.lists).length)) && (this.lists = {[Watcher.DefaultList]: this.stock.map((stock) => stock.symbol)});
 	}
 }
 
@@ -0,0 +1,254 @@
+const z = require(`zod`).z
+const NotFoundError = require(`common-errors`).NotFoundError;
+const StockQuote = require(`../data/stock.js`).StockQuote
+const normalizeSymbol = require(`../data/stock.js`).normalizeSymbol
+const AlertRule = require(`../data/alert.js`).AlertRule
+const AlertDelivery = require(`../data/alert.js`).AlertDelivery
+const WebhookSender = require(`../net/outgoing/webhook.js`)
+const Storage = require(`../storage/storage.js`)
+const config = require(`../config.js`)
+
+/**
+ * Convert a data instance into a plain object suitable for JSON storage.
+ *
+ * @param {AlertRule|AlertDelivery} value - The instance to serialize.
+ * @returns {Object} Its public data fields.
+ */
+function plain(value) {
+    return Object.fromEntries(Object.entries(value).filter((record) => !(record[0].startsWith(`_`))));
+}
+
+/**
+ * Manager of the price alert rules registered by watchers and of the delivery of the alerts they trigger.
+ *
+ * Rules are evaluated against every fresh quote (see notify). A rule that fires is delivered by POSTing it, with the quote, to the configured webhook; every delivery and its attempts are kept in a bounded log.
+ *
+ * @class AlertManager
+ */
+class AlertManager {
+    /**
+     * Storage adapter holding the rules, keyed by id.
+     * @private
+     * @type {import('../storage/storage.js').MemoryStorage}
+     */
+    #rules;
+
+    /**
+     * Storage adapter holding the delivery log, keyed by id, oldest first.
+     * @private
+     * @type {import('../storage/storage.js').MemoryStorage}
+     */
+    #deliveries;
+
+    /**
+     * Sender POSTing triggered alerts, when a webhook is configured.
+     * @type {WebhookSender|undefined}
+     */
+    sender;
+
+    /**
+     * Limits.
+     *
+     * - max: largest number of rules a single watcher may register.
+     * - log: largest number of deliveries kept in the log; the oldest ones are dropped first.
+     *
+     * @type {{max: number, log: number}}
+     */
+    options = {"max": config.alerts.max, "log": config.alerts.log};
+
+    /**
+     * Creates a new AlertManager.
+     * @param {Object} [options] - Defaults to the `alerts` configuration.
+     * @param {string} [options.webhook] - URL triggered alerts are POSTed to; alerts are only logged without it.
+     * @param {number} [options.max] - Largest number of rules per watcher.
+     * @param {number} [options.log] - Largest number of deliveries kept.
+     * @param {{rules?: import('../storage/storage.js').MemoryStorage, deliveries?: import('../storage/storage.js').MemoryStorage}} [storages] - Storage adapters to use; default to the ones selected by the configuration.
+     */
+    constructor(options = config.alerts, storages = {}) {
+        this.options = {"max": options?.max ?? this.options.max, "log": options?.log ?? this.options.log};
+        this.sender = (options?.webhook) ? new WebhookSender(options.webhook, options) : undefined;
+        this.#rules = storages?.rules || Storage.create(`alerts`, {"serialize": plain, "deserialize": (record) => new AlertRule(record)});
+        this.#deliveries = storages?.deliveries || Storage.create(`deliveries`, {"serialize": plain, "deserialize": (record) => new AlertDelivery(record)});
+    }
+
+    /**
+     * Return the rules of a watcher and/or a symbol.
+     *
+     * If both parameters are omitted, this returns every rule.
+     *
+     * @param {string} [address] - Address to filter by.
+     * @param {string} [symbol] - Symbol to filter by (normalized, see normalizeSymbol).
+     * @returns {AlertRule[]} The matching rules, oldest first.
+     */
+    search(address = undefined, symbol = undefined) {
+        symbol = normalizeSymbol(symbol);
+        return this.#rules.list().filter((rule) => ((!(address) || rule.address == address) && (!(symbol) || rule.symbol == symbol)));
+    }
+
+    /**
+     * Register a rule for a watcher.
+     *
+     * @param {{symbol: string, condition: string, value: number, field?: string}} properties - Condition of the rule (see AlertRule).
+     * @param {string} address - Address of the watcher.
+     * @returns {AlertRule} The registered rule.
+     * @throws {ZodError} If the rule is invalid, the address is missing or the watcher already has `max` rules.
+     */
+    add(properties, address) {
+        z.string().min(1).parse(address);
+        z.array(z.any()).max(this.options.max - 1, `A watcher may register at most ${this.options.max} alerts.`).parse(this.search(address));
+
+        let rule = new AlertRule({
+            "symbol": properties?.symbol,
+            "field": properties?.field,
+            "condition": properties?.condition,
+            "value": properties?.value,
+            "address": address
+        });
+        this.#rules.put(rule.id, rule);
+        return rule;
+    }
+
+    /**
+     * Remove a rule of a watcher.
+     *
+     * @param {string} id - Identifier of the rule.
+     * @param {string} address - Address of the watcher; rules of other watchers are not found.
+     * @returns {AlertRule} The removed rule.
+     * @throws {NotFoundError} If the watcher has no rule with this id.
+     */
+    remove(id, address) {
+        let rule = this.#rules.get(id);
+        if (!(rule) || !(address) || rule.address != address) {throw new NotFoundError(`alert ${id}`)};
+
+        this.#rules.delete(id);
+        return rule;
+    }
+
+    /**
+     * Move the rules and deliveries of an address to another one (e.g. when the anonymization salt rotates).
+     *
+     * Deliveries are moved even when every rule that made them has since been removed.
+     *
+     * @param {string|undefined} from - Address the rules are registered under.
+     * @param {string} to - Address to register them under.
+     * @returns {boolean} True if a rule or delivery was moved.
+     */
+    rekey(from, to) {
+        if (!(from) || from == to) {return false};
+
+        let rules = this.search(from);
+        rules.forEach((rule) => {
+            rule.address = to;
+            this.#rules.put(rule.id, rule);
+        });
+        let deliveries = this.#deliveries.list().filter((delivery) => (delivery.address == from));
+        deliveries.forEach((delivery) => {
+            delivery.address = to;
+            this.#deliveries.put(delivery.id, delivery);
+        });
+        return Boolean(rules.length || deliveries.length);
+    }
+
+    /**
+     * Evaluate the rules of a symbol against a fresh quote, updating their trigger state.
+     *
+     * @param {StockQuote} quote - The fresh quote.
+     * @param {AlertRule[]} [rules] - Rules to evaluate; defaults to every rule of the quote's symbol.
+     * @returns {AlertRule[]} The rules that fired.
+     */
+    evaluate(quote, rules = undefined) {
+        z.instanceof(StockQuote).parse(quote);
+
+        return (rules || this.search(undefined, quote.symbol)).filter((rule) => (rule.symbol == quote.symbol)).filter((rule) => {
+            let matching = rule.matches(quote);
+            let fired = matching && rule.armed;
+            if (matching == rule.armed) {
+                rule.armed = !(matching);
+                fired && (rule.triggered = new Date());
+                this.#rules.put(rule.id, rule);
+            };
+            return fired;
+        });
+    }
+
+    /**
+     * Evaluate the rules against a fresh quote and deliver the alerts that fired.
+     *
+     * @async
+     * @param {StockQuote} quote - The fresh quote.
+     * @param {AlertRule[]} [rules] - Rules to evaluate; defaults to every rule of the quote's symbol.
+     * @returns {Promise<AlertDelivery[]>} The deliveries, once every attempt is over.
+     */
+    async notify(quote, rules = undefined) {
+        return await Promise.all(this.evaluate(quote, rules).map((rule) => this.deliver(rule, quote)));
+    }
+
+    /**
+     * Deliver a triggered alert to the webhook, logging the delivery and each of its attempts.
+     *
+     * The delivery is logged as `pending` before the first attempt, so it can be followed while retries are in progress.
+     *
+     * @async
+     * @param {AlertRule} rule - The rule that fired.
+     * @param {StockQuote} quote - The quote that fired it.
+     * @returns {Promise<AlertDelivery>} The delivery, with its final status.
+     */
+    async deliver(rule, quote) {
+        let delivery = new AlertDelivery({
+            "alert": rule.id,
+            "address": rule.address,
+            "symbol": rule.symbol,
+            "url": this.sender?.url,
+            "status": (this.sender) ? `pending` : `skipped`,
+            "payload": {
+                "alert": {"id": rule.id, "stock": rule.symbol, "field": rule.field, "condition": rule.condition, "value": rule.value},
+                "quote": plain(quote),
+                "triggered": rule.triggered || new Date()
+            }
+        });
+        this.#log(delivery);
+        if (!(this.sender)) {return delivery};
+
+        try {
+            await this.sender.send(delivery.payload, (attempt) => {
+                delivery.attempts.push(attempt);
+                this.#log(delivery);
+            });
+            delivery.status = `delivered`;
+        } catch(error) {
+            console.error(error);
+            delivery.status = `failed`;
+        };
+        this.#log(delivery);
+        return delivery;
+    }
+
+    /**
+     * Store a delivery in the log, dropping the oldest ones beyond the limit.
+     * @private
+     * @param {AlertDelivery} delivery - The delivery to store.
+     */
+    #log(delivery) {
+        this.#deliveries.put(delivery.id, delivery);
+        this.#deliveries.keys().slice(0, -this.options.log).forEach((id) => this.#deliveries.delete(id));
+    }
+
+    /**
+     * Return logged deliveries, newest first.
+     *
+     * @param {Object} [filters]
+     * @param {string} [filters.address] - Only the deliveries of this watcher.
+     * @param {string} [filters.alert] - Only the deliveries of this rule.
+     * @param {string} [filters.status] - Only the deliveries with this status.
+     * @returns {AlertDelivery[]} The matching deliveries.
+     */
+    log(filters = {}) {
+        return this.#deliveries.list().filter((delivery) => (
+            (!(filters?.address) || delivery.address == filters.address) &&
+            (!(filters?.alert) || delivery.alert == filters.alert) &&
+            (!(filters?.status) || delivery.status == filters.status)
+        )).reverse();
+    }
+}
+
+module.exports = AlertManager
@@ -0,0 +1,132 @@
+const fs = require(`fs`)
+const z = require(`zod`).z
+const StockQuote = require(`../data/stock.js`).StockQuote
+const StockPriceFields = require(`../data/stock.js`).StockPriceFields
+const config = require(`../config.js`)
+
+/**
+ * Shape of an exchange rate table: how many units of each currency one unit of `base` buys, as of `timestamp`.
+ * @constant {import("zod").ZodObject}
+ */
+const ExchangeRateTable = z.object({
+    "base": z.string().trim().toUpperCase().length(3),
+    "timestamp": z.coerce.date(),
+    "rates": z.record(z.string().trim().toUpperCase().length(3), z.number().positive())
+})
+
+/**
+ * Local table of exchange rates converting quotes out of the currency they are published in.
+ *
+ * The table is a JSON file (see ExchangeRateTable) reloaded every `refresh` milliseconds, so that a job can update it without restarting the server.
+ * Rates between two currencies other than the base are crossed through the base.
+ * A table that cannot be read or is invalid leaves the previous one in place.
+ *
+ * @class ExchangeRates
+ */
+class ExchangeRates {
+    /**
+     * The current table; undefined until one was loaded.
+     * @type {{base: string, timestamp: Date, rates: Object.<string, number>}|undefined}
+     */
+    table;
+
+    /**
+     * Path of the rate file.
+     * @type {string}
+     */
+    file;
+
+    /**
+     * Currency the quotes are published in.
+     * @type {string}
+     */
+    source = config.currencies.source;
+
+    /**
+     * Timer reloading the rate file.
+     * @private
+     * @type {NodeJS.Timeout|undefined}
+     */
+    #timer;
+
+    /**
+     * Creates new ExchangeRates and loads the rate file.
+     * @param {Object} [options] - Defaults to the `currencies` configuration.
+     * @param {string} [options.rates] - Path of the rate file.
+     * @param {string} [options.source] - Currency the quotes are published in.
+     * @param {number} [options.refresh] - Reload interval in milliseconds; 0 only loads the file once.
+     */
+    constructor(options = config.currencies) {
+        this.file = options?.rates ?? config.currencies.rates;
+        this.source = options?.source ?? this.source;
+        this.load();
+
+        if (options?.refresh) {
+            this.#timer = setInterval(() => this.load(), options.refresh);
+            this.#timer.unref(); // never keep the process alive
+        };
+    }
+
+    /**
+     * (Re)load the rate file.
+     * @returns {boolean} True if a valid table was loaded.
+     */
+    load() {
+        try {
+            this.table = ExchangeRateTable.parse(JSON.parse(fs.readFileSync(this.file, `utf8`)));
+            return true;
+        } catch(error) {
+            console.error(`Exchange rates ${this.file} could not be loaded: ${error?.message}`);
+            return false;
+        };
+    }
+
+    /**
+     * Currencies quotes can be converted to.
+     * @type {string[]}
+     */
+    get currencies() {
+        return (this.table) ? [...new Set([this.table.base, ...Object.keys(this.table.rates)])] : [this.source];
+    }
+
+    /**
+     * Return the rate converting amounts from the source currency to another one.
+     *
+     * @param {string} currency - ISO 4217 code of the target currency (case-insensitive).
+     * @returns {{code: string, rate: number, timestamp: Date|undefined}} The rate, with the time of the table it comes from.
+     * @throws {ZodError} If the currency (or the source currency) is not in the table.
+     */
+    rate(currency) {
+        let code = z.string().trim().toUpperCase().pipe(z.enum(this.currencies, `Unknown currency; expected one of ${this.currencies.join(`, `)}.`)).parse(currency);
+        if (code == this.source) {return {"code": code, "rate": 1, "timestamp": this.table?.timestamp}};
+
+        const units = (name) => ((name == this.table.base) ? 1 : this.table.rates[name]);
+        z.enum(this.currencies, `The rate table does not hold the source currency ${this.source}.`).parse(this.source);
+        return {"code": code, "rate": units(code) / units(this.source), "timestamp": this.table.timestamp};
+    }
+
+    /**
+     * Convert the money fields of a quote (see StockPriceFields).
+     *
+     * @param {StockQuote} quote - Quote in the source currency.
+     * @param {{rate: number}} rate - Rate returned by `rate()`.
+     * @returns {StockQuote} A converted copy of the quote; the original is left untouched.
+     */
+    convert(quote, rate) {
+        z.instanceof(StockQuote).parse(quote);
+        let properties = Object.fromEntries(Object.entries(quote).filter((record) => !(record[0].startsWith(`_`))));
+        StockPriceFields.filter((field) => ((typeof(properties[field])).includes(`num`))).forEach((field) => {
+            properties[field] = Math.round(properties[field] * rate.rate * 10000) / 10000;
+        });
+        return new StockQuote(properties);
+    }
+
+    /**
+     * Stop reloading the rate file.
+     */
+    close() {
+        clearInterval(this.#timer);
+    }
+}
+
+module.exports = ExchangeRates
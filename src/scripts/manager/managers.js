@@ -1,8 +1,20 @@
 const z = require(`zod`).z
+const EventEmitter = require(`events`).EventEmitter;
 const StockManager = require(`./stockmanager.js`);
 const StockWatchers = require(`./stockwatcher.js`);
+const StockHistory = require(`./stockhistory.js`);
+const StockPortfolios = require(`./stockportfolios.js`);
+const AlertManager = require(`./alertmanager.js`);
+const SymbolDirectory = require(`./symboldirectory.js`);
+const ExchangeRates = require(`./exchangerates.js`);
+const AlertRule = require(`../data/alert.js`).AlertRule
+const AlertDelivery = require(`../data/alert.js`).AlertDelivery
 const StockQuote = require(`../data/stock.js`).StockQuote
+const StockSybmolRegex = require(`../data/stock.js`).StockSybmolRegex
 const Watcher = require(`../data/watcher.js`);
+const ListedSymbol = require(`../data/symbol.js`);
+const Position = require(`../data/portfolio.js`).Position
+const config = require(`../config.js`);
 
 /**
  * Container for the result of manager operations.
@@ -48,14 +60,22 @@ class ManagersResult {
      */
     set watchers(watchers) {this.#watchers = z.array(z.instanceof(Watcher)).parse(watchers)};
 
+    /**
+     * Currency the prices of the stocks were converted to, with the rate used and the time of the rate table; undefined when they are in the upstream currency.
+     * @type {{code: string, rate: number, timestamp: Date|undefined}|undefined}
+     */
+    currency;
+
     /**
      * Create a ManagersResult.
      * @param {StockQuote|Object.<string, StockQuote>} [stocks] - Initial stock or stocks map.
      * @param {Watcher[]} [watchers] - Initial array of watchers.
+     * @param {{code: string, rate: number, timestamp: Date|undefined}} [currency] - Currency the prices were converted to.
      */
-    constructor(stocks = undefined, watchers = undefined) {
+    constructor(stocks = undefined, watchers = undefined, currency = undefined) {
         stocks && (this.stocks = stocks);
         watchers && (this.watchers = watchers);
+        currency && (this.currency = z.object({"code": z.string(), "rate": z.number().positive(), "timestamp": z.date().optional()}).parse(currency));
     };
 };
 
@@ -71,50 +91,67 @@ class ManagersComparisonResult {
      * @type {Object.<string, ManagersResult>}
      */
     data = {};
+
+    /**
+     * What each entry is compared against.
+     * - `others`: the mean of the other entries (with two entries, the other entry, as the freeCodeCamp rel_likes expects)
+     * - `mean`: the mean of all entries
+     * - `first`: the first entry
+     * @type {"others"|"mean"|"first"}
+     */
+    baseline = config.comparison.baseline;
     
     /**
      * Construct a ManagersComparisonResult.
      * Accepts a loose object validated by zod before assignment.
      * @param {Object.<string, ManagersResult>} [data]
+     * @param {"others"|"mean"|"first"} [baseline] - What each entry is compared against; defaults to the configuration.
      */
-    constructor(data = undefined) {
+    constructor(data = undefined, baseline = undefined) {
         z.object({}).loose().safeParse(data).success && (this.data = data);
+        baseline && (this.baseline = z.enum([`others`, `mean`, `first`]).parse(baseline));
     };
 
     /**
-     * Compute comparison metrics between the stored ManagersResult entries.
-     * - watchers: difference in watcher counts between adjacent entries
-     * - stocks: numeric differences in stock values between adjacent entries (only numeric fields)
+     * Compute the baseline a value is compared against.
+     * @private
+     * @param {number[]} values - The values of every entry, in order.
+     * @param {number} index - Position of the entry being compared.
+     * @returns {number} The baseline value for that entry.
+     */
+    #reference(values, index) {
+        const mean = (list) => (list.reduce((total, value) => (total + value), 0) / list.length);
+
+        switch (this.baseline) {
+            case `first`:
+                return values[0];
+            case `mean`:
+                return mean(values);
+            default:
+                return (values.length > 1) ? mean(values.filter((value, position) => (position != index))) : values[index];
+        };
+    };
+
+    /**
+     * Compute comparison metrics between the stored ManagersResult entries, each measured against the baseline.
+     * - watchers: difference between the watcher count of each entry and the baseline
+     * - stocks: differences between the numeric (or date) stock values of each entry and the baseline; fields missing from any entry are skipped
      * @type {{watchers: Object.<string, number>, stocks: Object.<string, Object.<string, number>>}}
      */
     get comparison() {
         const popular = () => {
-            let difference = {};
-            for (let index = 0; index < Object.entries(this.data).length; index++) {
-                difference[Object.keys(this.data)[index]] = Object.values(this.data).slice(-(1 - index), index ? -index : undefined)[0].watchers.length - Object.values(this.data)[index].watchers.length;
-            };
-            return (difference);
+            let counts = Object.values(this.data).map((result) => result.watchers.length);
+            return Object.fromEntries(this.names.map((name, index) => [name, counts[index] - this.#reference(counts, index)]));
         };
 
         const differences = () => {
-            let difference = {};
-            for (let index = 0; index < Object.entries(this.data).length; index++) {
-                difference[Object.keys(this.data)[index]] = Object.fromEntries(
-                    (() => {
-                        let comparisons = []
-                        Object.keys(this.names).forEach((name) => {
-                            [Object.values(this.data)[index].stocks[name], Object.values(this.data).slice(-(1 - index), index ? -index : undefined)[0].stocks[name]].every((value) => ((typeof(value)).includes(`num`) || value instanceof Date))
-                                ? comparisons.push([name, 
-                                    Object.values(this.data).slice(-(1 - index), index ? -index : undefined)[0].stocks[name] - Object.values(this.data)[index].stocks[name]
-                                ])
-                                : false;
-                        });
-
-                        return comparisons;
-                    })()
-                );
-            };
-            return difference;
+            let stocks = Object.values(this.data).map((result) => result.stocks);
+            let fields = [...new Set(stocks.flatMap((stock) => Object.keys(stock)))].filter((field) => stocks.every((stock) => ((typeof(stock[field])).includes(`num`) || stock[field] instanceof Date)));
+
+            return Object.fromEntries(this.names.map((name, index) => [name, Object.fromEntries(fields.map((field) => {
+                let values = stocks.map((stock) => Number(stock[field]));
+                return [field, values[index] - this.#reference(values, index)];
+            }))]));
         };
 
         return {
@@ -132,9 +169,302 @@ class ManagersComparisonResult {
     };
 }
 
+/**
+ * Result of a batch of independent reads, where each symbol succeeds or fails on its own.
+ *
+ * @class ManagersBatchResult
+ */
+class ManagersBatchResult {
+    /**
+     * One entry per requested symbol, in request order: either the ManagersResult or the error that prevented it.
+     * @type {Array<{symbol: string, result?: ManagersResult, error?: Error}>}
+     */
+    entries = [];
+
+    /**
+     * Construct a ManagersBatchResult.
+     * @param {Array<{symbol: string, result?: ManagersResult, error?: Error}>} [entries]
+     */
+    constructor(entries = undefined) {
+        entries && (this.entries = z.array(z.object({
+            "symbol": z.any(),
+            "result": z.instanceof(ManagersResult).optional(),
+            "error": z.any().optional()
+        })).parse(entries));
+    };
+
+    /**
+     * Entries that failed.
+     * @type {Array<{symbol: string, error: Error}>}
+     * @readonly
+     */
+    get failed() {
+        return this.entries.filter((entry) => entry.error);
+    };
+}
+
+/**
+ * Result of reading every symbol of a named watchlist; like a batch, each symbol succeeds or fails on its own.
+ *
+ * @class ManagersWatchlistResult
+ * @extends ManagersBatchResult
+ */
+class ManagersWatchlistResult extends ManagersBatchResult {
+    /**
+     * Name of the watchlist.
+     * @type {string}
+     */
+    name;
+
+    /**
+     * Construct a ManagersWatchlistResult.
+     * @param {string} [name] - Name of the watchlist.
+     * @param {Array<{symbol: string, result?: ManagersResult, error?: Error}>} [entries] - One entry per symbol of the watchlist.
+     */
+    constructor(name = undefined, entries = undefined) {
+        super(entries);
+        this.name = z.string().optional().parse(name);
+    };
+}
+
+/**
+ * Named watchlists of a watcher, without their quotes.
+ *
+ * @class ManagersWatchlistsResult
+ */
+class ManagersWatchlistsResult {
+    /**
+     * Map of watchlist name to its symbols, in the order the watchlists were created.
+     * @type {Object.<string, string[]>}
+     */
+    lists = {};
+
+    /**
+     * Construct a ManagersWatchlistsResult.
+     * @param {Object.<string, string[]>} [lists] - Map of watchlist name to its symbols.
+     */
+    constructor(lists = undefined) {
+        lists && (this.lists = z.record(z.string(), z.array(z.string())).parse(lists));
+    };
+}
+
+/**
+ * Recorded quotes of a single symbol over a time range.
+ *
+ * @class ManagersHistoryResult
+ */
+class ManagersHistoryResult {
+    /**
+     * The stock symbol.
+     * @type {string}
+     */
+    symbol = ``;
+
+    /**
+     * Recorded quotes, oldest first.
+     * @type {StockQuote[]}
+     */
+    points = [];
+
+    /**
+     * Construct a ManagersHistoryResult.
+     * @param {string} [symbol] - The stock symbol.
+     * @param {StockQuote[]} [points] - Recorded quotes, oldest first.
+     */
+    constructor(symbol = undefined, points = undefined) {
+        symbol && (this.symbol = z.coerce.string().parse(symbol));
+        points && (this.points = z.array(z.instanceof(StockQuote)).parse(points));
+    };
+}
+
+/**
+ * Page of symbols ranked by their number of watchers.
+ *
+ * @class ManagersPopularResult
+ */
+class ManagersPopularResult {
+    /**
+     * Ranked symbols of the page, most watched first.
+     * @type {Array<{rank: number, symbol: string, likes: number}>}
+     */
+    entries = [];
+
+    /**
+     * Number of ranked symbols across all pages.
+     * @type {number}
+     */
+    total = 0;
+
+    /**
+     * Construct a ManagersPopularResult.
+     * @param {Array<{rank: number, symbol: string, likes: number}>} [entries] - Ranked symbols of the page.
+     * @param {number} [total] - Number of ranked symbols across all pages.
+     */
+    constructor(entries = undefined, total = undefined) {
+        entries && (this.entries = z.array(z.object({"rank": z.number(), "symbol": z.string(), "likes": z.number()})).parse(entries));
+        total && (this.total = z.number().int().gte(0).parse(total));
+    };
+}
+
+/**
+ * Price alert rules of a watcher.
+ *
+ * @class ManagersAlertResult
+ */
+class ManagersAlertResult {
+    /**
+     * The rules, oldest first.
+     * @type {AlertRule[]}
+     */
+    rules = [];
+
+    /**
+     * Construct a ManagersAlertResult.
+     * @param {AlertRule[]} [rules] - The rules, oldest first.
+     */
+    constructor(rules = undefined) {
+        rules && (this.rules = z.array(z.instanceof(AlertRule)).parse(rules));
+    };
+}
+
+/**
+ * Logged deliveries of triggered price alerts.
+ *
+ * @class ManagersDeliveryResult
+ */
+class ManagersDeliveryResult {
+    /**
+     * The deliveries, newest first.
+     * @type {AlertDelivery[]}
+     */
+    deliveries = [];
+
+    /**
+     * Construct a ManagersDeliveryResult.
+     * @param {AlertDelivery[]} [deliveries] - The deliveries, newest first.
+     */
+    constructor(deliveries = undefined) {
+        deliveries && (this.deliveries = z.array(z.instanceof(AlertDelivery)).parse(deliveries));
+    };
+}
+
+/**
+ * Entries of the symbol directory matching a search.
+ *
+ * @class ManagersSymbolResult
+ */
+class ManagersSymbolResult {
+    /**
+     * The matching entries, best first.
+     * @type {ListedSymbol[]}
+     */
+    symbols = [];
+
+    /**
+     * Construct a ManagersSymbolResult.
+     * @param {ListedSymbol[]} [symbols] - The matching entries, best first.
+     */
+    constructor(symbols = undefined) {
+        symbols && (this.symbols = z.array(z.instanceof(ListedSymbol)).parse(symbols));
+    };
+}
+
+/**
+ * Positions of a portfolio valued against their current quotes.
+ *
+ * Money amounts are in the currency of the quotes (or the one they were converted to, see Managers.convert) and rounded to 4 decimals; percentages are fractions (0.05 is 5 percent), like `changePercent`.
+ *
+ * @class ManagersPortfolioResult
+ */
+class ManagersPortfolioResult {
+    /**
+     * Each position with the quote it is valued against, in the order the positions were opened.
+     * @type {Array<{position: Position, quote: StockQuote}>}
+     */
+    entries = [];
+
+    /**
+     * Currency the quotes were converted to, with the rate used and the time of the rate table; undefined when they are in the upstream currency.
+     * The cost bases, recorded in the upstream currency, are converted with the same rate.
+     * @type {{code: string, rate: number, timestamp: Date|undefined}|undefined}
+     */
+    currency;
+
+    /**
+     * Construct a ManagersPortfolioResult.
+     * @param {Array<{position: Position, quote: StockQuote}>} [entries] - Each position with its current quote.
+     * @param {{code: string, rate: number, timestamp: Date|undefined}} [currency] - Currency the quotes were converted to.
+     */
+    constructor(entries = undefined, currency = undefined) {
+        entries && (this.entries = z.array(z.object({"position": z.instanceof(Position), "quote": z.instanceof(StockQuote)})).parse(entries));
+        currency && (this.currency = z.object({"code": z.string(), "rate": z.number().positive(), "timestamp": z.date().optional()}).parse(currency));
+    };
+
+    /**
+     * Round a money amount or a ratio, keeping missing values missing.
+     * @private
+     * @param {number|null} value - The value.
+     * @returns {number|null} The value rounded to 4 decimals, or null.
+     */
+    static #round(value) {
+        return (value === null || !(Number.isFinite(value))) ? null : Math.round(value * 10000) / 10000;
+    };
+
+    /**
+     * Valuation of each position.
+     * - price: latest price of the symbol
+     * - marketValue: quantity × price
+     * - cost: quantity × basis
+     * - unrealized: marketValue − cost, and unrealizedPercent: unrealized / cost
+     * - dayChange: quantity × the change of the quote since the previous close
+     * Values depending on a missing quote field are null.
+     * @type {Array<{symbol: string, quantity: number, basis: number, price: number|null, marketValue: number|null, cost: number, unrealized: number|null, unrealizedPercent: number|null, dayChange: number|null}>}
+     */
+    get positions() {
+        const round = ManagersPortfolioResult.#round;
+        return this.entries.map(({position, quote}) => {
+            let price = quote.latestPrice ?? null;
+            let basis = round(position.basis * (this.currency?.rate ?? 1));
+            let value = (price === null) ? null : position.quantity * price;
+            let cost = position.quantity * basis;
+            return {
+                "symbol": position.symbol,
+                "quantity": position.quantity,
+                "basis": basis,
+                "price": price,
+                "marketValue": round(value),
+                "cost": round(cost),
+                "unrealized": round((value === null) ? null : value - cost),
+                "unrealizedPercent": round((value === null || !(cost)) ? null : (value - cost) / cost),
+                "dayChange": round((quote.change === null || quote.change === undefined) ? null : position.quantity * quote.change)
+            };
+        });
+    };
+
+    /**
+     * Totals of the portfolio: sums of marketValue, cost, unrealized and dayChange over the positions, with unrealizedPercent (over the cost) and dayChangePercent (over the value at the previous close).
+     * A sum is null if one of its terms is.
+     * @type {{marketValue: number|null, cost: number, unrealized: number|null, unrealizedPercent: number|null, dayChange: number|null, dayChangePercent: number|null}}
+     */
+    get total() {
+        const round = ManagersPortfolioResult.#round;
+        const sum = (field) => this.positions.reduce((total, position) => ((total === null || position[field] === null) ? null : total + position[field]), 0);
+
+        let value = sum(`marketValue`), cost = sum(`cost`), unrealized = sum(`unrealized`), change = sum(`dayChange`);
+        return {
+            "marketValue": round(value),
+            "cost": round(cost),
+            "unrealized": round(unrealized),
+            "unrealizedPercent": round((unrealized === null || !(cost)) ? null : unrealized / cost),
+            "dayChange": round(change),
+            "dayChangePercent": round((value === null || change === null || !(value - change)) ? null : change / (value - change))
+        };
+    };
+}
+
 /**
  * High-level manager aggregating stock fetching and watcher management.
- * Provides convenience methods to read stock data, add watchers, and compare results.
+ * Provides convenience methods to read stock data, add or remove watchers, and compare results.
  */
 class Managers {
     /**
@@ -150,11 +480,77 @@ class Managers {
     watchers; 
 
     /**
-     * Initialize Managers with concrete StockManager and StockWatchers instances.
+     * Quote history recording every quote downloaded by the stock manager.
+     * @type {StockHistory}
+     */
+    history;
+
+    /**
+     * Price alert rules evaluated against every quote downloaded by the stock manager.
+     * @type {AlertManager}
+     */
+    alerts;
+
+    /**
+     * Positions recorded by the watchers, valued against the quotes of the stock manager.
+     * @type {StockPortfolios}
+     */
+    portfolios;
+
+    /**
+     * Directory of the known symbols, searched by ticker or company name.
+     * @type {SymbolDirectory}
+     */
+    directory;
+
+    /**
+     * Exchange rates converting prices out of the upstream currency.
+     * @type {ExchangeRates}
+     */
+    rates;
+
+    /**
+     * Emitter notifying listeners of changes, so that several consumers can observe the managers at once.
+     *
+     * Events:
+     * - `quote` (quote: StockQuote): a fresh quote was downloaded by the stock manager.
+     * - `likes` (symbol: string, likes: number): a watcher was added to or removed from a symbol.
+     * - `alert` (delivery: AlertDelivery): an alert rule fired; emitted once its delivery is over.
+     *
+     * @type {EventEmitter}
+     */
+    events = new EventEmitter();
+
+    /**
+     * Initialize Managers with concrete StockManager, StockWatchers, StockHistory, AlertManager, StockPortfolios, SymbolDirectory and ExchangeRates instances.
+     * Every quote downloaded by the StockManager is recorded into the history, announced through `events` and evaluated against the alert rules.
+     * Alerts are delivered in the background so that webhooks never delay quotes.
      */
     constructor() {
         this.stocks = new StockManager();
         this.watchers = new StockWatchers();
+        this.history = new StockHistory();
+        this.alerts = new AlertManager();
+        this.portfolios = new StockPortfolios();
+        this.directory = new SymbolDirectory();
+        this.rates = new ExchangeRates();
+        this.events.setMaxListeners(0); // one listener per connected client
+
+        this.stocks.callbacks.downloaded = (quote) => {
+            this.history.record(quote);
+            this.events.emit(`quote`, quote);
+            this.#notify(quote);
+        };
+    }
+
+    /**
+     * Evaluate alert rules against a quote and deliver the alerts that fire in the background, announcing each delivery through `events` once it is over.
+     * @private
+     * @param {StockQuote} quote - The quote to evaluate.
+     * @param {AlertRule[]} [rules] - Rules to evaluate; defaults to every rule of the quote's symbol.
+     */
+    #notify(quote, rules = undefined) {
+        this.alerts.notify(quote, rules).then((deliveries) => deliveries.forEach((delivery) => this.events.emit(`alert`, delivery))).catch((error) => console.error(error));
     }
 
     /**
@@ -178,9 +574,131 @@ class Managers {
         return result
     }
 
+    /**
+     * Return the recorded quotes of a symbol within a time range.
+     * Only the history is consulted; no quote is downloaded.
+     * @function timeline
+     * @param {string} symbol - The stock symbol.
+     * @param {Date|string} [from] - Earliest time included.
+     * @param {Date|string} [to] - Latest time included.
+     * @returns {ManagersHistoryResult}
+     * @throws {ZodError} If the symbol or a bound is invalid.
+     */
+    timeline(symbol, from = undefined, to = undefined) {
+        let points = this.history.range(symbol, from, to);
+        return new ManagersHistoryResult(symbol, points);
+    }
+
+    /**
+     * Rank the watched symbols by their number of distinct watchers.
+     * Only the watcher store is consulted; no quote is downloaded.
+     * @function popular
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Number of symbols per page (1-100).
+     * @param {number} [options.offset=0] - Number of symbols skipped.
+     * @param {Date|string} [options.from] - Only count likes made from this time.
+     * @param {Date|string} [options.to] - Only count likes made until this time.
+     * @returns {ManagersPopularResult}
+     * @throws {ZodError} If an option is invalid.
+     */
+    popular(options = {}) {
+        let parameters = z.object({
+            "limit": z.coerce.number().int().gte(1).lte(100).default(10),
+            "offset": z.coerce.number().int().gte(0).default(0),
+            "from": z.coerce.date().optional(),
+            "to": z.coerce.date().optional()
+        }).parse(Object.fromEntries(Object.entries(options || {}).filter((record) => (record[1] !== undefined && record[1] !== ``))));
+
+        let ranking = this.watchers.ranking(parameters.from, parameters.to);
+        return new ManagersPopularResult(
+            ranking.map((entry, index) => ({"rank": index + 1, ...entry})).slice(parameters.offset, parameters.offset + parameters.limit),
+            ranking.length
+        );
+    }
+
+    /**
+     * Value the positions of an address against the current quotes of their symbols.
+     * Quotes are read concurrently, like a comparison.
+     * @async
+     * @function portfolio
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Promise<ManagersPortfolioResult>} The valued positions; empty without a portfolio.
+     */
+    async portfolio(address) {
+        let positions = this.portfolios.positions(address);
+        let quotes = await Promise.all(positions.map((position) => this.stocks.fetch(position.symbol)));
+        return new ManagersPortfolioResult(positions.map((position, index) => ({"position": position, "quote": quotes[index]})));
+    }
+
+    /**
+     * Record a position in the portfolio of an address, replacing the one already held in the symbol.
+     * Reads the symbol first to validate it.
+     * @async
+     * @function hold
+     * @param {{symbol: string, quantity: number, basis: number}} properties - The position (see Position).
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Promise<ManagersPortfolioResult>} The whole portfolio, valued.
+     * @throws {ZodError} If the position is invalid.
+     */
+    async hold(properties, address) {
+        await this.read(properties?.symbol); // will throw an error here if invalid
+        this.portfolios.record(properties, address);
+        return await this.portfolio(address);
+    }
+
+    /**
+     * Close the position of an address in a symbol.
+     * @async
+     * @function release
+     * @param {string} symbol - Symbol of the position.
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Promise<ManagersPortfolioResult>} The remaining portfolio, valued.
+     * @throws {NotFoundError} If the address holds no position in the symbol.
+     */
+    async release(symbol, address) {
+        this.portfolios.remove(symbol, address);
+        return await this.portfolio(address);
+    }
+
+    /**
+     * Convert the prices of a result to another currency, using the local exchange rate table.
+     * Quotes are converted copies; the cached quotes stay in the upstream currency. Portfolios have their cost bases converted too (see ManagersPortfolioResult).
+     * @function convert
+     * @param {ManagersResult|ManagersComparisonResult|ManagersPortfolioResult} result - Result of read, watch, unwatch, compare or a portfolio route.
+     * @param {string} currency - ISO 4217 code of the target currency.
+     * @returns {ManagersResult|ManagersComparisonResult|ManagersPortfolioResult} A result of the same kind, with its `currency`.
+     * @throws {ZodError} If the currency is unknown.
+     */
+    convert(result, currency) {
+        let rate = this.rates.rate(currency);
+        const single = (value) => new ManagersResult(this.rates.convert(value.stocks, rate), value.watchers, rate);
+
+        if (result instanceof ManagersPortfolioResult) {
+            return new ManagersPortfolioResult(result.entries.map((entry) => ({"position": entry.position, "quote": this.rates.convert(entry.quote, rate)})), rate);
+        };
+        return (result instanceof ManagersComparisonResult)
+            ? new ManagersComparisonResult(Object.fromEntries(Object.entries(result.data).map(([name, value]) => [name, single(value)])), result.baseline)
+            : single(z.instanceof(ManagersResult).parse(result));
+    }
+
+    /**
+     * Search the symbol directory by ticker or company name.
+     * Only the directory is consulted; no quote is downloaded.
+     * @function lookup
+     * @param {string} query - Ticker, partial ticker or company name; typos are tolerated.
+     * @param {number} [limit=10] - Largest number of entries returned (1-50).
+     * @returns {ManagersSymbolResult}
+     * @throws {ZodError} If the query is empty or the limit invalid.
+     */
+    lookup(query, limit = undefined) {
+        let count = z.coerce.number().int().gte(1).lte(50).default(10).parse((limit === ``) ? undefined : limit);
+        return new ManagersSymbolResult(this.directory.search(query, count));
+    }
+
     /**
      * Add a watcher address for the given stock symbol.
-     * Reads the current stock to validate and then registers the watcher.
+     * Reads the current stocks concurrently to validate them and then registers the watcher.
+     * Emits `likes` for every symbol that gained a watcher.
      * @async
      * @function watch
      * @param {string|string[]} symbol - Stock symbol to watch.
@@ -188,31 +706,259 @@ class Managers {
      * @returns {Promise<ManagersResult>} The updated ManagersResult after adding the watcher.
      */
     async watch(symbol, address) {
-        let names = (Array.isArray(symbol)) ? symbol : [symbol];
+        let names = Managers.symbols(symbol);
 
-        for (let index = 0; index < names.length; index++) {
-            let initial = await this.read(names[index]); // will throw an error here if invalid
-            this.watchers.add(initial.stocks, address);
-        };
+        let initial = await Promise.all(names.map((name) => this.read(name))); // will throw an error here if invalid
+        initial.forEach((result) => {
+            this.watchers.add(result.stocks, address) && this.events.emit(`likes`, result.stocks.symbol, this.watchers.search(result.stocks).length);
+        });
 
         return await this[(Array.isArray(symbol)) ? `compare` : `read`](symbol);
     }
 
     /**
-     * Compare up to two symbols by reading their ManagersResult and returning a comparison.
-     * @param {string[]} symbols - Array of symbols to compare (only first two are used).
+     * Remove a watcher address from the given stock symbol (take a like back).
+     * Reads the current stocks concurrently to validate them and then unregisters the watcher; symbols the address was not watching are left untouched.
+     * Emits `likes` for every symbol that lost a watcher.
+     * @async
+     * @function unwatch
+     * @param {string|string[]} symbol - Stock symbol to stop watching.
+     * @param {string} address - Watcher address to remove.
+     * @returns {Promise<ManagersResult|ManagersComparisonResult>} The updated result after removing the watcher.
+     */
+    async unwatch(symbol, address) {
+        let names = Managers.symbols(symbol);
+
+        let initial = await Promise.all(names.map((name) => this.read(name))); // will throw an error here if invalid
+        initial.forEach((result) => {
+            this.watchers.remove(result.stocks, address) && this.events.emit(`likes`, result.stocks.symbol, this.watchers.search(result.stocks).length);
+        });
+
+        return await this[(Array.isArray(symbol)) ? `compare` : `read`](symbol);
+    }
+
+    /**
+     * Return the named watchlists of a watcher.
+     * Only the stored watchers are consulted; no quote is downloaded.
+     * @function watchlists
+     * @param {string} address - Watcher address.
+     * @returns {ManagersWatchlistsResult}
+     */
+    watchlists(address) {
+        return new ManagersWatchlistsResult(this.watchers.lists(address));
+    }
+
+    /**
+     * Read every symbol of a named watchlist of a watcher.
+     * Each symbol is read concurrently and a failing symbol does not fail the others, like a batch.
+     * @async
+     * @function watchlist
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Watcher address.
+     * @returns {Promise<ManagersWatchlistResult>}
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     */
+    async watchlist(name, address) {
+        let symbols = this.watchers.list(name, address);
+
+        let settled = await Promise.allSettled(symbols.map((symbol) => this.read(symbol)));
+        return new ManagersWatchlistResult(name, settled.map((outcome, index) => ({
+            "symbol": symbols[index],
+            ...((outcome.status == `fulfilled`) ? {"result": outcome.value} : {"error": outcome.reason})
+        })));
+    }
+
+    /**
+     * Create an empty named watchlist for a watcher.
+     * @function createWatchlist
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Watcher address.
+     * @returns {ManagersWatchlistsResult} Every watchlist of the watcher.
+     * @throws {ZodError} If the name is invalid or taken, or the watcher has too many watchlists.
+     */
+    createWatchlist(name, address) {
+        this.watchers.create(name, address);
+        return this.watchlists(address);
+    }
+
+    /**
+     * Rename a named watchlist of a watcher.
+     * @function renameWatchlist
+     * @param {string} from - Current name of the watchlist.
+     * @param {string} to - New name of the watchlist.
+     * @param {string} address - Watcher address.
+     * @returns {ManagersWatchlistsResult} Every watchlist of the watcher.
+     * @throws {NotFoundError} If the watcher has no watchlist named `from`.
+     * @throws {ZodError} If the new name is invalid or taken.
+     */
+    renameWatchlist(from, to, address) {
+        this.watchers.rename(from, to, address);
+        return this.watchlists(address);
+    }
+
+    /**
+     * Delete a named watchlist of a watcher.
+     * Emits `likes` for every symbol that lost a watcher, i.e. that no other watchlist of the watcher holds.
+     * @function deleteWatchlist
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Watcher address.
+     * @returns {ManagersWatchlistsResult} The remaining watchlists of the watcher.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     */
+    deleteWatchlist(name, address) {
+        this.watchers.drop(name, address).forEach((symbol) => this.events.emit(`likes`, symbol, this.watchers.search(symbol).length));
+        return this.watchlists(address);
+    }
+
+    /**
+     * Add a symbol to a named watchlist of a watcher.
+     * Reads the symbol first to validate it; emits `likes` if the watcher did not watch it yet.
+     * @async
+     * @function include
+     * @param {string} name - Name of the watchlist.
+     * @param {string} symbol - Symbol to add.
+     * @param {string} address - Watcher address.
+     * @returns {Promise<ManagersWatchlistResult>} The updated watchlist, read.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     * @throws {ZodError} If the symbol is invalid or the watchlist is full.
+     */
+    async include(name, symbol, address) {
+        let current = await this.read(symbol); // will throw an error here if invalid
+        this.watchers.include(current.stocks, name, address) && this.events.emit(`likes`, current.stocks.symbol, this.watchers.search(current.stocks).length);
+
+        return await this.watchlist(name, address);
+    }
+
+    /**
+     * Remove a symbol from a named watchlist of a watcher.
+     * Reads the symbol first to validate it; emits `likes` if no other watchlist of the watcher holds it.
+     * @async
+     * @function exclude
+     * @param {string} name - Name of the watchlist.
+     * @param {string} symbol - Symbol to remove.
+     * @param {string} address - Watcher address.
+     * @returns {Promise<ManagersWatchlistResult>} The updated watchlist, read.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name, or the watchlist does not hold the symbol.
+     */
+    async exclude(name, symbol, address) {
+        let current = await this.read(symbol); // will throw an error here if invalid
+        this.watchers.exclude(current.stocks, name, address) && this.events.emit(`likes`, current.stocks.symbol, this.watchers.search(current.stocks).length);
+
+        return await this.watchlist(name, address);
+    }
+
+    /**
+     * Return the price alert rules of a watcher.
+     * @function rules
+     * @param {string} address - Watcher address.
+     * @param {string} [symbol] - Only the rules of this symbol.
+     * @returns {ManagersAlertResult}
+     */
+    rules(address, symbol = undefined) {
+        return new ManagersAlertResult((address) ? this.alerts.search(address, symbol) : []);
+    }
+
+    /**
+     * Register a price alert rule for a watcher.
+     * Reads the symbol first to validate it; the new rule is evaluated against that quote straight away, so a condition that already holds fires at once.
+     * @async
+     * @function alert
+     * @param {{symbol: string, condition: string, value: number, field?: string}} properties - Condition of the rule (see AlertRule).
+     * @param {string} address - Watcher address.
+     * @returns {Promise<ManagersAlertResult>} The registered rule.
+     * @throws {ZodError} If the rule is invalid or the watcher has too many rules.
+     */
+    async alert(properties, address) {
+        let current = await this.read(properties?.symbol); // will throw an error here if invalid
+        let rule = this.alerts.add(properties, address);
+
+        this.#notify(current.stocks, [rule]);
+        return new ManagersAlertResult([rule]);
+    }
+
+    /**
+     * Remove a price alert rule of a watcher.
+     * @function dismiss
+     * @param {string} id - Identifier of the rule.
+     * @param {string} address - Watcher address.
+     * @returns {ManagersAlertResult} The removed rule.
+     * @throws {NotFoundError} If the watcher has no rule with this id.
+     */
+    dismiss(id, address) {
+        return new ManagersAlertResult([this.alerts.remove(id, address)]);
+    }
+
+    /**
+     * Return the logged deliveries of the alerts of a watcher.
+     * @function deliveries
+     * @param {string} address - Watcher address.
+     * @param {Object} [filters]
+     * @param {string} [filters.alert] - Only the deliveries of this rule.
+     * @param {"pending"|"delivered"|"failed"|"skipped"} [filters.status] - Only the deliveries with this status.
+     * @param {number} [filters.limit=50] - Largest number of deliveries returned (1-1000).
+     * @returns {ManagersDeliveryResult}
+     * @throws {ZodError} If a filter is invalid.
+     */
+    deliveries(address, filters = {}) {
+        let parameters = z.object({
+            "alert": z.string().optional(),
+            "status": z.enum([`pending`, `delivered`, `failed`, `skipped`]).optional(),
+            "limit": z.coerce.number().int().gte(1).lte(1000).default(50)
+        }).parse(Object.fromEntries(Object.entries(filters || {}).filter((record) => (record[1] !== undefined && record[1] !== ``))));
+
+        return new ManagersDeliveryResult((address) ? this.alerts.log({...parameters, "address": address}).slice(0, parameters.limit) : []);
+    }
+
+    /**
+     * Compare symbols by reading their ManagersResult concurrently and returning a comparison.
+     * Repeated symbols, in any spelling, are compared once (see Managers.symbols).
+     * @param {string[]} symbols - Array of symbols to compare (at most `comparison.max` of them).
+     * @param {"others"|"mean"|"first"} [baseline] - What each symbol is compared against; defaults to the configuration.
      * @returns {Promise<ManagersComparisonResult>}
+     * @throws {ZodError} If more symbols than allowed are given.
      */
-    async compare(symbols) {
-        let names = symbols.slice(0, 2);
+    async compare(symbols, baseline = undefined) {
+        let names = Managers.symbols(symbols);
         let data = await Promise.all(names.map(async (symbol) => {
             return [symbol, await this.read(symbol)]
         }))
 
-        return new ManagersComparisonResult(Object.fromEntries(data));
+        return new ManagersComparisonResult(Object.fromEntries(data), baseline);
+    }
+
+    /**
+     * Read several symbols independently, optionally watching some of them.
+     * Each symbol is read (or watched) concurrently and a failing symbol does not fail the others.
+     * @async
+     * @function batch
+     * @param {Array<{stock: string, like?: boolean}>} entries - Symbols to read, with the ones to watch flagged.
+     * @param {string} [address] - Watcher address used for the flagged symbols.
+     * @returns {Promise<ManagersBatchResult>}
+     * @throws {ZodError} If more entries than `batch.max` are given.
+     */
+    async batch(entries, address = undefined) {
+        z.array(z.any()).min(1).max(config.batch.max).parse(entries);
+
+        let settled = await Promise.allSettled(entries.map((entry) => ((entry.like) ? this.watch(entry.stock, address) : this.read(entry.stock))));
+        return new ManagersBatchResult(settled.map((outcome, index) => ({
+            "symbol": entries[index].stock,
+            ...((outcome.status == `fulfilled`) ? {"result": outcome.value} : {"error": outcome.reason})
+        })));
+    }
+
+    /**
+     * Validate a list of symbols to compare against the configured maximum.
+     * Symbols are normalized (see normalizeSymbol) and repeated ones dropped, so that spellings of the same symbol (`DIS`, `dis`, `NYSE:DIS`, an alias) are read and compared once.
+     * @param {string|string[]} symbols - Symbol or symbols to validate.
+     * @returns {string[]} The distinct normalized symbols, in order of first appearance.
+     * @throws {ZodError} If the list is empty, holds an invalid symbol or more than `comparison.max` distinct symbols.
+     */
+    static symbols(symbols) {
+        let names = z.array(StockSybmolRegex).min(1).parse((Array.isArray(symbols)) ? symbols : [symbols]);
+        return z.array(z.string()).max(config.comparison.max).parse([...new Set(names)]);
     }
 }
 
 module.exports = {
-    ManagersResult, ManagersComparisonResult, Managers
+    ManagersResult, ManagersComparisonResult, ManagersBatchResult, ManagersWatchlistResult, ManagersWatchlistsResult, ManagersHistoryResult, ManagersPopularResult, ManagersAlertResult, ManagersDeliveryResult, ManagersSymbolResult, ManagersPortfolioResult, Managers
 }
\ No newline at end of file
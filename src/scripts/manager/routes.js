@@ -5,6 +5,11 @@
 
 const z = require(`zod`).z;
 const Managers = require(`./managers.js`).Managers;
+const Anonymizer = require(`../net/incoming/anonymizer.js`);
+const StockStream = require(`../net/incoming/stream.js`);
+const StockSocket = require(`../net/incoming/socket.js`);
+const RateLimiter = require(`../net/incoming/limiter.js`).RateLimiter;
+const IdentityResolver = require(`../net/incoming/identity.js`).IdentityResolver;
 
 /**
  * Routes is an adapter between Express requests and the Managers API.
@@ -15,6 +20,13 @@ const Managers = require(`./managers.js`).Managers;
  * Instances are light-weight and encapsulate a single Managers instance which
  * performs the underlying business logic (fetching quotes, managing watchers).
  *
+ * Requesters are identified by a pluggable IdentityResolver (IP address, API
+ * key or bearer token) and the identity is anonymized before it reaches the
+ * managers or the rate limiter.
+ *
+ * Requests are charged to the rate limit allowance of their requester before
+ * reaching the managers; a requester over its allowance gets a RateLimitError.
+ *
  * Example:
  *   const routes = new Routes();
  *   // within an Express handler:
@@ -31,32 +43,118 @@ class Routes {
 	 */
 	_manager; 
 
+	/**
+	 * Anonymizer applied to requester addresses before they reach the managers.
+	 * @type {Anonymizer}
+	 * @private
+	 */
+	_anonymizer;
+
+	/**
+	 * Rate limiter applied to requesters before their requests reach the managers.
+	 * @type {RateLimiter}
+	 * @private
+	 */
+	_limiter;
+
+	/**
+	 * Resolver telling who a request comes from.
+	 * @type {IdentityResolver}
+	 * @private
+	 */
+	_identity;
+
 	/**
 	 * Create a new Routes adapter and construct its Managers dependency.
 	 * The Managers instance is created eagerly to encapsulate stateful managers.
 	 * @constructor
+	 * @param {Anonymizer} [anonymizer] - Address anonymizer; defaults to one built from the configuration.
+	 * @param {RateLimiter} [limiter] - Rate limiter; defaults to one built from the configuration.
+	 * @param {IdentityResolver} [identity] - Identity resolver; defaults to one built from the configuration.
 	 */
-	constructor() {
+	constructor(anonymizer = undefined, limiter = undefined, identity = undefined) {
 		this._manager = new Managers();
+		this._anonymizer = anonymizer || new Anonymizer();
+		this._limiter = limiter || new RateLimiter();
+		this._identity = identity || new IdentityResolver();
 	}
 
 	/**
 	 * Extract the relevant parameters from an Express Request.
 	 *
 	 * - symbols: read from request.query.stock (may be a string, array of strings, or undefined)
-	 * - address: read from request.ip (may be undefined in some environments)
+	 * - address: the identity of the requester (see IdentityResolver) passed through the anonymizer (may be undefined in some environments)
 	 *
-	 * This method centralizes parsing so all route handlers use the same normalization.
+	 * This method centralizes parsing so all route handlers use the same normalization. The raw identity never leaves this method.
 	 *
 	 * @private
 	 * @param {Request} request Express request object
 	 * @returns {{symbols: string|string[]|undefined, address: string|undefined}} Parsed parameters
+	 * @throws {import('../net/incoming/identity.js').AuthenticationError} If the credentials of the request are refused.
 	 * @example
-	 * // request.query.stock === 'AAPL' -> { symbols: 'AAPL', address: '::1' }
-	 * // request.query.stock === ['AAPL','MSFT'] -> { symbols: ['AAPL','MSFT'], address: '::1' }
+	 * // request.query.stock === 'AAPL' -> { symbols: 'AAPL', address: '5f0c…' }
+	 * // request.query.stock === ['AAPL','MSFT'] -> { symbols: ['AAPL','MSFT'], address: '5f0c…' }
 	 */
 	#fetch(request) {
-		return {"symbols": request.query?.stock, "address": request?.ip} 
+		let identity = this._identity.resolve(request);
+		let address = this._anonymizer.anonymize(identity);
+		this._manager.watchers.rekey(this._anonymizer.previous(identity), address);
+		this._manager.alerts.rekey(this._anonymizer.previous(identity), address);
+		this._manager.portfolios.rekey(this._anonymizer.previous(identity), address);
+		return {"symbols": request.query?.stock, "address": address} 
+	}
+
+	/**
+	 * Charge a request to the allowance of its requester.
+	 *
+	 * Requests are counted per anonymized identity in two buckets: `reads` for requests that only read quotes and `likes` for likes and unlikes (which read the quotes too but are only charged as likes).
+	 * Each symbol of a request costs one unit, since each one may need an upstream download.
+	 *
+	 * @private
+	 * @param {Request} request Express request object
+	 * @param {"reads"|"likes"} bucket Bucket charged
+	 * @param {number} [cost] Units charged; defaults to the number of symbols of `request.query.stock`
+	 * @throws {import('../net/incoming/limiter.js').RateLimitError} If the requester has used up its allowance.
+	 * @throws {import('../net/incoming/identity.js').AuthenticationError} If the credentials of the request are refused.
+	 */
+	#limit(request, bucket, cost = undefined) {
+		this._limiter.consume(bucket, this._anonymizer.anonymize(this._identity.resolve(request)), cost ?? Math.max([request?.query?.stock].flat().length, 1));
+	}
+
+	/**
+	 * Charge a request to several buckets at once (see #limit).
+	 *
+	 * Every bucket is checked before any is charged, so a request refused by one bucket consumes nothing from the others.
+	 *
+	 * @private
+	 * @param {Request} request Express request object
+	 * @param {Object.<string, number>} charges Units charged per bucket; buckets charged 0 units are skipped
+	 * @throws {import('../net/incoming/limiter.js').RateLimitError} If the requester has used up one of its allowances.
+	 * @throws {import('../net/incoming/identity.js').AuthenticationError} If the credentials of the request are refused.
+	 */
+	#limits(request, charges) {
+		let address = this._anonymizer.anonymize(this._identity.resolve(request));
+		let entries = Object.entries(charges).filter(([, cost]) => cost > 0);
+		entries.forEach(([bucket, cost]) => this._limiter.peek(bucket, address, cost));
+		entries.forEach(([bucket, cost]) => this._limiter.consume(bucket, address, cost));
+	}
+
+	/**
+	 * Convert the prices of a result to the currency of the `currency` query parameter, if any (see Managers.convert).
+	 *
+	 * The currency is checked before the result is produced, so that an unknown one refuses the request before it changes anything (e.g. closes a position).
+	 *
+	 * @private
+	 * @async
+	 * @param {Request} request Express request object
+	 * @param {function(): (Promise<ManagersResult|ManagersComparisonResult|ManagersPortfolioResult>|ManagersResult|ManagersComparisonResult|ManagersPortfolioResult)} produce Produces the result to convert
+	 * @returns {Promise<ManagersResult|ManagersComparisonResult|ManagersPortfolioResult>} The result, converted when a currency was asked for
+	 * @throws {ZodError} If the currency is unknown.
+	 */
+	async #convert(request, produce) {
+		let currency = request?.query?.currency;
+		currency && this._manager.rates.rate(currency);
+		return (currency) ? this._manager.convert(await produce(), currency) : await produce();
 	}
 
 	/**
@@ -65,6 +163,7 @@ class Routes {
 	 * Behavior:
 	 * - If request.query.stock is an array, delegates to this.compare(request).
 	 * - Otherwise calls this._manager.read(symbol) and returns the result.
+	 * - Prices are converted when a `currency` query parameter is given (likewise for watch, unwatch and compare).
 	 *
 	 * Returns whatever the underlying Managers.read / compare return (typically a ManagersResult
 	 * or ManagersComparisonResult wrapped in a Promise).
@@ -73,20 +172,348 @@ class Routes {
 	 * @returns {Promise<ManagersResult|ManagersComparisonResult>|ManagersResult|ManagersComparisonResult} Result from Managers.read or Routes.compare
 	 */
 	read(request) {
-		return this._manager.read(request.query?.stock);
+		this.#limit(request, `reads`);
+		return this.#convert(request, () => this._manager.read(request.query?.stock));
 	}
 
 	/**
 	 * Register a watcher for the symbol associated with the incoming requester's address.
 	 *
-	 * Delegates to Managers.watch(symbol, address) after extracting parameters via #fetch.
+	 * Delegates to Managers.watch(symbol, address) after extracting parameters via #fetch; the address is anonymized first.
 	 * This will validate the symbol by reading it first (Managers.watch implementation does this).
 	 *
 	 * @param {Request} request Express request object
 	 * @returns {Promise<ManagersResult>|ManagersResult} Result returned by Managers.watch
 	 */
 	watch(request) {
-		return this._manager.watch(this.#fetch(request).symbols, this.#fetch(request).address);
+		this.#limit(request, `likes`);
+		let parameters = this.#fetch(request);
+		return this.#convert(request, () => this._manager.watch(parameters.symbols, parameters.address));
+	};
+
+	/**
+	 * Remove the watcher of the incoming requester's address from the symbol (take a like back).
+	 *
+	 * Delegates to Managers.unwatch(symbol, address) after extracting parameters via #fetch; the address is anonymized first.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<ManagersResult|ManagersComparisonResult>} Result returned by Managers.unwatch
+	 */
+	unwatch(request) {
+		this.#limit(request, `likes`);
+		let parameters = this.#fetch(request);
+		return this.#convert(request, () => this._manager.unwatch(parameters.symbols, parameters.address));
+	};
+
+	/**
+	 * Read a batch of symbols from a JSON request body, optionally liking some of them.
+	 *
+	 * Accepted bodies:
+	 * - `["AAPL", "MSFT"]`
+	 * - `[{"stock": "AAPL", "like": true}, {"stock": "MSFT"}]`
+	 * - `{"stock": ["AAPL", "MSFT"], "like": true}` (the flag applies to every symbol)
+	 *
+	 * Delegates to Managers.batch(entries, address) after extracting the address via #fetch.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersBatchResult>} Result returned by Managers.batch
+	 * @throws {ZodError} If the body has none of the accepted shapes.
+	 */
+	batch(request) {
+		const flag = z.union([z.boolean(), z.stringbool()]).optional();
+		const entry = z.union([z.string().transform((stock) => ({"stock": stock})), z.object({"stock": z.string(), "like": flag})]);
+		let entries = z.union([
+			z.array(entry),
+			z.object({"stock": z.union([z.string(), z.array(z.string())]), "like": flag}).transform((body) => [body.stock].flat().map((stock) => ({"stock": stock, "like": body.like})))
+		]).parse(request?.body);
+
+		this.#limits(request, {"reads": entries.length, "likes": entries.filter((entry) => entry.like).length});
+		return this._manager.batch(entries, this.#fetch(request).address);
+	};
+
+	/**
+	 * Return the recorded quotes of a symbol.
+	 *
+	 * Delegates to Managers.timeline(symbol, from, to) using the `stock`, `from` and `to` query parameters.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersHistoryResult} Result returned by Managers.timeline
+	 */
+	history(request) {
+		this.#limit(request, `reads`, 1);
+		return this._manager.timeline(request.query?.stock, request.query?.from, request.query?.to);
+	};
+
+	/**
+	 * Rank the most watched symbols.
+	 *
+	 * Delegates to Managers.popular using the `limit`, `offset`, `from` and `to` query parameters.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersPopularResult} Result returned by Managers.popular
+	 */
+	popular(request) {
+		this.#limit(request, `reads`, 1);
+		return this._manager.popular({
+			"limit": request.query?.limit,
+			"offset": request.query?.offset,
+			"from": request.query?.from,
+			"to": request.query?.to
+		});
+	};
+
+	/**
+	 * List the price alert rules of the requester, optionally only those of the `stock` query parameter.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersAlertResult} Result returned by Managers.rules
+	 */
+	alerts(request) {
+		this.#limit(request, `reads`, 1);
+		let parameters = this.#fetch(request);
+		return this._manager.rules(parameters.address, parameters.symbols);
+	};
+
+	/**
+	 * Register a price alert rule for the requester from a JSON request body.
+	 *
+	 * Accepted body: `{"stock": "AAPL", "condition": "above"|"below"|"change", "value": 200, "field": "latestPrice"}` (`field` is optional).
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersAlertResult>} Result returned by Managers.alert
+	 * @throws {ZodError} If the body is not an object.
+	 */
+	alert(request) {
+		let body = z.object({"stock": z.string()}).loose().parse(request?.body);
+		this.#limit(request, `reads`, 1);
+		return this._manager.alert({...body, "symbol": body.stock}, this.#fetch(request).address);
+	};
+
+	/**
+	 * Remove the price alert rule of the requester named by the `id` route parameter.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersAlertResult} Result returned by Managers.dismiss
+	 */
+	dismiss(request) {
+		this.#limit(request, `reads`, 1);
+		return this._manager.dismiss(request.params?.id, this.#fetch(request).address);
+	};
+
+	/**
+	 * Value the portfolio of the requester against the current quotes.
+	 *
+	 * Each position costs one read, since each one may need an upstream download.
+	 * Amounts are converted when a `currency` query parameter is given (likewise for hold and release).
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersPortfolioResult>} Result returned by Managers.portfolio
+	 * @throws {ZodError} If the currency is unknown.
+	 */
+	portfolio(request) {
+		let address = this.#fetch(request).address;
+		this.#limit(request, `reads`, Math.max(this._manager.portfolios.positions(address).length, 1));
+		return this.#convert(request, () => this._manager.portfolio(address));
+	};
+
+	/**
+	 * Record a position in the portfolio of the requester from a JSON request body.
+	 *
+	 * Accepted body: `{"stock": "AAPL", "quantity": 10, "basis": 150.25}`, `basis` being the average price paid per share; a position already held in the symbol is replaced.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersPortfolioResult>} Result returned by Managers.hold
+	 * @throws {ZodError} If the body is not an object.
+	 */
+	hold(request) {
+		let body = z.object({"stock": z.string()}).loose().parse(request?.body);
+		let address = this.#fetch(request).address;
+		this.#limit(request, `reads`, this._manager.portfolios.positions(address).length + 1);
+		return this.#convert(request, () => this._manager.hold({"symbol": body.stock, "quantity": body.quantity, "basis": body.basis}, address));
+	};
+
+	/**
+	 * Close the position of the requester in the symbol named by the `stock` route parameter.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersPortfolioResult>} Result returned by Managers.release
+	 */
+	release(request) {
+		let address = this.#fetch(request).address;
+		this.#limit(request, `reads`, Math.max(this._manager.portfolios.positions(address).length - 1, 1));
+		return this.#convert(request, () => this._manager.release(request.params?.stock, address));
+	};
+
+	/**
+	 * List the named watchlists of the requester and their symbols, without quotes.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersWatchlistsResult} Result returned by Managers.watchlists
+	 */
+	watchlists(request) {
+		this.#limit(request, `reads`, 1);
+		return this._manager.watchlists(this.#fetch(request).address);
+	};
+
+	/**
+	 * Read every symbol of the watchlist of the requester named by the `name` route parameter.
+	 *
+	 * Each symbol costs one read, since each one may need an upstream download.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersWatchlistResult>} Result returned by Managers.watchlist
+	 */
+	watchlist(request) {
+		let address = this.#fetch(request).address;
+		this.#limit(request, `reads`, Math.max(this._manager.watchers.lists(address)[request.params?.name]?.length || 0, 1));
+		return this._manager.watchlist(request.params?.name, address);
+	};
+
+	/**
+	 * Create an empty watchlist for the requester from a JSON request body.
+	 *
+	 * Accepted body: `{"name": "tech"}`.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersWatchlistsResult} Result returned by Managers.createWatchlist
+	 * @throws {ZodError} If the body is not an object.
+	 */
+	createWatchlist(request) {
+		let body = z.object({"name": z.string()}).loose().parse(request?.body);
+		this.#limit(request, `reads`, 1);
+		return this._manager.createWatchlist(body.name, this.#fetch(request).address);
+	};
+
+	/**
+	 * Rename the watchlist of the requester named by the `name` route parameter from a JSON request body.
+	 *
+	 * Accepted body: `{"name": "dividends"}`, the new name.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersWatchlistsResult} Result returned by Managers.renameWatchlist
+	 * @throws {ZodError} If the body is not an object.
+	 */
+	renameWatchlist(request) {
+		let body = z.object({"name": z.string()}).loose().parse(request?.body);
+		this.#limit(request, `reads`, 1);
+		return this._manager.renameWatchlist(request.params?.name, body.name, this.#fetch(request).address);
+	};
+
+	/**
+	 * Delete the watchlist of the requester named by the `name` route parameter.
+	 *
+	 * Charged as one like, since its symbols may lose a like.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersWatchlistsResult} Result returned by Managers.deleteWatchlist
+	 */
+	deleteWatchlist(request) {
+		this.#limit(request, `likes`, 1);
+		return this._manager.deleteWatchlist(request.params?.name, this.#fetch(request).address);
+	};
+
+	/**
+	 * Add a symbol to the watchlist of the requester named by the `name` route parameter from a JSON request body.
+	 *
+	 * Accepted body: `{"stock": "AAPL"}`. Charged as one like, plus one read per symbol of the watchlist returned.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersWatchlistResult>} Result returned by Managers.include
+	 * @throws {ZodError} If the body is not an object.
+	 */
+	include(request) {
+		let body = z.object({"stock": z.string()}).loose().parse(request?.body);
+		let address = this.#fetch(request).address;
+		this.#limits(request, {"likes": 1, "reads": (this._manager.watchers.lists(address)[request.params?.name]?.length || 0) + 1});
+		return this._manager.include(request.params?.name, body.stock, address);
+	};
+
+	/**
+	 * Remove the symbol named by the `stock` route parameter from the watchlist of the requester named by the `name` route parameter.
+	 *
+	 * Charged as one like, plus one read per symbol of the watchlist returned.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {Promise<import('./managers.js').ManagersWatchlistResult>} Result returned by Managers.exclude
+	 */
+	exclude(request) {
+		let address = this.#fetch(request).address;
+		this.#limits(request, {"likes": 1, "reads": Math.max(this._manager.watchers.lists(address)[request.params?.name]?.length || 0, 1)});
+		return this._manager.exclude(request.params?.name, request.params?.stock, address);
+	};
+
+	/**
+	 * Search the symbol directory.
+	 *
+	 * Delegates to Managers.lookup using the `q` and `limit` query parameters.
+	 * Searches are charged to their own `lookups` bucket, so that the suggestions of the front page do not use up the reads of the quotes.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersSymbolResult} Result returned by Managers.lookup
+	 */
+	symbols(request) {
+		this.#limit(request, `lookups`, 1);
+		return this._manager.lookup(request.query?.q, request.query?.limit);
+	};
+
+	/**
+	 * List the logged deliveries of the requester's alerts.
+	 *
+	 * Delegates to Managers.deliveries using the `alert`, `status` and `limit` query parameters.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {import('./managers.js').ManagersDeliveryResult} Result returned by Managers.deliveries
+	 */
+	deliveries(request) {
+		this.#limit(request, `reads`, 1);
+		return this._manager.deliveries(this.#fetch(request).address, {
+			"alert": request.query?.alert,
+			"status": request.query?.status,
+			"limit": request.query?.limit
+		});
+	};
+
+	/**
+	 * Prepare a live price stream for the symbols of the `stock` query parameter.
+	 *
+	 * The stream is returned unopened so that invalid symbols can still be reported as a regular response.
+	 *
+	 * @param {Request} request Express request object
+	 * @returns {StockStream} A StockStream bound to the managers.
+	 * @throws {ZodError} If the symbols are missing or invalid.
+	 */
+	stream(request) {
+		this.#limit(request, `reads`);
+		return new StockStream(this._manager, request.query?.stock);
+	};
+
+	/**
+	 * Serve a WebSocket client with the subscribe/unsubscribe/like/unlike protocol.
+	 *
+	 * Subscriptions and likes received on the socket come back through Routes.subscribe, Routes.watch and Routes.unwatch with the identity of the connection, so they are charged and counted exactly like HTTP requests.
+	 *
+	 * @param {import('ws').WebSocket} socket - Connected WebSocket.
+	 * @param {import('http').IncomingMessage} request - HTTP request that opened the connection.
+	 * @returns {StockSocket} A StockSocket bound to the managers.
+	 */
+	socket(socket, request) {
+		return new StockSocket(this, this._manager, socket, request);
+	};
+
+	/**
+	 * Charge the subscription of a WebSocket client to the symbols of `request.query.stock`.
+	 *
+	 * Each symbol costs one read, since its current quote is read right away and downloaded again at every heartbeat.
+	 *
+	 * @param {Request} request Request built by the socket for the symbols it does not subscribe to yet (see StockSocket)
+	 * @returns {string[]} The normalized symbols, validated as in Managers.symbols
+	 * @throws {ZodError} If the symbols are missing or invalid.
+	 * @throws {import('../net/incoming/limiter.js').RateLimitError} If the requester has used up its reads.
+	 */
+	subscribe(request) {
+		let symbols = Managers.symbols(request.query?.stock);
+		this.#limit(request, `reads`, symbols.length);
+		return symbols;
 	};
 
 	/**
@@ -98,34 +525,38 @@ class Routes {
 	 * @returns {Promise<ManagersComparisonResult>|ManagersComparisonResult} Result returned by Managers.compare
 	 */
 	compare(request) {
-		return this._manager.compare(this.#fetch(request).symbols);
+		this.#limit(request, `reads`);
+		return this.#convert(request, () => this._manager.compare(this.#fetch(request).symbols));
 	};
 
 	/**
-	 * Dynamically choose an operation (read, watch, or compare) based on request parameters.
+	 * Dynamically choose an operation (read, watch, unwatch, or compare) based on request parameters.
 	 *
 	 * Selection logic:
-	 * - If `query.stock` is an array ⇒ use compare
-	 * - Else if a truthy query param named ‘like’ or ‘watch’ that coerces to boolean true exists ⇒ use watch
+	 * - If a truthy query param named ‘like’ or ‘watch’ that coerces to boolean true exists ⇒ use watch
+	 * - Else if a truthy query param named ‘unlike’ or ‘unwatch’ exists ⇒ use unwatch
+	 * - Else if `query.stock` is an array ⇒ use compare
 	 * - Otherwise ⇒ use read
 	 *
-	 * The local helper `willwatch` encapsulates the logic for detecting watch-like query flags.
+	 * `like=false` is deliberately not an unlike: the front-end forms send it whenever the checkbox is left unticked.
+	 * The local helper `flagged` encapsulates the logic for detecting these query flags.
 	 *
 	 * @param {Request} request Express request object
 	 * @returns {Promise<ManagersResult|ManagersComparisonResult>|ManagersResult|ManagersComparisonResult} Result of the chosen route handler
 	 */
 	any(request) {
 		/**
-		 * Determine whether this request should be treated as a "watch" action.
+		 * Determine whether one of the named query flags is set.
 		 *
-		 * Checks for query parameters named ‘like’ or ‘watch’ that are present and coerce to boolean true (e.g. ‘true’, ‘1’, true, ‘anything’).
+		 * Checks for query parameters with one of the given names that are present and coerce to boolean true (e.g. ‘true’, ‘1’, ‘yes’, ‘+’).
 		 *
 		 * @private
-		 * @function willwatch
-		 * @returns {boolean} true if request should perform a watch, false otherwise
+		 * @function flagged
+		 * @param {string[]} names - Query parameter names to look for.
+		 * @returns {boolean} true if one of the flags is set, false otherwise
 		 */
-		const willwatch = () => (request?.query && [`like`, `watch`].some((name) => (Object.keys(request?.query).includes(name) && request?.query[name] && [1, 'true', 'yes', '+'].includes(request?.query[name].toLocaleLowerCase()))));
-		return this[willwatch() ? `watch` : ((Array.isArray(this.#fetch(request).symbols)) ? `compare` : `read`)](request);
+		const flagged = (names) => Boolean(request?.query && names.some((name) => (Object.keys(request?.query).includes(name) && request?.query[name] && [`1`, 'true', 'yes', '+'].includes(String(request?.query[name]).toLocaleLowerCase()))));
+		return this[flagged([`like`, `watch`]) ? `watch` : (flagged([`unlike`, `unwatch`]) ? `unwatch` : ((Array.isArray(request.query?.stock)) ? `compare` : `read`))](request);
 	};
 };
 
@@ -0,0 +1,111 @@
+const z = require(`zod`).z
+const StockQuote = require(`../data/stock.js`).StockQuote
+const StockSybmolRegex = require(`../data/stock.js`).StockSybmolRegex
+const Storage = require(`../storage/storage.js`)
+const config = require(`../config.js`)
+
+/**
+ * Convert a StockQuote into a plain object suitable for JSON storage.
+ *
+ * @param {StockQuote} quote - The quote to serialize.
+ * @returns {Object} The public data fields of the quote.
+ */
+function plain(quote) {
+    return Object.fromEntries(Object.entries(quote).filter((record) => !(record[0].startsWith(`_`))));
+}
+
+/**
+ * Time-series store of every quote downloaded, keyed by symbol and `latestTime`.
+ *
+ * Quotes sharing a symbol and `latestTime` are the same point; recording it again replaces the stored one.
+ * Quotes without a `latestTime` are recorded at the time they were received.
+ * Only the most recent `limit` points of each symbol are kept.
+ *
+ * @class StockHistory
+ */
+class StockHistory {
+    /**
+     * Storage adapter holding, for each symbol, the list of recorded quotes sorted by time.
+     * @private
+     * @type {import('../storage/storage.js').MemoryStorage}
+     */
+    #points;
+
+    /**
+     * Largest number of points kept per symbol.
+     * @type {number}
+     */
+    limit = config.history.limit;
+
+    /**
+     * Creates a new StockHistory.
+     * @param {import('../storage/storage.js').MemoryStorage} [storage] - Storage adapter to use; defaults to the one selected by the configuration.
+     */
+    constructor(storage = undefined) {
+        this.#points = storage || Storage.create(`history`, {
+            "serialize": (quotes) => quotes.map(plain),
+            "deserialize": (records) => records.map((record) => new StockQuote({...record, "latestTime": new Date(record.latestTime)}))
+        });
+    }
+
+    /**
+     * Time of a recorded quote.
+     *
+     * @param {StockQuote} quote - The quote.
+     * @returns {Date} Its `latestTime`, or the current time when missing or unparsable.
+     */
+    static time(quote) {
+        let time = new Date(quote?.latestTime ?? NaN);
+        return (Number.isNaN(time.getTime())) ? new Date() : time;
+    }
+
+    /**
+     * Record a quote.
+     *
+     * @param {StockQuote} quote - The quote to record.
+     * @returns {boolean} True if a new point was added, false if an existing point was replaced.
+     */
+    record(quote) {
+        z.instanceof(StockQuote).parse(quote);
+
+        let time = StockHistory.time(quote);
+        let point = new StockQuote({...plain(quote), "latestTime": time});
+        let stored = this.#points.get(quote.symbol) || [];
+        let points = stored.filter((previous) => (previous.latestTime.getTime() != time.getTime()));
+        let added = (points.length == stored.length);
+
+        points.push(point);
+        points.sort((first, second) => (first.latestTime - second.latestTime));
+        this.#points.put(quote.symbol, points.slice(-this.limit));
+        return added;
+    }
+
+    /**
+     * Return the recorded quotes of a symbol within a time range, oldest first.
+     *
+     * @param {string} symbol - Stock symbol.
+     * @param {Date|string} [from] - Earliest time included; unbounded when omitted.
+     * @param {Date|string} [to] - Latest time included; unbounded when omitted.
+     * @returns {StockQuote[]} The recorded quotes.
+     * @throws {ZodError} If the symbol or a bound is invalid.
+     */
+    range(symbol, from = undefined, to = undefined) {
+        let name = StockSybmolRegex.parse(symbol);
+        let bounds = z.object({"from": z.coerce.date().optional(), "to": z.coerce.date().optional()}).parse({"from": from || undefined, "to": to || undefined});
+
+        return (this.#points.get(name) || []).filter((point) => (
+            (!(bounds.from) || point.latestTime >= bounds.from) && (!(bounds.to) || point.latestTime <= bounds.to)
+        ));
+    }
+
+    /**
+     * Symbols with at least one recorded point.
+     * @type {string[]}
+     * @readonly
+     */
+    get symbols() {
+        return this.#points.keys();
+    }
+}
+
+module.exports = StockHistory
@@ -1,8 +1,13 @@
 const StockFetcher = require(`../net/outgoing/fetch.js`);
+const Providers = require(`../net/outgoing/providers.js`);
+const CircuitBreaker = require(`../net/outgoing/breaker.js`).CircuitBreaker;
 const StockQuote = require(`../data/stock.js`).StockQuote
+const StockSybmolRegex = require(`../data/stock.js`).StockSybmolRegex
+const config = require(`../config.js`);
 
 /**
  * Manages a collection of stock quotes, providing load, select and unload operations and optional lifecycle callbacks (fetch, downloaded, deletion).
+ * Cached quotes can expire after a configurable ttl and optionally be served stale while they are refreshed.
  *
  * @class
  */
@@ -14,12 +19,54 @@ class StockManager {
      */
     #stocks = {}
 
+    /**
+     * Internal map of stock symbol -> time the cached StockQuote was downloaded.
+     * @type {Object.<string, Date>}
+     * @private
+     */
+    #fetched = {}
+
+    /**
+     * Internal map of stock symbol -> download in flight.
+     * Concurrent callers asking for the same symbol share this promise, so the upstream is contacted once.
+     * @type {Object.<string, Promise<StockQuote>>}
+     * @private
+     */
+    #pending = {}
+
+    /**
+     * Cache behaviour.
+     *
+     * - ttl: lifetime of a cached quote in milliseconds; 0 keeps quotes until they are unloaded.
+     * - stale: when true, an expired quote is returned immediately while a fresh one is downloaded in the background (stale-while-revalidate); otherwise callers wait for the fresh quote.
+     *
+     * @type {{ttl: number, stale: boolean}}
+     */
+    options = {"ttl": 0, "stale": false}
+
+    /**
+     * Quote provider used by the StockFetcher instances of this manager, resolved from options.provider.
+     * @type {import('../net/outgoing/providers.js').QuoteProvider}
+     */
+    provider;
+
+    /**
+     * Circuit breaker shared by the StockFetcher instances of this manager.
+     * Its `status` tells callers whether the upstream is currently considered down.
+     * @type {CircuitBreaker}
+     */
+    breaker;
+
     /**
      * Construct a new StockManager.
-     * Currently no constructor initialization is required.
      * @constructor
+     * @param {{ttl?: number, stale?: boolean, provider?: string, timeout?: number, retries?: number, backoff?: number, threshold?: number, cooldown?: number}} [options] - Cache behaviour, provider name and request behaviour; defaults to the `quotes` configuration.
      */
-    constructor() {}
+    constructor(options = config.quotes) {
+        this.options = {...this.options, ...options};
+        this.provider = Providers.resolve(this.options.provider || config.quotes.provider, {...config.quotes, ...options});
+        this.breaker = new CircuitBreaker({...config.quotes, ...options});
+    }
 
     /**
      * Optional callbacks that can be supplied by consumers to override or
@@ -48,28 +95,101 @@ class StockManager {
         return (this.#stocks);
     }
 
+    /**
+     * Return the time the cached StockQuote for a symbol was downloaded.
+     *
+     * @param {string} symbol - The stock symbol to look up.
+     * @returns {Date|undefined} The download time, or undefined if the symbol is not cached.
+     */
+    timestamp(symbol) {
+        return this.#fetched[symbol]
+    }
+
+    /**
+     * Determine whether the cached StockQuote for a symbol has outlived the configured ttl.
+     *
+     * @param {string} symbol - The stock symbol to check.
+     * @param {number} [ttl] - Lifetime to check against, in milliseconds; defaults to the configured ttl.
+     * @returns {boolean} True if the quote is cached and expired; always false when the ttl is 0.
+     */
+    expired(symbol, ttl = this.options.ttl) {
+        return Boolean(ttl && this.#fetched[symbol] && (Date.now() - this.#fetched[symbol].getTime()) >= ttl)
+    }
+
     /**
      * Ensure a stock is loaded for the given symbol.
-     * - If already present in cache, returns the cached StockQuote.
-     * - If a callbacks.fetch function is provided it will be used to obtain the StockQuote; otherwise a StockFetcher instance is used.
-     * - After obtaining a StockQuote, callbacks.downloaded (if present) is awaited/invoked.
+     * - If already present in cache and not expired, returns the cached StockQuote.
+     * - If present but expired, either serves it while refreshing in the background (options.stale) or waits for a fresh download.
+     * - Otherwise the quote is downloaded (see refresh); concurrent calls for the same symbol share one download.
+     *
+     * The symbol is normalized first (see normalizeSymbol), so `brk-b` and `BRK.B` share one cached quote.
+     * A `ttl` may be given to override the configured one, e.g. so that live streams refresh quotes at their own pace even when the cache keeps them forever.
      *
      * @async
      * @param {string} symbol - The stock symbol to load.
+     * @param {number} [ttl] - Lifetime of the cached quote in milliseconds; defaults to the configured ttl.
      * @returns {Promise<StockQuote|undefined>} The loaded StockQuote or undefined if fetching failed.
+     * @throws {ZodError} If the symbol is invalid.
      */
-    async fetch(symbol) {
+    async fetch(symbol, ttl = this.options.ttl) {
+        symbol = StockSybmolRegex.parse(symbol);
         if (Object.keys(this.#stocks).includes(symbol)) {
-            return this.select(symbol);
-        }
+            if (!(this.expired(symbol, ttl))) {
+                return this.select(symbol);
+            } else if (this.options.stale) {
+                this.refresh(symbol).catch((error) => console.error(error));
+                return this.select(symbol);
+            };
+        };
+
+        return await this.refresh(symbol);
+    }
+
+    /**
+     * Download a fresh quote for a symbol, regardless of the cache.
+     *
+     * If a download for the symbol is already in flight, its promise is returned instead of starting another one.
+     *
+     * @async
+     * @param {string} symbol - The stock symbol to refresh.
+     * @returns {Promise<StockQuote|undefined>} The refreshed StockQuote.
+     */
+    refresh(symbol) {
+        this.#pending[symbol] = this.#pending[symbol] || this.#download(symbol).finally(() => {delete this.#pending[symbol]});
+        return this.#pending[symbol];
+    }
+
+    /**
+     * Symbols whose download is currently in flight.
+     * @type {string[]}
+     * @readonly
+     */
+    get pending() {
+        return Object.keys(this.#pending);
+    }
+
+    /**
+     * Download a quote and store it in the cache.
+     * - If a callbacks.fetch function is provided it will be used to obtain the StockQuote; otherwise a StockFetcher instance using this.provider and this.breaker is used.
+     * - After obtaining a StockQuote, its download time is recorded and callbacks.downloaded (if present) is awaited/invoked.
+     *
+     * @async
+     * @private
+     * @param {string} symbol - The stock symbol to download.
+     * @returns {Promise<StockQuote|undefined>} The downloaded StockQuote.
+     */
+    async #download(symbol) {
         let fetched = ((typeof(this.callbacks?.fetch)).includes(`func`)) ? await this.callbacks.fetch(symbol) : undefined;
         
         if (!(fetched)) {
-            let fetcher = new StockFetcher();
+            let fetcher = new StockFetcher(undefined, this.provider, {...this.options, "breaker": this.breaker});
             fetcher.symbol = symbol;
-            this.#stocks[symbol] = await fetcher.fetch();
+            fetched = await fetcher.fetch();
         }
 
+        this.#stocks[symbol] = fetched;
+        this.#fetched[symbol] = new Date();
+
         ((typeof(this.callbacks?.downloaded)).includes(`func`)) && await this.callbacks?.downloaded(this.#stocks[symbol]);
         return this.select(symbol)
     }
@@ -94,6 +214,7 @@ class StockManager {
     unload(symbol) {
         let deletion = ((typeof(this.callbacks?.deletion)).includes(`func`)) ? this.callbacks?.deletion(symbol) : true;
         delete this.#stocks[symbol]
+        delete this.#fetched[symbol]
         return deletion
     }
 }
@@ -0,0 +1,128 @@
+const z = require(`zod`).z
+const NotFoundError = require(`common-errors`).NotFoundError;
+const Position = require(`../data/portfolio.js`).Position
+const Portfolio = require(`../data/portfolio.js`).Portfolio
+const normalizeSymbol = require(`../data/stock.js`).normalizeSymbol
+const Storage = require(`../storage/storage.js`)
+
+/**
+ * Convert a Portfolio into a plain object suitable for JSON storage.
+ *
+ * @param {Portfolio} portfolio - The portfolio to serialize.
+ * @returns {{address: string, positions: Object[]}} Plain representation of the portfolio.
+ */
+function serialize(portfolio) {
+    return {
+        "address": portfolio.address,
+        "positions": portfolio.positions.map((position) => Object.fromEntries(Object.entries(position).filter((record) => !(record[0].startsWith(`_`)))))
+    };
+}
+
+/**
+ * Rebuild a Portfolio from its plain stored representation.
+ *
+ * @param {{address: string, positions: Object[]}} record - Plain representation produced by serialize().
+ * @returns {Portfolio} The rebuilt portfolio.
+ */
+function deserialize(record) {
+    return new Portfolio({"address": record.address, "positions": record.positions.map((position) => new Position(position))});
+}
+
+/**
+ * A manager for the portfolios of the addresses: the positions each one records, at most one per symbol.
+ *
+ * Positions only hold quantities and cost bases; they are valued against quotes by the Managers.
+ *
+ * @class StockPortfolios
+ */
+class StockPortfolios {
+    /**
+     * Storage adapter holding the portfolios, keyed by address.
+     * @private
+     * @type {import('../storage/storage.js').MemoryStorage}
+     */
+    #portfolios;
+
+    /**
+     * Creates a new StockPortfolios manager.
+     * @param {import('../storage/storage.js').MemoryStorage} [storage] - Storage adapter to use; defaults to the one selected by the configuration.
+     */
+    constructor(storage = undefined) {
+        this.#portfolios = storage || Storage.create(`portfolios`, {serialize, deserialize});
+    }
+
+    /**
+     * Return the positions of an address.
+     *
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Position[]} The positions, in the order they were opened; empty without a portfolio.
+     */
+    positions(address) {
+        return (address) ? (this.#portfolios.get(address)?.positions || []) : [];
+    }
+
+    /**
+     * Record a position: open it, or replace the quantity and cost basis of the position already held in the symbol.
+     *
+     * @param {{symbol: string, quantity: number, basis: number}} properties - The position (see Position).
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Position} The recorded position.
+     * @throws {ZodError} If the position is invalid or the address is missing.
+     */
+    record(properties, address) {
+        z.string().min(1).parse(address);
+        let portfolio = this.#portfolios.get(address) || new Portfolio({"address": address});
+        let previous = portfolio.positions.find((position) => (position.symbol == normalizeSymbol(properties?.symbol)));
+
+        let position = new Position({
+            "symbol": properties?.symbol,
+            "quantity": properties?.quantity,
+            "basis": properties?.basis,
+            "opened": previous?.opened
+        });
+        portfolio.positions = (previous) ? portfolio.positions.map((held) => ((held === previous) ? position : held)) : [...portfolio.positions, position];
+        this.#portfolios.put(address, portfolio);
+        return position;
+    }
+
+    /**
+     * Close the position of an address in a symbol. The portfolio is dropped once it holds no position.
+     *
+     * @param {string} symbol - Symbol of the position (normalized, see normalizeSymbol).
+     * @param {string} address - Address owning the portfolio.
+     * @returns {Position} The closed position.
+     * @throws {NotFoundError} If the address holds no position in the symbol.
+     */
+    remove(symbol, address) {
+        let portfolio = (address) ? this.#portfolios.get(address) : undefined;
+        let position = portfolio?.positions.find((held) => (held.symbol == normalizeSymbol(symbol)));
+        if (!(position)) {throw new NotFoundError(`position ${symbol}`)};
+
+        portfolio.positions = portfolio.positions.filter((held) => (held !== position));
+        (portfolio.positions.length) ? this.#portfolios.put(address, portfolio) : this.#portfolios.delete(address);
+        return position;
+    }
+
+    /**
+     * Move the portfolio of an address to another one (e.g. when the anonymization salt rotates).
+     * If both addresses already hold a position in a symbol, the one of the destination is kept.
+     *
+     * @param {string|undefined} from - Address the portfolio is recorded under.
+     * @param {string} to - Address to record it under.
+     * @returns {boolean} True if a portfolio was moved.
+     */
+    rekey(from, to) {
+        z.coerce.string().parse(to);
+        let previous = (from && from != to) ? this.#portfolios.get(from) : undefined;
+        if (!(previous)) {return false};
+
+        let current = this.positions(to);
+        let positions = [...current, ...previous.positions.filter((position) => !(current.some((held) => (held.symbol == position.symbol))))];
+
+        this.#portfolios.put(to, new Portfolio({"address": to, "positions": positions}));
+        this.#portfolios.delete(from);
+        return true;
+    }
+}
+
+module.exports = StockPortfolios
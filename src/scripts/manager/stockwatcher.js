@@ -1,24 +1,83 @@
 const z = require(`zod`)
+const NotFoundError = require(`common-errors`).NotFoundError;
 const Watcher = require(`../data/watcher.js`)
 const StockQuote = require(`../data/stock.js`).StockQuote
+const normalizeSymbol = require(`../data/stock.js`).normalizeSymbol
+const Storage = require(`../storage/storage.js`)
+const config = require(`../config.js`)
 
 /**
- * A manager for stock watchers that supports adding, searching, and retrieving watched stocks and addresses.
+ * Convert a Watcher into a plain object suitable for JSON storage.
+ * Only the public data fields of each StockQuote are kept.
+ *
+ * @param {Watcher} watcher - The watcher to serialize.
+ * @returns {{address: string, stock: Object[], since: Object.<string, Date>, lists: Object.<string, string[]>}} Plain representation of the watcher.
+ */
+function serialize(watcher) {
+    return {
+        "address": watcher.address,
+        "stock": watcher.stock.map((quote) => Object.fromEntries(Object.entries(quote).filter((record) => !(record[0].startsWith(`_`))))),
+        "since": watcher.since,
+        "lists": watcher.lists
+    };
+}
+
+/**
+ * Rebuild a Watcher from its plain stored representation.
+ *
+ * Watchers stored before watchlists existed get their stocks in the default list (see Watcher.DefaultList).
+ *
+ * @param {{address: string, stock: Object[], since?: Object.<string, string>, lists?: Object.<string, string[]>}} record - Plain representation produced by serialize().
+ * @returns {Watcher} The rebuilt watcher.
+ */
+function deserialize(record) {
+    return new Watcher({"address": record.address, "stock": record.stock.map((quote) => new StockQuote(quote)), "since": record.since, "lists": record.lists});
+}
+
+/**
+ * A manager for stock watchers that supports adding, removing, searching, and retrieving watched stocks and addresses.
+ *
+ * The stocks of a watcher are the union of its named watchlists: a like adds its stock to the default list,
+ * and a stock counts as one like of the address however many watchlists hold it.
  * @class
  */
 class StockWatchers {
     /**
-     * Internal list of watcher objects managed by this instance.
+     * Storage adapter holding the watchers managed by this instance, keyed by address.
      * Each entry is expected to be a Watcher with properties like `stock` and `address`.
      * @private
-     * @type {Watcher[]}
+     * @type {import('../storage/storage.js').MemoryStorage}
+     */
+    #watchers;
+
+    /**
+     * Limits.
+     *
+     * - max: largest number of watchlists a single address may create.
+     * - size: largest number of symbols a single watchlist may hold; the default list is not bounded, as likes never were.
+     *
+     * @type {{max: number, size: number}}
      */
-    #watchers = []
+    options = {"max": config.watchlists.max, "size": config.watchlists.size};
 
     /**
      * Creates a new StockWatchers manager.
+     * @param {import('../storage/storage.js').MemoryStorage} [storage] - Storage adapter to use; defaults to the one selected by the configuration.
+     * @param {{max?: number, size?: number}} [options] - Defaults to the `watchlists` configuration.
      */
-    constructor() {}
+    constructor(storage = undefined, options = config.watchlists) {
+        this.#watchers = storage || Storage.create(`watchers`, {serialize, deserialize});
+        this.options = {"max": options?.max ?? this.options.max, "size": options?.size ?? this.options.size};
+    }
+
+    /**
+     * The storage adapter backing this instance.
+     * @type {import('../storage/storage.js').MemoryStorage}
+     * @readonly
+     */
+    get storage() {
+        return this.#watchers;
+    }
 
     /**
      * Callback hooks that can be provided by callers to react to operations.
@@ -32,7 +91,7 @@ class StockWatchers {
      *
      * If both parameters are omitted, this returns all watchers.
      *
-     * @param {string|StockQuote} [stock=''] - Stock symbol string or a StockQuote instance to filter by.
+     * @param {string|StockQuote} [stock=''] - Stock symbol string (normalized, see normalizeSymbol) or a StockQuote instance to filter by.
      * @param {string} [address=''] - Address string to filter by.
      * @returns {Watcher[]} Array of Watcher objects matching the criteria.
      */
@@ -49,14 +108,14 @@ class StockWatchers {
         let validate = (watcher) => {
             if (!stock) {return true}
             return (watcher.stock.filter(((typeof(stock)).includes(`obj`)) 
-                ? ((added_stock) => (added_stock == stock)) 
-                : ((added_stock) => (added_stock.symbol == stock))).length)
+                ? ((added_stock) => (added_stock.symbol == stock.symbol)) 
+                : ((added_stock) => (added_stock.symbol == normalizeSymbol(stock)))).length)
         }
         
         // Invoke optional search callback hook if provided.
         (typeof(this.callbacks?.search)).includes(`func`) && this.callbacks?.search(stock, address);
 
-        return this.#watchers.filter((value) => (
+        return this.#watchers.list().filter((value) => (
             (!(address) || (address == value.address)) && validate(value)
         ));
     }
@@ -79,13 +138,13 @@ class StockWatchers {
      */
     get stocks() {
         let stocks = new Set();
-        this.search.forEach(
+        this.search().forEach(
             /**
              * Add the stock entries from a watcher into the result set.
              * @param {Watcher} watcher - The watcher whose stocks will be merged.
              */
             (watcher) => {
-                stocks.union(new Set(watcher.stock))
+                watcher.stock.forEach((stock) => stocks.add(stock))
             });
         
         return (stocks);
@@ -97,72 +156,269 @@ class StockWatchers {
      * @readonly
      */
     get addresses() {
-        return new Set(this.search.map((value) => value.address));
+        return new Set(this.search().map((value) => value.address));
+    }
+
+    /**
+     * Rank the watched symbols by their number of distinct watchers, most watched first (ties by symbol).
+     *
+     * Only the stored watchers are consulted; no quote is downloaded.
+     * With a time window, only the watchers that started watching a symbol within it are counted.
+     *
+     * @param {Date} [from] - Earliest time a like counts from; unbounded when omitted.
+     * @param {Date} [to] - Latest time a like counts until; unbounded when omitted.
+     * @returns {Array<{symbol: string, likes: number}>} Every watched symbol with its count.
+     */
+    ranking(from = undefined, to = undefined) {
+        let counts = {};
+        this.search().forEach((watcher) => {
+            new Set(watcher.stock.map((stock) => stock.symbol)).forEach((symbol) => {
+                let since = watcher.since?.[symbol];
+                if ((from || to) && !(since && (!(from) || since >= from) && (!(to) || since <= to))) {return};
+                counts[symbol] = (counts[symbol] || 0) + 1;
+            });
+        });
+
+        return Object.entries(counts)
+            .map(([symbol, likes]) => ({"symbol": symbol, "likes": likes}))
+            .sort((first, second) => ((second.likes - first.likes) || first.symbol.localeCompare(second.symbol)));
+    }
+
+    /**
+     * Return the watcher of an address, or a new empty one (not stored yet).
+     * @private
+     * @param {string} address - Address of the watcher.
+     * @returns {Watcher} The watcher.
+     * @throws {ZodError} If the address is missing.
+     */
+    #watcher(address) {
+        z.string().min(1).parse(address);
+        return this.#watchers.get(address) || new Watcher({"stock": [], "address": address});
+    }
+
+    /**
+     * Return the symbols of a watchlist of a watcher.
+     * @private
+     * @param {Watcher} watcher - The watcher.
+     * @param {string} name - Name of the watchlist.
+     * @returns {string[]} The symbols of the watchlist; the default list is empty until something is liked.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     */
+    #list(watcher, name) {
+        if (Object.hasOwn(watcher.lists, name)) {return watcher.lists[name]};
+        if (name == Watcher.DefaultList) {return []};
+        throw new NotFoundError(`watchlist ${name}`);
+    }
+
+    /**
+     * Recompute the watched stocks of a watcher from its watchlists, then store it, or drop it once it has no watchlist left.
+     *
+     * Stocks keep the order they were first watched in and the time they started being watched.
+     * An empty default list is dropped, so that unliking everything leaves nothing behind.
+     * @private
+     * @param {Watcher} watcher - The watcher whose watchlists changed.
+     * @param {StockQuote[]} [quotes=[]] - Quotes of the symbols just added to a watchlist.
+     * @returns {Watcher} The watcher.
+     */
+    #sync(watcher, quotes = []) {
+        (watcher.lists[Watcher.DefaultList]?.length === 0) && delete watcher.lists[Watcher.DefaultList];
+
+        let symbols = new Set(Object.values(watcher.lists).flat());
+        let kept = watcher.stock.filter((stock) => symbols.has(stock.symbol));
+        let added = quotes.filter((quote, index) => (symbols.has(quote.symbol) && !(kept.some((stock) => (stock.symbol == quote.symbol))) && quotes.findIndex((other) => (other.symbol == quote.symbol)) == index));
+
+        watcher.since = Object.fromEntries([
+            ...kept.filter((stock) => watcher.since[stock.symbol]).map((stock) => [stock.symbol, watcher.since[stock.symbol]]),
+            ...added.map((quote) => [quote.symbol, new Date()])
+        ]);
+        watcher.stock = [...kept, ...added];
+        (Object.keys(watcher.lists).length) ? this.#watchers.put(watcher.address, watcher) : this.#watchers.delete(watcher.address);
+        return watcher;
+    }
+
+    /**
+     * Return the watchlists of an address.
+     *
+     * @param {string} address - Address of the watcher.
+     * @returns {Object.<string, string[]>} Map of watchlist name to its symbols; empty without a watcher. The map has no prototype, so a name never reads an inherited member.
+     */
+    lists(address) {
+        return Object.assign(Object.create(null), (address) ? this.#watchers.get(address)?.lists : {});
+    }
+
+    /**
+     * Return the symbols of a watchlist of an address.
+     *
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Address of the watcher.
+     * @returns {string[]} The symbols, in the order they were added.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     * @throws {ZodError} If the address is missing.
+     */
+    list(name, address) {
+        return [...this.#list(this.#watcher(address), name)];
+    }
+
+    /**
+     * Create an empty watchlist for an address.
+     *
+     * @param {string} name - Name of the watchlist (see Watcher.ListName); it is trimmed.
+     * @param {string} address - Address of the watcher.
+     * @returns {string} The name of the created watchlist.
+     * @throws {ZodError} If the name is invalid or taken, the address is missing or the watcher already has `max` watchlists.
+     */
+    create(name, address) {
+        let watcher = this.#watcher(address);
+        let list = Watcher.ListName.refine((list) => !(Object.hasOwn(watcher.lists, list)), `A watchlist with this name already exists.`).parse(name);
+        z.array(z.any()).max(this.options.max - 1, `An address may create at most ${this.options.max} watchlists.`).parse(Object.keys(watcher.lists));
+
+        watcher.lists[list] = [];
+        this.#sync(watcher);
+        return list;
+    }
+
+    /**
+     * Rename a watchlist of an address, keeping its symbols and its place among the other watchlists.
+     *
+     * @param {string} from - Current name of the watchlist.
+     * @param {string} to - New name of the watchlist (see Watcher.ListName); it is trimmed.
+     * @param {string} address - Address of the watcher.
+     * @returns {string} The new name of the watchlist.
+     * @throws {NotFoundError} If the watcher has no watchlist named `from`.
+     * @throws {ZodError} If the new name is invalid or taken by another watchlist.
+     */
+    rename(from, to, address) {
+        let watcher = this.#watcher(address);
+        if (!(Object.hasOwn(watcher.lists, from))) {throw new NotFoundError(`watchlist ${from}`)};
+        let list = Watcher.ListName.refine((list) => (list == from || !(Object.hasOwn(watcher.lists, list))), `A watchlist with this name already exists.`).parse(to);
+
+        watcher.lists = Object.fromEntries(Object.entries(watcher.lists).map(([name, symbols]) => [(name == from) ? list : name, symbols]));
+        this.#sync(watcher);
+        return list;
+    }
+
+    /**
+     * Delete a watchlist of an address. Its symbols stop being watched unless another watchlist holds them.
+     *
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Address of the watcher.
+     * @returns {string[]} The symbols that are no longer watched by the address.
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     */
+    drop(name, address) {
+        let watcher = this.#watcher(address);
+        if (!(Object.hasOwn(watcher.lists, name))) {throw new NotFoundError(`watchlist ${name}`)};
+
+        let symbols = watcher.lists[name];
+        delete watcher.lists[name];
+        let watched = new Set(Object.values(watcher.lists).flat());
+        this.#sync(watcher);
+        return symbols.filter((symbol) => !(watched.has(symbol)));
+    }
+
+    /**
+     * Add a stock to a watchlist of an address. The default list is created by its first stock.
+     *
+     * @param {StockQuote} stock - Stock to add.
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Address of the watcher.
+     * @returns {boolean} True if the address did not watch the stock before (i.e. its like count grew).
+     * @throws {NotFoundError} If the watcher has no watchlist with this name.
+     * @throws {ZodError} If the stock or the address is invalid, or the watchlist already holds `size` symbols.
+     */
+    include(stock, name, address) {
+        z.instanceof(StockQuote).parse(stock);
+        let watcher = this.#watcher(address);
+        let list = this.#list(watcher, name);
+        if (list.includes(stock.symbol)) {return false};
+        (name != Watcher.DefaultList) && z.array(z.any()).max(this.options.size - 1, `A watchlist may hold at most ${this.options.size} symbols.`).parse(list);
+
+        let watched = watcher.stock.some((added_stock) => (added_stock.symbol == stock.symbol));
+        watcher.lists[name] = [...list, stock.symbol];
+        this.#sync(watcher, [stock]);
+        return !(watched);
+    }
+
+    /**
+     * Remove a stock from a watchlist of an address. It stays watched if another watchlist holds it.
+     *
+     * @param {string|StockQuote} stock - Stock symbol string (normalized, see normalizeSymbol) or a StockQuote instance to remove.
+     * @param {string} name - Name of the watchlist.
+     * @param {string} address - Address of the watcher.
+     * @returns {boolean} True if the address no longer watches the stock (i.e. its like count shrank).
+     * @throws {NotFoundError} If the watcher has no watchlist with this name, or the watchlist does not hold the stock.
+     */
+    exclude(stock, name, address) {
+        z.union([z.instanceof(StockQuote), z.coerce.string()]).parse(stock);
+        let symbol = ((typeof(stock)).includes(`obj`)) ? stock.symbol : normalizeSymbol(stock);
+        let watcher = this.#watcher(address);
+        let list = this.#list(watcher, name);
+        if (!(list.includes(symbol))) {throw new NotFoundError(`${symbol} in watchlist ${name}`)};
+
+        watcher.lists[name] = list.filter((added) => (added != symbol));
+        this.#sync(watcher);
+        return !(watcher.stock.some((added_stock) => (added_stock.symbol == symbol)));
     }
 
     /**
-     * Add a stock to be watched for a given address. If the address already exists, the stock
-     * will be appended to that watcher's stock list; otherwise a new watcher will be created.
+     * Add a stock to be watched for a given address, in its default list (see Watcher.DefaultList).
+     * A watcher is created for the address if it has none.
      *
      * Validation is performed using zod and may throw on invalid input.
      *
      * @param {StockQuote} stock - Stock to add (StockQuote instance expected by validation).
      * @param {string} address - Address associated with the stock.
-     * @returns {boolean}
+     * @returns {boolean} True if the address did not watch the stock before.
      */
     add(stock, address) {
         z.instanceof(StockQuote).parse(stock);
+        return this.include(stock, Watcher.DefaultList, address);
+    }
 
-        /**
-         * Determine whether a matching watcher already exists for the stock/address pair.
-         * @private
-         * @returns {number} Number of matching watchers found.
-         */
-        const find = () => {
-            let matching = this.search(stock, address);
-            return matching.length;
-        }
-        
-        /**
-         * Append the stock to an existing watcher for the address or create a new watcher.
-         * @private
-         * @returns {boolean} True if the operation succeeded.
-         */
-        const append = () => {
-            /**
-             * Create a new Watcher for the address with the provided stock.
-             * @private
-             * @returns {boolean} True when creation is complete.
-             */
-            const create = () => {
-                /**
-                 * @type {Watcher}
-                 */
-                let watcher = new Watcher({"stock": [stock], "address": address});
-                this.#watchers.push(watcher)
-                return true
-            }
+    /**
+     * Stop watching a stock for a given address: it is removed from every watchlist. The watcher is dropped once it no longer has any watchlist.
+     *
+     * @param {string|StockQuote} stock - Stock symbol string (normalized, see normalizeSymbol) or a StockQuote instance to remove.
+     * @param {string} address - Address associated with the stock.
+     * @returns {boolean} True if the stock was being watched by the address and has been removed.
+     */
+    remove(stock, address) {
+        z.union([z.instanceof(StockQuote), z.coerce.string()]).parse(stock);
+        let symbol = ((typeof(stock)).includes(`obj`)) ? stock.symbol : normalizeSymbol(stock);
 
-            /**
-             * Update an existing watcher by pushing the new stock onto its stock list.
-             * @private
-             * @returns {boolean} True if an existing watcher was updated, false otherwise.
-             */
-            const update = () => {
-                for (let index = 0; index < this.#watchers.length; index++) {
-                    if (this.#watchers[index].address == address) {
-                        this.#watchers[index].stock.push(stock)
-                        return true;
-                    };
-                };
-
-                return false;
-            };
-            
-            return (this.search(undefined, address).length ? update : create)()
-        }
+        let watcher = (address) ? this.#watchers.get(address) : undefined;
+        if (!(watcher?.stock.some((added_stock) => (added_stock.symbol == symbol)))) {return false};
+
+        watcher.lists = Object.fromEntries(Object.entries(watcher.lists).map(([name, symbols]) => [name, symbols.filter((added) => (added != symbol))]));
+        this.#sync(watcher);
+        return true;
+    }
+
+    /**
+     * Move the watched stocks of one address to another.
+     *
+     * Used when an address pseudonym changes (e.g. after a salt rotation) so that existing likes keep counting once.
+     * If both addresses already have a watcher, the stocks and the watchlists of the same name are merged without duplicating symbols.
+     *
+     * @param {string} from - Address currently holding the watcher.
+     * @param {string} to - Address that should hold the watcher.
+     * @returns {boolean} True if a watcher was moved or merged.
+     */
+    rekey(from, to) {
+        z.coerce.string().parse(to);
+        let previous = (from && from != to) ? this.#watchers.get(from) : undefined;
+        if (!(previous)) {return false};
+
+        let current = this.#watchers.get(to);
+        let stock = [...(current?.stock || []), ...previous.stock.filter((quote) => !((current?.stock || []).some((added_stock) => (added_stock.symbol == quote.symbol))))];
+        let lists = {...previous.lists, ...current?.lists};
+        Object.entries(previous.lists).forEach(([name, symbols]) => {
+            lists[name] = [...new Set([...lists[name], ...symbols])];
+        });
 
-        return !(find()) && append()
+        this.#watchers.put(to, new Watcher({"stock": stock, "address": to, "since": {...previous.since, ...current?.since}, "lists": lists}));
+        this.#watchers.delete(from);
+        return true;
     }
 }
 
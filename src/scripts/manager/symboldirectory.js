@@ -0,0 +1,162 @@
+const fs = require(`fs`)
+const z = require(`zod`).z
+const ListedSymbol = require(`../data/symbol.js`)
+const normalizeSymbol = require(`../data/stock.js`).normalizeSymbol
+const config = require(`../config.js`)
+
+/**
+ * Number of single-character edits (insertions, deletions, substitutions and swaps of adjacent characters) turning one string into another.
+ *
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} The optimal string alignment distance.
+ */
+function distance(a, b) {
+    let rows = Array.from({"length": a.length + 1}, (row, i) => Array.from({"length": b.length + 1}, (cell, j) => ((i == 0) ? j : ((j == 0) ? i : 0))));
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            let cost = (a[i - 1] == b[j - 1]) ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1]) && (rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1));
+        };
+    };
+    return rows[a.length][b.length];
+}
+
+/**
+ * Directory of the known symbols, loaded from a local dataset, answering prefix and fuzzy searches.
+ *
+ * Matches are ranked, best first:
+ * 0. the ticker itself, in any of its spellings (see normalizeSymbol);
+ * 1. tickers starting with the query;
+ * 2. names starting with the query, or with a word starting with it;
+ * 3. names containing the query;
+ * 4. and above: tickers or name words within a few edits of the query (4 + the number of edits), so typos still find their symbol.
+ * Ties are broken by ticker length, then alphabetically.
+ *
+ * @class SymbolDirectory
+ */
+class SymbolDirectory {
+    /**
+     * Known symbols, keyed by ticker.
+     * @private
+     * @type {Map<string, ListedSymbol>}
+     */
+    #entries = new Map();
+
+    /**
+     * Path of the dataset the directory was loaded from.
+     * @type {string|undefined}
+     */
+    file;
+
+    /**
+     * Creates a new SymbolDirectory and loads its dataset.
+     *
+     * A missing dataset leaves the directory empty (searches find nothing) rather than preventing the server from starting.
+     *
+     * @param {string|Array<{symbol: string, name: string, exchange?: string}>} [source] - Path of a JSON dataset, or the entries themselves; defaults to the `symbols.directory` configuration.
+     */
+    constructor(source = config.symbols.directory) {
+        (Array.isArray(source)) ? this.import(source) : this.load(source);
+    }
+
+    /**
+     * Number of known symbols.
+     * @type {number}
+     */
+    get size() {
+        return this.#entries.size;
+    }
+
+    /**
+     * Replace the known symbols; invalid entries are skipped and reported.
+     *
+     * @param {Array<{symbol: string, name: string, exchange?: string}>} entries - The new entries.
+     * @returns {number} Number of symbols now known.
+     */
+    import(entries) {
+        this.#entries = new Map();
+        z.array(z.any()).parse(entries).forEach((entry) => {
+            try {
+                let listed = new ListedSymbol(entry);
+                this.#entries.set(listed.symbol, listed);
+            } catch(error) {
+                console.error(`Skipping invalid symbol directory entry ${JSON.stringify(entry)}: ${error?.message}`);
+            };
+        });
+        return this.size;
+    }
+
+    /**
+     * (Re)load the known symbols from a JSON dataset, e.g. after it was updated.
+     *
+     * @param {string} [file] - Path of the dataset; defaults to the one last loaded.
+     * @returns {number} Number of symbols now known.
+     */
+    load(file = this.file) {
+        this.file = z.string().min(1).parse(file);
+        try {
+            return this.import(JSON.parse(fs.readFileSync(this.file, `utf8`)));
+        } catch(error) {
+            console.error(`Symbol directory ${this.file} could not be loaded: ${error?.message}`);
+            this.#entries = new Map();
+            return 0;
+        };
+    }
+
+    /**
+     * Return the entry of a ticker.
+     *
+     * @param {string} symbol - The ticker (normalized, see normalizeSymbol).
+     * @returns {ListedSymbol|undefined} The entry, or undefined if the ticker is unknown.
+     */
+    get(symbol) {
+        return this.#entries.get(normalizeSymbol(symbol));
+    }
+
+    /**
+     * Rank how well an entry matches a query.
+     * @private
+     * @param {ListedSymbol} entry - The entry.
+     * @param {string} query - Trimmed query, upper case.
+     * @returns {number|undefined} The rank (lower is better), or undefined when the entry does not match.
+     */
+    #rank(entry, query) {
+        let name = entry.name.toUpperCase();
+        let words = name.split(/[^A-Z0-9&]+/).filter(Boolean);
+
+        if (entry.symbol == query || entry.symbol == normalizeSymbol(query)) {return 0};
+        if (entry.symbol.startsWith(query)) {return 1};
+        if (name.startsWith(query) || words.some((word) => word.startsWith(query))) {return 2};
+        if (name.includes(query)) {return 3};
+
+        let tolerance = Math.floor(query.length / 3);
+        if (!(tolerance)) {return undefined};
+
+        let edits = Math.min(distance(query, entry.symbol), ...words.map((word) => distance(query, word.slice(0, query.length + tolerance))));
+        return (edits <= tolerance) ? 4 + edits : undefined;
+    }
+
+    /**
+     * Search the directory by ticker or company name.
+     *
+     * @param {string} query - Ticker, partial ticker or company name (case-insensitive).
+     * @param {number} [limit=10] - Largest number of entries returned.
+     * @returns {ListedSymbol[]} The best matches, best first.
+     * @throws {ZodError} If the query is empty or the limit invalid.
+     */
+    search(query, limit = 10) {
+        let text = z.string().trim().min(1).max(64).toUpperCase().parse(query);
+        z.number().int().gte(1).parse(limit);
+
+        return Array.from(this.#entries.values())
+            .map((entry) => ({"entry": entry, "rank": this.#rank(entry, text)}))
+            .filter((match) => (match.rank !== undefined))
+            .sort((a, b) => ((a.rank - b.rank) || (a.entry.symbol.length - b.entry.symbol.length) || a.entry.symbol.localeCompare(b.entry.symbol)))
+            .slice(0, limit)
+            .map((match) => match.entry);
+    }
+}
+
+module.exports = SymbolDirectory
@@ -0,0 +1,127 @@
+const net = require(`net`)
+const crypto = require(`crypto`)
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+
+/**
+ * Anonymizer
+ * Turns requester IP addresses into stable pseudonyms before they are stored as watchers.
+ *
+ * Processing happens in two steps:
+ * - truncation: the address is reduced to its configured network prefix (e.g. /24 for IPv4, /48 for IPv6), which groups neighbouring hosts together;
+ * - hashing: the truncated address is hashed with HMAC-SHA256 using a salt derived from the secret and the current rotation period.
+ *
+ * The same address always yields the same pseudonym within a rotation period, so likes can still be deduplicated without the raw address ever being kept.
+ * When the salt rotates, `previous()` gives the pseudonym of the period before so that existing watchers can be carried over.
+ *
+ * @class Anonymizer
+ */
+class Anonymizer {
+	/**
+	 * Key from which the period salts are derived.
+	 * @type {string}
+	 * @private
+	 */
+	#secret;
+
+	/**
+	 * Salt lifetime in milliseconds; 0 disables rotation.
+	 * @type {number}
+	 */
+	rotation = 0;
+
+	/**
+	 * Prefix lengths kept before hashing, keyed by IP version.
+	 * @type {{4: number, 6: number}}
+	 */
+	prefixes = {4: 32, 6: 128};
+
+	/**
+	 * Create an Anonymizer.
+	 *
+	 * @constructor
+	 * @param {Object} [options] - Defaults to the `anonymization` configuration.
+	 * @param {string} options.secret - Key from which the salts are derived.
+	 * @param {number} [options.rotation] - Salt lifetime in milliseconds.
+	 * @param {number} [options.ipv4] - IPv4 prefix length kept before hashing.
+	 * @param {number} [options.ipv6] - IPv6 prefix length kept before hashing.
+	 */
+	constructor(options = config.anonymization) {
+		this.#secret = z.string().min(1).parse(options?.secret);
+		this.rotation = options?.rotation || 0;
+		this.prefixes = {4: options?.ipv4 ?? 32, 6: options?.ipv6 ?? 128};
+	}
+
+	/**
+	 * Reduce an address to its configured network prefix.
+	 *
+	 * IPv4-mapped IPv6 addresses (`::ffff:a.b.c.d`) are treated as IPv4 and zone identifiers are dropped.
+	 * Values that are not IP addresses are returned unchanged.
+	 *
+	 * @param {string} address - Address to truncate.
+	 * @returns {string} The truncated address, e.g. `203.0.113.0` for `203.0.113.7` with a /24 prefix.
+	 */
+	truncate(address) {
+		let value = String(address ?? ``).trim().split(`%`)[0];
+		(/^::ffff:\d+\.\d+\.\d+\.\d+$/i).test(value) && (value = value.slice(7));
+
+		/**
+		 * Keep the first `bits` bits of a list of fixed-width numbers, zeroing the rest.
+		 * @param {number[]} parts - Address parts.
+		 * @param {number} width - Bits per part.
+		 * @param {number} bits - Bits to keep.
+		 * @returns {number[]} The masked parts.
+		 */
+		const mask = (parts, width, bits) => parts.map((part, index) => {
+			let kept = Math.min(Math.max(bits - (index * width), 0), width);
+			return (kept ? (part >> (width - kept)) << (width - kept) : 0);
+		});
+
+		if (net.isIPv4(value)) {
+			return mask(value.split(`.`).map(Number), 8, this.prefixes[4]).join(`.`);
+		} else if (net.isIPv6(value)) {
+			let [head, tail] = value.split(`::`);
+			let groups = [head, tail].map((side) => (side ? side.split(`:`) : []));
+			let expanded = (tail === undefined) ? groups[0] : [...groups[0], ...Array(8 - groups[0].length - groups[1].length).fill(`0`), ...groups[1]];
+			return mask(expanded.map((group) => parseInt(group, 16)), 16, this.prefixes[6]).map((group) => group.toString(16)).join(`:`);
+		};
+
+		return value;
+	}
+
+	/**
+	 * Index of the rotation period containing the current time.
+	 *
+	 * @param {number} [offset=0] - Number of periods to move from the current one (e.g. -1 for the previous period).
+	 * @returns {number} The period index; always 0 when rotation is disabled.
+	 */
+	period(offset = 0) {
+		return (this.rotation) ? Math.floor(Date.now() / this.rotation) + offset : 0;
+	}
+
+	/**
+	 * Pseudonym of an address for the current (or an offset) rotation period.
+	 *
+	 * @param {string} address - Raw requester address.
+	 * @param {number} [offset=0] - Rotation period offset passed to period().
+	 * @returns {string|undefined} Hex-encoded HMAC of the truncated address, or undefined when no address is available.
+	 */
+	anonymize(address, offset = 0) {
+		if (!(address)) {return undefined};
+
+		let salt = crypto.createHmac(`sha256`, this.#secret).update(String(this.period(offset))).digest();
+		return crypto.createHmac(`sha256`, salt).update(this.truncate(address)).digest(`hex`);
+	}
+
+	/**
+	 * Pseudonym the address had during the previous rotation period.
+	 *
+	 * @param {string} address - Raw requester address.
+	 * @returns {string|undefined} The previous pseudonym, or undefined when rotation is disabled.
+	 */
+	previous(address) {
+		return (this.rotation) ? this.anonymize(address, -1) : undefined;
+	}
+}
+
+module.exports = Anonymizer;
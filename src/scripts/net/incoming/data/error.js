@@ -1,3 +1,5 @@
+const STATUS_CODES = require(`http`).STATUS_CODES;
+
 /**
  * Error type used for failures during request processing.
  *
@@ -49,6 +51,52 @@ class ProcessingError extends require(`common-errors`).Error {
      */
     cause = undefined;
 
+    /**
+     * HTTP status code of the error response.
+     * @type {number}
+     * @readonly
+     */
+    get status() {
+        return Number(this.message);
+    };
+
+    /**
+     * Seconds the client should wait before retrying, when the wrapped error tells (e.g. a rate limit).
+     * @type {number|undefined}
+     * @readonly
+     */
+    get retry() {
+        return this.inner_error?.retry;
+    };
+
+    /**
+     * How the client should authenticate, when the wrapped error tells (e.g. refused credentials).
+     * @type {string|undefined}
+     * @readonly
+     */
+    get challenge() {
+        return this.inner_error?.challenge;
+    };
+
+    /**
+     * RFC 7807 problem details describing this error, for `application/problem+json` responses.
+     *
+     * Validation errors carry their zod issues in an `errors` extension member.
+     *
+     * @type {{type: string, title: string, status: number, detail: string, name: string, errors?: Object[]}}
+     * @readonly
+     */
+    get problem() {
+        return {
+            "type": `about:blank`,
+            "title": STATUS_CODES[this.status] || `Error`,
+            "status": this.status,
+            "detail": (this.inner_error?.issues) ? this.inner_error.issues.map((issue) => issue.message).join(`; `) : this.description,
+            "name": this.name,
+            ...((this.inner_error?.issues) ? {"errors": this.inner_error.issues} : {})
+        };
+    };
+
     /**
      * Create a ProcessingError.
      * 
@@ -56,11 +104,14 @@ class ProcessingError extends require(`common-errors`).Error {
      *
      * If `error` is a string or non-object Error-like value, it will be used as the human-readable `description` and the default status/code (500) will remain.
      *
+     * An explicit `status` takes precedence over both and also becomes the `code` unless the error provided its own.
+     *
      * @constructor
      * @param {(Error|Object|string)} error - The underlying error, an object
      * containing error metadata, or a plain string message.
+     * @param {number} [status] - HTTP status code to respond with.
      */
-    constructor (error) {
+    constructor (error, status = undefined) {
         super(error?.message || error, (typeof(error)).includes(`obj`) ? error : undefined)
         if ((typeof(error)).includes(`obj`)) {
             this.name = error.name || `Processing-Error`;
@@ -76,6 +127,11 @@ class ProcessingError extends require(`common-errors`).Error {
         } else {
             this.description = error;
         };
+
+        if (Number.isInteger(status) && status >= 400 && status <= 599) {
+            this.message = status;
+            (this.code == 500) && (this.code = status);
+        };
     };
 };
 
@@ -1,6 +1,14 @@
 const z = require(`zod`).z
+const StockQuoteFields = require(`../../../data/stock.js`).StockQuoteFields
 const ManagersResult = require(`../../../manager/managers.js`).ManagersResult
 const ManagersComparisonResult = require(`../../../manager/managers.js`).ManagersComparisonResult
+const ManagersHistoryResult = require(`../../../manager/managers.js`).ManagersHistoryResult
+const ManagersPopularResult = require(`../../../manager/managers.js`).ManagersPopularResult
+const ManagersAlertResult = require(`../../../manager/managers.js`).ManagersAlertResult
+const ManagersDeliveryResult = require(`../../../manager/managers.js`).ManagersDeliveryResult
+const ManagersSymbolResult = require(`../../../manager/managers.js`).ManagersSymbolResult
+const ManagersPortfolioResult = require(`../../../manager/managers.js`).ManagersPortfolioResult
+const ManagersWatchlistsResult = require(`../../../manager/managers.js`).ManagersWatchlistsResult
 
 /**
  * Class representing a single stock's data, intended for responses
@@ -11,6 +19,9 @@ const ManagersComparisonResult = require(`../../../manager/managers.js`).Manager
  * @property {string} stock - The stock symbol (e.g., "AAPL").
  * @property {number} price - The latest known price for the stock.
  * @property {number} likes - Number of likes/watchers associated with the stock.
+ *
+ * Further StockQuote fields (e.g. `change`, `open`, `latestTime`) can be selected; they are added after `likes` under their StockQuote names.
+ * When the prices were converted (`currency=`), `currency`, `rate` and `rateTimestamp` follow: the currency of the prices, the rate applied and the time of the rate table.
  */
 class stockData {
 	/**
@@ -38,17 +49,22 @@ class stockData {
 	 * - data.stocks.symbol → this.stock
 	 * - data.stocks.latestPrice → this.price
 	 * - data.watchers.length → this.likes
+	 * - data.stocks[field] → this[field], for each selected field
+	 * - data.currency → this.currency, this.rate and this.rateTimestamp, when the prices were converted
 	 *
 	 * @param {ManagersResult} data - The incoming managers result to import.
+	 * @param {string[]} [fields] - StockQuote fields to include besides stock, price and likes.
 	 * @returns {stockData} The current instance after importing data (for chaining).
-	 * @throws {Error} If the provided data is not a valid ManagersResult (validation may throw).
+	 * @throws {Error} If the provided data is not a valid ManagersResult or a field is unknown (validation may throw).
 	 * @public
 	 */
-	_import(data) {
+	_import(data, fields = []) {
 		z.instanceof(ManagersResult).parse(data);
 		this.stock = data.stocks.symbol;
 		this.price = data.stocks.latestPrice;
 		this.likes = data.watchers.length;
+		z.array(z.enum(StockQuoteFields)).parse(fields).forEach((field) => (this[field] = data.stocks[field] ?? null));
+		data.currency && Object.assign(this, {"currency": data.currency.code, "rate": data.currency.rate, "rateTimestamp": data.currency.timestamp ?? null});
 		
 		return this;
 	}
@@ -56,9 +72,10 @@ class stockData {
 	/**
 	 * @constructor
 	 * @param {ManagersResult} data - The incoming manager’s result to import.
+	 * @param {string[]} [fields] - StockQuote fields to include besides stock, price and likes.
 	 */
-	constructor(data) {
-		data && (this._import(data));
+	constructor(data, fields = []) {
+		data && (this._import(data, fields));
 	}
 }
 
@@ -68,7 +85,9 @@ class stockData {
  * @classdesc Adapter that transforms a ManagersComparisonResult into an array of plain stock
  * objects suitable for output. For each symbol name in the comparison result it constructs a
  * new stockData instance, removes any properties whose keys include the substring "like",
- * and appends a numeric "rel_likes" property taken from the comparison.watchers map.
+ * and appends a numeric "rel_likes" property taken from the comparison.watchers map, i.e. the
+ * symbol's likes minus the comparison baseline (by default the mean likes of the other symbols).
+ * Selected StockQuote fields and the currency of converted prices are kept, between the price and "rel_likes".
  *
  * @example
  * const adapter = new comparedStockData(managersComparisonResult);
@@ -87,7 +106,7 @@ class comparedStockData {
 	get stockData() {
 		return (this.#data.names.map((name) => Object.fromEntries(
 				[...Object.entries(
-					new stockData(this.#data.data[name])
+					new stockData(this.#data.data[name], this.fields)
 				).filter((record) => (!(record[0].includes(`like`)))), 
 				[`rel_likes`, this.#data.comparison.watchers[name]]
 			])
@@ -109,6 +128,12 @@ class comparedStockData {
 	 * @private
 	 */
 	#data; 
+
+	/**
+	 * StockQuote fields included besides stock and price.
+	 * @type {string[]}
+	 */
+	fields = [];
 	
 	/**
 	 * Internal parsed comparison result.
@@ -143,10 +168,398 @@ class comparedStockData {
 	 * 
 	 * @constructor
 	 * @param {ManagersComparisonResult} [data] - Optional initial comparison result to import.
+	 * @param {string[]} [fields] - StockQuote fields to include besides stock and price.
 	 */
-	constructor(data) {
+	constructor(data, fields = []) {
 		data && (this.data = data);
+		this.fields = z.array(z.enum(StockQuoteFields)).parse(fields);
+	}
+};
+
+/**
+ * batchStockData
+ * @class batchStockData
+ * @classdesc Holds the per-symbol outcome of a batch request: a stockData for every symbol that could be read and an error for every symbol that could not.
+ *
+ * @example
+ * const batch = new batchStockData([new stockData(result), {"stock": "ZZZ", "error": processingError}]);
+ * batch.stockData; // [{ stock: 'AAPL', price: 123, likes: 1 }, { stock: 'ZZZ', error: {...} }]
+ */
+class batchStockData {
+	/**
+	 * Per-symbol outcomes, in request order.
+	 * @type {Array<stockData|{stock: string, error: import('./error.js')|Object}>}
+	 */
+	stockData = [];
+
+	/**
+	 * Create a batchStockData instance.
+	 *
+	 * @constructor
+	 * @param {Array<stockData|{stock: string, error: import('./error.js')|Object}>} [entries] - Formatted outcomes.
+	 */
+	constructor(entries) {
+		entries && (this.stockData = z.array(z.union([z.instanceof(stockData), z.object({"stock": z.any(), "error": z.any()})])).parse(entries));
+	}
+};
+
+/**
+ * watchlistData
+ * @class watchlistData
+ * @extends batchStockData
+ * @classdesc Holds the per-symbol outcome of reading a named watchlist, like a batch, with the name of the watchlist.
+ *
+ * @example
+ * const list = new watchlistData("tech", [new stockData(result)]);
+ * list.watchlist; // 'tech'
+ * list.stockData; // [{ stock: 'AAPL', price: 123, likes: 1 }]
+ */
+class watchlistData extends batchStockData {
+	/**
+	 * Name of the watchlist.
+	 * @type {string}
+	 */
+	watchlist;
+
+	/**
+	 * Create a watchlistData instance.
+	 *
+	 * @constructor
+	 * @param {string} name - Name of the watchlist.
+	 * @param {Array<stockData|{stock: string, error: import('./error.js')|Object}>} [entries] - Formatted outcomes, in the order of the watchlist.
+	 */
+	constructor(name, entries) {
+		super(entries);
+		this.watchlist = z.string().parse(name);
+	}
+};
+
+/**
+ * watchlistIndex
+ * @class watchlistIndex
+ * @classdesc Holds the named watchlists of a watcher and their symbols, without quotes, intended for responses.
+ *
+ * @example
+ * const lists = new watchlistIndex(managersWatchlistsResult);
+ * lists.watchlists; // [{ name: 'likes', stock: ['AAPL'] }, { name: 'tech', stock: ['MSFT', 'GOOG'] }]
+ */
+class watchlistIndex {
+	/**
+	 * The watchlists, in the order they were created.
+	 * @type {Array<{name: string, stock: string[]}>}
+	 */
+	watchlists = [];
+
+	/**
+	 * Import and populate this watchlistIndex instance from a ManagersWatchlistsResult payload.
+	 *
+	 * @param {ManagersWatchlistsResult} data - The incoming watchlists to import.
+	 * @returns {watchlistIndex} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersWatchlistsResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersWatchlistsResult).parse(data);
+		this.watchlists = Object.entries(data.lists).map(([name, symbols]) => ({"name": name, "stock": symbols}));
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersWatchlistsResult} data - The incoming watchlists to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * stockHistory
+ * @class stockHistory
+ * @classdesc Holds the recorded quotes of a stock, intended for responses.
+ *
+ * @property {string} stock - The stock symbol (e.g., "AAPL").
+ * @property {Array<Record<string, *>>} history - Recorded quotes, oldest first, with their `latestTime` as an ISO string.
+ */
+class stockHistory {
+	/**
+	 * The stock symbol
+	 * @type {String}
+	 */
+	stock = "";
+
+	/**
+	 * The recorded quotes
+	 * @type {Array<Record<string, *>>}
+	 */
+	history = [];
+
+	/**
+	 * Import and populate this stockHistory instance from a ManagersHistoryResult payload.
+	 *
+	 * @param {ManagersHistoryResult} data - The incoming history result to import.
+	 * @returns {stockHistory} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersHistoryResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersHistoryResult).parse(data);
+		this.stock = data.symbol;
+		this.history = data.points.map((point) => Object.fromEntries(
+			Object.entries(point).filter((record) => !(record[0].startsWith(`_`) || record[0] == `symbol`))
+		));
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersHistoryResult} data - The incoming history result to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * popularStockData
+ * @class popularStockData
+ * @classdesc Holds a page of the most watched stocks, intended for responses.
+ *
+ * @example
+ * const page = new popularStockData(managersPopularResult);
+ * page.stockData; // [{ rank: 1, stock: 'AAPL', likes: 12 }, ...]
+ */
+class popularStockData {
+	/**
+	 * Ranked stocks of the page, most watched first.
+	 * @type {Array<{rank: number, stock: string, likes: number}>}
+	 */
+	stockData = [];
+
+	/**
+	 * Number of ranked stocks across all pages.
+	 * @type {number}
+	 */
+	total = 0;
+
+	/**
+	 * Import and populate this popularStockData instance from a ManagersPopularResult payload.
+	 *
+	 * @param {ManagersPopularResult} data - The incoming ranking to import.
+	 * @returns {popularStockData} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersPopularResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersPopularResult).parse(data);
+		this.stockData = data.entries.map((entry) => ({"rank": entry.rank, "stock": entry.symbol, "likes": entry.likes}));
+		this.total = data.total;
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersPopularResult} data - The incoming ranking to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * alertRules
+ * @class alertRules
+ * @classdesc Holds price alert rules of a watcher, intended for responses; the owner's address is left out.
+ *
+ * @example
+ * const rules = new alertRules(managersAlertResult);
+ * rules.alerts; // [{ id: '…', stock: 'AAPL', field: 'latestPrice', condition: 'above', value: 200, armed: true, created: Date, triggered: undefined }]
+ */
+class alertRules {
+	/**
+	 * The rules, oldest first.
+	 * @type {Array<{id: string, stock: string, field: string, condition: string, value: number, armed: boolean, created: Date, triggered?: Date}>}
+	 */
+	alerts = [];
+
+	/**
+	 * Import and populate this alertRules instance from a ManagersAlertResult payload.
+	 *
+	 * @param {ManagersAlertResult} data - The incoming rules to import.
+	 * @returns {alertRules} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersAlertResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersAlertResult).parse(data);
+		this.alerts = data.rules.map((rule) => ({
+			"id": rule.id,
+			"stock": rule.symbol,
+			"field": rule.field,
+			"condition": rule.condition,
+			"value": rule.value,
+			"armed": rule.armed,
+			"created": rule.created,
+			"triggered": rule.triggered
+		}));
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersAlertResult} data - The incoming rules to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * alertDeliveries
+ * @class alertDeliveries
+ * @classdesc Holds logged deliveries of triggered price alerts, intended for responses; the owner's address is left out.
+ *
+ * @example
+ * const log = new alertDeliveries(managersDeliveryResult);
+ * log.deliveries; // [{ id: '…', alert: '…', stock: 'AAPL', status: 'delivered', attempts: [{ time: Date, status: 204 }], payload: {...}, created: Date }]
+ */
+class alertDeliveries {
+	/**
+	 * The deliveries, newest first.
+	 * @type {Array<{id: string, alert: string, stock: string, url?: string, status: string, attempts: Object[], payload: Object, created: Date}>}
+	 */
+	deliveries = [];
+
+	/**
+	 * Import and populate this alertDeliveries instance from a ManagersDeliveryResult payload.
+	 *
+	 * @param {ManagersDeliveryResult} data - The incoming deliveries to import.
+	 * @returns {alertDeliveries} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersDeliveryResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersDeliveryResult).parse(data);
+		this.deliveries = data.deliveries.map((delivery) => ({
+			"id": delivery.id,
+			"alert": delivery.alert,
+			"stock": delivery.symbol,
+			"url": delivery.url,
+			"status": delivery.status,
+			"attempts": delivery.attempts,
+			"payload": delivery.payload,
+			"created": delivery.created
+		}));
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersDeliveryResult} data - The incoming deliveries to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * symbolDirectory
+ * @class symbolDirectory
+ * @classdesc Holds entries of the symbol directory matching a search, intended for responses.
+ *
+ * @example
+ * const matches = new symbolDirectory(managersSymbolResult);
+ * matches.symbols; // [{ stock: 'MSFT', name: 'Microsoft Corporation', exchange: 'NASDAQ' }]
+ */
+class symbolDirectory {
+	/**
+	 * The matching entries, best first.
+	 * @type {Array<{stock: string, name: string, exchange?: string}>}
+	 */
+	symbols = [];
+
+	/**
+	 * Import and populate this symbolDirectory instance from a ManagersSymbolResult payload.
+	 *
+	 * @param {ManagersSymbolResult} data - The incoming entries to import.
+	 * @returns {symbolDirectory} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersSymbolResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersSymbolResult).parse(data);
+		this.symbols = data.symbols.map((entry) => ({
+			"stock": entry.symbol,
+			"name": entry.name,
+			"exchange": entry.exchange
+		}));
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersSymbolResult} data - The incoming entries to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
+	}
+};
+
+/**
+ * portfolioData
+ * @class portfolioData
+ * @classdesc Holds the valued positions of a portfolio and their totals, intended for responses; the owner's address is left out.
+ *
+ * @example
+ * const holdings = new portfolioData(managersPortfolioResult);
+ * holdings.portfolio; // [{ stock: 'AAPL', quantity: 10, basis: 150, price: 190.5, marketValue: 1905, cost: 1500, unrealized: 405, unrealizedPercent: 0.27, dayChange: 12.3 }]
+ * holdings.total; // { marketValue: 1905, cost: 1500, unrealized: 405, unrealizedPercent: 0.27, dayChange: 12.3, dayChangePercent: 0.0065 }
+ *
+ * When the amounts were converted (`currency=`), each position ends with `currency`, `rate` and `rateTimestamp`, as in stockData.
+ */
+class portfolioData {
+	/**
+	 * The valued positions, in the order they were opened.
+	 * @type {Array<Record<string, *>>}
+	 */
+	portfolio = [];
+
+	/**
+	 * Totals of the portfolio.
+	 * @type {Record<string, number|null>}
+	 */
+	total = {};
+
+	/**
+	 * Import and populate this portfolioData instance from a ManagersPortfolioResult payload.
+	 *
+	 * @param {ManagersPortfolioResult} data - The incoming valued positions to import.
+	 * @returns {portfolioData} The current instance after importing data (for chaining).
+	 * @throws {Error} If the provided data is not a valid ManagersPortfolioResult.
+	 * @public
+	 */
+	_import(data) {
+		z.instanceof(ManagersPortfolioResult).parse(data);
+		let conversion = (data.currency) ? {"currency": data.currency.code, "rate": data.currency.rate, "rateTimestamp": data.currency.timestamp ?? null} : {};
+		this.portfolio = data.positions.map(({symbol, ...valuation}) => ({"stock": symbol, ...valuation, ...conversion}));
+		this.total = data.total;
+
+		return this;
+	}
+
+	/**
+	 * @constructor
+	 * @param {ManagersPortfolioResult} data - The incoming valued positions to import.
+	 */
+	constructor(data) {
+		data && (this._import(data));
 	}
 };
 
-module.exports = {stockData, comparedStockData};
\ No newline at end of file
+module.exports = {stockData, comparedStockData, batchStockData, watchlistData, watchlistIndex, stockHistory, popularStockData, alertRules, alertDeliveries, symbolDirectory, portfolioData};
\ No newline at end of file
@@ -0,0 +1,272 @@
+const net = require(`net`)
+const crypto = require(`crypto`)
+const z = require(`zod`).z
+const helpers = require(`common-errors`).helpers;
+const config = require(`../../config.js`)
+
+/**
+ * Error thrown when a request presents credentials that cannot be accepted, or none while every strategy requires some.
+ * `challenge` holds the value of the `WWW-Authenticate` header telling how to authenticate.
+ *
+ * @class AuthenticationError
+ * @extends Error
+ */
+const AuthenticationError = helpers.generateClass(`AuthenticationError`, {"args": [`message`, `challenge`]});
+
+/**
+ * Named address ranges accepted among the trusted proxies, as in the `trust proxy` setting of Express.
+ * @constant {Object.<string, Array<[string, number, "ipv4"|"ipv6"]>>}
+ */
+const ProxyRanges = {
+	"loopback": [[`127.0.0.0`, 8, `ipv4`], [`::1`, 128, `ipv6`]],
+	"linklocal": [[`169.254.0.0`, 16, `ipv4`], [`fe80::`, 10, `ipv6`]],
+	"uniquelocal": [[`10.0.0.0`, 8, `ipv4`], [`172.16.0.0`, 12, `ipv4`], [`192.168.0.0`, 16, `ipv4`], [`fc00::`, 7, `ipv6`]]
+}
+
+/**
+ * Shape of a trusted proxy: a named range (see ProxyRanges), an address or a CIDR block.
+ * @constant {import("zod").ZodType}
+ */
+const TrustedProxy = z.union([
+	z.enum(Object.keys(ProxyRanges)),
+	z.string().refine((entry) => {
+		let [address, prefix, ...rest] = entry.split(`/`);
+		let family = net.isIP(address);
+		return family && !(rest.length) && (prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= ((family == 4) ? 32 : 128)));
+	}, `A trusted proxy must be loopback, linklocal, uniquelocal, an IP address or a CIDR block.`)
+])
+
+/**
+ * IdentityResolver
+ * Tells who a request comes from, before the identity is anonymized and used to key likes, watchlists, alerts, portfolios and rate limits.
+ *
+ * Strategies are tried in the configured order; the first one finding credentials in the request gives the identity:
+ * - `key`: an API key in the configured header (`X-API-Key` by default), which must be one of the accepted keys;
+ * - `token`: an `Authorization: Bearer` token, a JWT signed with HMAC-SHA256 (HS256) by the configured secret, whose `sub` claim names the requester;
+ * - `ip`: the address of the client, read from `X-Forwarded-For` when the connection comes from a trusted proxy (the Express `trust proxy` setting is not used).
+ *
+ * Credentials that are present but invalid are refused rather than skipped, and a request without credentials is refused unless `ip` is among the strategies.
+ * Since `ip` always finds an identity, it may only come last.
+ * IP identities are the bare addresses, so that likes recorded before the resolver existed still match; the other identities are prefixed with their strategy.
+ *
+ * @class IdentityResolver
+ */
+class IdentityResolver {
+	/**
+	 * Strategies tried, in order.
+	 * @type {Array<"ip"|"key"|"token">}
+	 */
+	strategies = [`ip`];
+
+	/**
+	 * Header holding the API key (lower case).
+	 * @type {string}
+	 */
+	header = `x-api-key`;
+
+	/**
+	 * Addresses of the trusted proxies.
+	 * @type {net.BlockList}
+	 * @private
+	 */
+	#proxies = new net.BlockList();
+
+	/**
+	 * Accepted API keys.
+	 * @type {Set<string>}
+	 * @private
+	 */
+	#keys = new Set();
+
+	/**
+	 * Secret signing the bearer tokens.
+	 * @type {string|undefined}
+	 * @private
+	 */
+	#secret;
+
+	/**
+	 * Create an IdentityResolver.
+	 *
+	 * @constructor
+	 * @param {Object} [options] - Defaults to the `identity` configuration.
+	 * @param {Array<"ip"|"key"|"token">} [options.strategies] - Strategies tried, in order.
+	 * @param {string[]} [options.proxies] - Trusted proxies (see TrustedProxy); none by default.
+	 * @param {string} [options.header] - Header holding the API key.
+	 * @param {string[]} [options.keys] - Accepted API keys.
+	 * @param {string} [options.secret] - Secret signing the bearer tokens; required by the `token` strategy.
+	 * @throws {ZodError} If an option is invalid, e.g. `ip` is not the last strategy.
+	 */
+	constructor(options = config.identity) {
+		this.strategies = z.array(z.enum([`ip`, `key`, `token`])).min(1)
+			.refine((strategies) => !(strategies.slice(0, -1).includes(`ip`)), `The ip strategy always applies, so it must come last.`)
+			.parse(options?.strategies ?? this.strategies);
+		this.header = z.string().trim().toLowerCase().min(1).parse(options?.header ?? this.header);
+		this.#keys = new Set(z.array(z.string().min(1)).parse(options?.keys ?? []));
+		this.#secret = (this.strategies.includes(`token`)) ? z.string().min(1).parse(options?.secret) : options?.secret;
+
+		z.array(TrustedProxy).parse(options?.proxies ?? []).forEach((entry) => {
+			if (ProxyRanges[entry]) {return ProxyRanges[entry].forEach(([address, prefix, type]) => this.#proxies.addSubnet(address, prefix, type))};
+
+			let [address, prefix] = entry.split(`/`);
+			let type = (net.isIPv4(address)) ? `ipv4` : `ipv6`;
+			(prefix === undefined) ? this.#proxies.addAddress(address, type) : this.#proxies.addSubnet(address, Number(prefix), type);
+		});
+	}
+
+	/**
+	 * Extract the IP address of a `X-Forwarded-For` hop or a socket.
+	 *
+	 * Ports (`203.0.113.7:4711`, `[2001:db8::1]:4711`) and zone identifiers are dropped and IPv4-mapped IPv6 addresses are turned into IPv4.
+	 *
+	 * @param {string} [value] - The hop or socket address.
+	 * @returns {string|undefined} The address, or undefined if the value is not an IP address.
+	 */
+	static address(value) {
+		let address = String(value ?? ``).trim();
+		(/^\[.+\](:\d+)?$/).test(address) && (address = address.slice(1, address.lastIndexOf(`]`)));
+		(/^\d+\.\d+\.\d+\.\d+:\d+$/).test(address) && (address = address.split(`:`)[0]);
+		address = address.split(`%`)[0];
+		(/^::ffff:\d+\.\d+\.\d+\.\d+$/i).test(address) && (address = address.slice(7));
+
+		return (net.isIP(address)) ? address : undefined;
+	}
+
+	/**
+	 * Whether an address belongs to a trusted proxy.
+	 *
+	 * @param {string} address - IP address.
+	 * @returns {boolean} True if the address is trusted.
+	 */
+	trusted(address) {
+		let family = net.isIP(address);
+		return Boolean(family) && this.#proxies.check(address, (family == 4) ? `ipv4` : `ipv6`);
+	}
+
+	/**
+	 * `ip` strategy: the address of the client.
+	 *
+	 * The address of the connection is used unless it is a trusted proxy; `X-Forwarded-For` is then walked from the right,
+	 * the client being the first hop that is not a trusted proxy (or the leftmost one if they all are). A malformed hop ends the walk,
+	 * leaving the last trusted proxy as the client, since nothing left of it can be relied upon.
+	 *
+	 * @param {import('express').Request} request - Express request (or a request-like object with `ip` and `headers`).
+	 * @returns {string|undefined} The address of the client, or undefined if the connection has none.
+	 */
+	ip(request) {
+		let client = IdentityResolver.address(request?.socket?.remoteAddress ?? request?.ip);
+		if (!(client) || !(this.trusted(client))) {return client};
+
+		let hops = [request?.headers?.[`x-forwarded-for`] ?? []].flat().join(`,`).split(`,`).filter((hop) => hop.trim()).reverse();
+		for (let hop of hops) {
+			let address = IdentityResolver.address(hop);
+			if (!(address)) {break};
+
+			client = address;
+			if (!(this.trusted(address))) {break};
+		};
+		return client;
+	}
+
+	/**
+	 * `key` strategy: the API key of the request.
+	 *
+	 * @param {import('express').Request} request - Express request.
+	 * @returns {string|undefined} `key:<key>`, or undefined if the request holds no API key.
+	 * @throws {AuthenticationError} If the API key is not accepted.
+	 */
+	key(request) {
+		let key = [request?.headers?.[this.header]].flat()[0];
+		if (!(key)) {return undefined};
+
+		let given = crypto.createHash(`sha256`).update(String(key)).digest();
+		let known = Array.from(this.#keys).some((accepted) => crypto.timingSafeEqual(given, crypto.createHash(`sha256`).update(accepted).digest()));
+		if (!(known)) {throw new AuthenticationError(`Unknown API key.`, `ApiKey header="${this.header}"`)};
+		return `key:${key}`;
+	}
+
+	/**
+	 * `token` strategy: the subject of the bearer token of the request.
+	 *
+	 * @param {import('express').Request} request - Express request.
+	 * @returns {string|undefined} `token:<subject>`, or undefined if the request holds no bearer token.
+	 * @throws {AuthenticationError} If the token is invalid (see verify).
+	 */
+	token(request) {
+		let match = String(request?.headers?.authorization ?? ``).match(/^Bearer\s+(\S+)\s*$/i);
+		return (match) ? `token:${this.verify(match[1]).sub}` : undefined;
+	}
+
+	/**
+	 * Verify a bearer token: a JWT signed with HS256 by the secret, with a `sub` claim and optional `exp` and `nbf` claims (seconds since the epoch).
+	 *
+	 * @param {string} token - The token.
+	 * @returns {{sub: string, exp?: number, nbf?: number}} The claims of the token.
+	 * @throws {AuthenticationError} If the token is malformed, not signed by the secret, expired, not valid yet or has no subject.
+	 */
+	verify(token) {
+		const refuse = (reason) => {throw new AuthenticationError(`Invalid bearer token: ${reason}.`, `Bearer error="invalid_token"`)};
+		if (!(this.#secret)) {refuse(`bearer tokens are not accepted`)};
+
+		let parts = String(token).split(`.`);
+		(parts.length != 3) && refuse(`malformed`);
+
+		let expected = crypto.createHmac(`sha256`, this.#secret).update(`${parts[0]}.${parts[1]}`).digest();
+		let signature = Buffer.from(parts[2], `base64url`);
+		(signature.length == expected.length && crypto.timingSafeEqual(signature, expected)) || refuse(`bad signature`);
+
+		let header, claims;
+		try {
+			[header, claims] = parts.slice(0, 2).map((part) => JSON.parse(Buffer.from(part, `base64url`).toString(`utf8`)));
+		} catch(error) {
+			refuse(`malformed`);
+		};
+		(header?.alg == `HS256`) || refuse(`unsupported algorithm`);
+
+		let parsed = z.object({"sub": z.coerce.string().min(1), "exp": z.number().optional(), "nbf": z.number().optional()}).loose().safeParse(claims);
+		parsed.success || refuse(`no subject`);
+
+		let now = Date.now() / 1000;
+		(parsed.data.exp !== undefined && parsed.data.exp <= now) && refuse(`expired`);
+		(parsed.data.nbf !== undefined && parsed.data.nbf > now) && refuse(`not valid yet`);
+		return parsed.data;
+	}
+
+	/**
+	 * Issue a bearer token accepted by verify.
+	 *
+	 * @param {string} subject - Identity of the requester (`sub` claim).
+	 * @param {number} [lifetime=0] - Lifetime of the token in seconds; 0 never expires.
+	 * @returns {string} The signed token.
+	 * @throws {ZodError} If the subject is empty or no secret is configured.
+	 */
+	sign(subject, lifetime = 0) {
+		let secret = z.string().min(1).parse(this.#secret);
+		let now = Math.floor(Date.now() / 1000);
+		let claims = {"sub": z.string().min(1).parse(subject), "iat": now, ...((lifetime) ? {"exp": now + lifetime} : {})};
+
+		let unsigned = [{"alg": `HS256`, "typ": `JWT`}, claims].map((part) => Buffer.from(JSON.stringify(part)).toString(`base64url`)).join(`.`);
+		return `${unsigned}.${crypto.createHmac(`sha256`, secret).update(unsigned).digest(`base64url`)}`;
+	}
+
+	/**
+	 * Identify the requester of a request with the first strategy finding credentials in it.
+	 *
+	 * @param {import('express').Request} request - Express request (or a request-like object with `ip` and `headers`).
+	 * @returns {string|undefined} The raw identity (see the strategies), or undefined when only `ip` applies and the connection has no address.
+	 * @throws {AuthenticationError} If credentials are invalid, or missing while `ip` is not among the strategies.
+	 */
+	resolve(request) {
+		for (let strategy of this.strategies) {
+			let identity = this[strategy](request);
+			if (identity || strategy == `ip`) {return identity};
+		};
+
+		throw new AuthenticationError(
+			`Credentials are required: ${this.strategies.map((strategy) => ((strategy == `key`) ? `an API key in the ${this.header} header` : `a bearer token`)).join(` or `)}.`,
+			(this.strategies.includes(`token`)) ? `Bearer` : `ApiKey header="${this.header}"`
+		);
+	}
+}
+
+module.exports = {IdentityResolver, AuthenticationError};
@@ -1,25 +1,67 @@
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+const StockQuoteFields = require(`../../data/stock.js`).StockQuoteFields
+const Renderings = require(`./renderings.js`).Renderings
+
 /**
  * Registered errors that can be thrown back to the user.
  * Maps logical error categories to error classes exported by other modules.
  * @constant {Object}
  * @property {Object} fetching - Errors thrown by fetching logic (from ../outgoing/fetch.js).
  * @property {Function} validation - Validation error constructor (ZodError).
+ * @property {Function} limiting - Rate limit error constructor (from ./limiter.js).
+ * @property {Function} authentication - Refused credentials error constructor (from ./identity.js).
  */
 const Errors = {
     "fetching": require(`../outgoing/fetch.js`).Errors,
-    "validation": require(`zod`).z.ZodError
+    "validation": require(`zod`).z.ZodError,
+    "limiting": require(`./limiter.js`).RateLimitError,
+    "authentication": require(`./identity.js`).AuthenticationError
 }
 
+/**
+ * HTTP status codes of the registered errors, checked in order (more specific classes first).
+ * Errors that are not listed here are reported as a generic 500, without their details.
+ * @constant {Array<[Function, number]>}
+ */
+const Statuses = [
+    [Errors.limiting, 429],
+    [Errors.authentication, 401],
+    [Errors.fetching.NotFound, 404],
+    [Errors.validation, 400],
+    [Errors.fetching.Timeout, 504],
+    [Errors.fetching.CircuitOpen, 503],
+    [Errors.fetching.Connection, 502]
+]
+
 /**
  * Registry of valid response types produced by manager modules.
  * Used to detect the kind of result returned so it can be converted to a response format.
  * @constant {Object}
  * @property {Function} comparison - Constructor for comparison results (`ManagersComparisonResult`).
  * @property {Function} single - Constructor for single stock results (`ManagersResult`).
+ * @property {Function} batch - Constructor for batch results (`ManagersBatchResult`), including read watchlists (`ManagersWatchlistResult`).
+ * @property {Function} watchlist - Constructor for read watchlist results (`ManagersWatchlistResult`).
+ * @property {Function} watchlists - Constructor for watchlist index results (`ManagersWatchlistsResult`).
+ * @property {Function} history - Constructor for quote history results (`ManagersHistoryResult`).
+ * @property {Function} popular - Constructor for ranking results (`ManagersPopularResult`).
+ * @property {Function} alerts - Constructor for alert rule results (`ManagersAlertResult`).
+ * @property {Function} deliveries - Constructor for alert delivery log results (`ManagersDeliveryResult`).
+ * @property {Function} symbols - Constructor for symbol directory results (`ManagersSymbolResult`).
+ * @property {Function} portfolio - Constructor for valued portfolio results (`ManagersPortfolioResult`).
  */
 const Responses = {
     "comparison": require(`../../manager/managers.js`).ManagersComparisonResult,
-    "single": require(`../../manager/managers.js`).ManagersResult
+    "single": require(`../../manager/managers.js`).ManagersResult,
+    "batch": require(`../../manager/managers.js`).ManagersBatchResult,
+    "watchlist": require(`../../manager/managers.js`).ManagersWatchlistResult,
+    "watchlists": require(`../../manager/managers.js`).ManagersWatchlistsResult,
+    "history": require(`../../manager/managers.js`).ManagersHistoryResult,
+    "popular": require(`../../manager/managers.js`).ManagersPopularResult,
+    "alerts": require(`../../manager/managers.js`).ManagersAlertResult,
+    "deliveries": require(`../../manager/managers.js`).ManagersDeliveryResult,
+    "symbols": require(`../../manager/managers.js`).ManagersSymbolResult,
+    "portfolio": require(`../../manager/managers.js`).ManagersPortfolioResult
 }
 
 /**
@@ -43,7 +85,7 @@ class Formats {
  *
  * Typical responsibilities:
  * - Run an async callback that produces a manager result.
- * - Catch known errors and wrap them into a Formats.error instance.
+ * - Catch thrown errors and wrap them into a Formats.error instance (a generic 500 for unknown ones).
  * - Convert manager result instances into Formats.response.* instances.
  *
  * @class OutputProcessor
@@ -57,65 +99,256 @@ class OutputProcessor {
      */
     content;
 
+    /**
+     * Body format of the response.
+     * - `json`: errors are sent as `{ error: <error-format> }`
+     * - `problem`: errors are sent as RFC 7807 problem details (`application/problem+json`)
+     *
+     * Successful results are sent the same way in both formats.
+     *
+     * @type {"json"|"problem"}
+     */
+    format = config.errors.format;
+
+    /**
+     * Rendering of the response body (see `Renderings`).
+     * - `json`: the message object, sent as JSON
+     * - `csv`: the rows of the message as a CSV document with a header line
+     * - `ndjson`: the rows of the message as newline-delimited JSON
+     *
+     * @type {"json"|"csv"|"ndjson"}
+     */
+    rendering = `json`;
+
+    /**
+     * StockQuote fields added to stockData besides stock, price and likes; empty for the default freeCodeCamp shape.
+     * @type {string[]}
+     */
+    fields = [];
+
+    /**
+     * Field selection and rendering requested by the client, validated when the processor executes so that mistakes are reported like any other invalid input.
+     * @type {{fields?: string|string[], full?: string, format?: string}|undefined}
+     * @private
+     */
+    #selection;
+
+    /**
+     * Choose the response format from an incoming request.
+     *
+     * Clients listing `application/problem+json` in their `Accept` header get problem details; other clients get the configured default.
+     * The `fields` query parameter (comma-separated or repeated StockQuote field names) and the `full=true` shortcut (every field) select the quote fields of stockData.
+     * The rendering is chosen by the `format` query parameter (`json`, `csv` or `ndjson`) or else by the first media type of a rendering found in the `Accept` header (`text/csv`, `application/x-ndjson`).
+     *
+     * @param {import('express').Request} request - Express request object.
+     * @returns {OutputProcessor} The current instance (for chaining).
+     */
+    negotiate(request) {
+        let accept = String(request?.headers?.accept || ``);
+        (accept.includes(`application/problem+json`)) && (this.format = `problem`);
+
+        let accepted = accept.split(`,`).map((type) => type.split(`;`)[0].trim().toLowerCase());
+        let rendering = accepted.map((type) => Object.keys(Renderings).find((name) => Renderings[name].types.includes(type))).find(Boolean);
+        rendering && (this.rendering = rendering);
+
+        this.#selection = {"fields": request?.query?.fields, "full": request?.query?.full, "format": request?.query?.format};
+        return this;
+    };
+
+    /**
+     * Validate a field selection.
+     *
+     * `full=true` selects every StockQuote field but `symbol` and `latestPrice`, which stockData already holds as `stock` and `price`.
+     *
+     * @param {{fields?: string|string[], full?: string|boolean}} [selection] - Requested fields.
+     * @returns {string[]} The selected StockQuote fields, without duplicates.
+     * @throws {ZodError} If a field is unknown or `full` is not a boolean.
+     */
+    static select(selection = {}) {
+        let parameters = z.object({
+            "fields": z.union([z.string(), z.array(z.string())]).optional()
+                .transform((fields) => [fields ?? []].flat().flatMap((field) => field.split(`,`)).map((field) => field.trim()).filter(Boolean))
+                .pipe(z.array(z.enum(StockQuoteFields))),
+            "full": z.union([z.boolean(), z.stringbool()]).optional()
+        }).parse(selection || {});
+
+        let fields = (parameters.full) ? StockQuoteFields.filter((field) => ![`symbol`, `latestPrice`].includes(field)) : [];
+        return [...new Set([...fields, ...parameters.fields])];
+    };
+
+    /**
+     * HTTP status code matching the current content: the error status for errors, 200 otherwise.
+     * @type {number}
+     * @readonly
+     */
+    get status() {
+        return (this.content instanceof Formats.error) ? this.content.status : 200;
+    };
+
+    /**
+     * Extra HTTP headers matching the current content: `Retry-After` for errors that tell when to retry, `WWW-Authenticate` for refused credentials.
+     * @type {Object.<string, string>}
+     * @readonly
+     */
+    get headers() {
+        if (!(this.content instanceof Formats.error)) {return {}};
+        return {
+            ...((this.content.retry) ? {"Retry-After": String(this.content.retry)} : {}),
+            ...((this.content.challenge) ? {"WWW-Authenticate": String(this.content.challenge)} : {})
+        };
+    };
+
+    /**
+     * Content type matching the current content and format.
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        if (this.rendering != `json`) {return Renderings[this.rendering].type};
+        return (this.content instanceof Formats.error && this.format == `problem`) ? `application/problem+json` : `application/json`;
+    };
+
     /**
      * Get a response-ready message object.
      *
-     * If content is a Formats.error instance, returns `{ error: <error-format> }`.
-     * If content is a formatted stock response or comparison response, returns `{ stockData: <data> }`.
+     * If content is a Formats.error instance, returns `{ error: <error-format> }`, or its problem details in the `problem` format.
+     * If content is a formatted stock, comparison, batch or history response, returns `{ stockData: <data> }`; a ranking also carries its `total` and a read watchlist its name as `watchlist`.
+     * Alert rules, deliveries and symbol directory entries are returned as `{ alerts: [...] }`, `{ deliveries: [...] }` and `{ symbols: [...] }`; a portfolio as `{ portfolio: [...], total: {...} }` and watchlists as `{ watchlists: [...] }`.
      * Otherwise returns the raw content.
      *
      * @returns {Object|any} Response payload appropriate for sending to clients.
      */
     get message() {
         if (this.content instanceof Formats.error) {
-            return {"error": this.content};
-        } else if ([Formats.response.stockData, Formats.response.comparedStockData].some((value) => (this.content instanceof value))) {
+            return (this.format == `problem`) ? this.content.problem : {"error": this.content};
+        } else if (this.content instanceof Formats.response.alertRules) {
+            return {"alerts": this.content.alerts};
+        } else if (this.content instanceof Formats.response.alertDeliveries) {
+            return {"deliveries": this.content.deliveries};
+        } else if (this.content instanceof Formats.response.symbolDirectory) {
+            return {"symbols": this.content.symbols};
+        } else if (this.content instanceof Formats.response.portfolioData) {
+            return {"portfolio": this.content.portfolio, "total": this.content.total};
+        } else if (this.content instanceof Formats.response.watchlistIndex) {
+            return {"watchlists": this.content.watchlists};
+        } else if (this.content instanceof Formats.response.watchlistData) {
+            return {"watchlist": this.content.watchlist, "stockData": this.content.stockData};
+        } else if (this.content instanceof Formats.response.popularStockData) {
+            return {"stockData": this.content.stockData, "total": this.content.total};
+        } else if ([Formats.response.stockData, Formats.response.comparedStockData, Formats.response.batchStockData, Formats.response.stockHistory].some((value) => (this.content instanceof value))) {
             return {"stockData": this.content?.stockData || this.content};
         } else {
             return this.content;
         }
     };
 
+    /**
+     * Flat records of the current content, for the tabular renderings.
+     *
+     * - errors: a single `{error, status, detail}` record, whatever the format;
+     * - stock, comparison, batch, watchlist and ranking responses: one record per stock (batch errors as `{stock, error}` with the error detail);
+     * - watchlist indexes: one record per watchlist;
+     * - history: one record per recorded quote, with its `stock`;
+     * - alert rules, deliveries, symbol directory entries and portfolios: one record per rule, delivery, entry or position (portfolio totals are left out);
+     * - anything else: the message itself as a single record.
+     *
+     * Nested values are left as they are; CSV cells hold them as JSON.
+     *
+     * @type {Object[]}
+     * @readonly
+     */
+    get rows() {
+        if (this.content instanceof Formats.error) {
+            let problem = this.content.problem;
+            return [{"error": problem.name, "status": problem.status, "detail": problem.detail}];
+        } else if (this.content instanceof Formats.response.stockHistory) {
+            return this.content.history.map((point) => ({"stock": this.content.stock, ...point}));
+        };
+
+        let message = this.message;
+        let rows = message?.stockData ?? message?.alerts ?? message?.deliveries ?? message?.symbols ?? message?.portfolio ?? message?.watchlists ?? message;
+        return [rows ?? []].flat().map((row) => ((row?.error) ? {"stock": row.stock, "error": row.error?.detail ?? row.error?.description ?? row.error} : row));
+    };
+
+    /**
+     * Response body in the current rendering: the message object for `json`, a string otherwise.
+     * @type {Object|string}
+     * @readonly
+     */
+    get body() {
+        return Renderings[this.rendering].render(this.message, (this.rendering == `json`) ? [] : this.rows);
+    };
+
     /**
      * Execute an async callback and process its result or any thrown known errors.
      *
      * The first argument to this method is expected to be the callback function. Any additional arguments passed to execute(...) are forwarded to the callback.
      * 
-     * Known errors (`fetching.Connection`, `fetching.NotFound`, `ZodError`) are caught and wrapped in `Formats.error`. Unknown errors are re-thrown.
+     * Known errors (see `Statuses`: `limiting`, `authentication`, `fetching.NotFound`, `ZodError`, `fetching.Timeout`, `fetching.CircuitOpen`, `fetching.Connection`) are caught and wrapped in `Formats.error` with their HTTP status. Unknown errors are logged and answered with a generic 500 in the same format, so a bug never leaves a request without a response.
      *
      * If the callback returns a manager result, it is converted into the appropriate `Formats.response.*` instance.
+     * Batch and watchlist results are converted entry by entry, each through its own OutputProcessor, so that an error only affects its own symbol (an unknown one as that entry's 500).
      *
      * @param {Function} callback - Async function to execute (should return a manager result).
      * @param {...any} [args] - Arguments forwarded to the callback.
-     * @returns {Promise<Formats.error|Formats.response.stockData|Formats.response.comparedStockData|any>} The processed content.
+     * @returns {Promise<Object|string>} The response body of the processed content, in the current rendering (see `body`).
      *
      * @example
      * const proc = new OutputProcessor();
      * await proc.execute(asyncFunction, arg1, arg2);
-     * // then proc.message can be used to get a response-ready payload
+     * // then proc.message (or proc.body, in the negotiated rendering) can be used to get a response-ready payload
      */
     async execute(callback) {
         let result; 
         try {
+            this.#selection && (this.fields = OutputProcessor.select(this.#selection));
+            this.#selection?.format && (this.rendering = z.enum(Object.keys(Renderings)).parse(this.#selection.format));
             result = await callback(...Array.from(arguments).slice(1))
         } catch(error) {
             console.error(error)
-            if ([Errors.fetching.Connection, Errors.fetching.NotFound, Errors.validation].some((value) => (error instanceof value))) {
-                this.content = new Formats.error(error)
+            let known = Statuses.find((value) => (error instanceof value[0]));
+            if (known) {
+                this.content = new Formats.error(error, known[1])
             } else {
-                throw error;
+                this.content = new Formats.error(`Failed to process the request.`, 500)
             };
         };
 
         if (result) {
             if (result instanceof Responses[`single`]) {
-                this.content = new Formats.response.stockData(result)
+                this.content = new Formats.response.stockData(result, this.fields)
             } else if (result instanceof Responses['comparison']) {
-                this.content = new Formats.response.comparedStockData(result)
+                this.content = new Formats.response.comparedStockData(result, this.fields)
+            } else if (result instanceof Responses['history']) {
+                this.content = new Formats.response.stockHistory(result)
+            } else if (result instanceof Responses['popular']) {
+                this.content = new Formats.response.popularStockData(result)
+            } else if (result instanceof Responses['alerts']) {
+                this.content = new Formats.response.alertRules(result)
+            } else if (result instanceof Responses['deliveries']) {
+                this.content = new Formats.response.alertDeliveries(result)
+            } else if (result instanceof Responses['symbols']) {
+                this.content = new Formats.response.symbolDirectory(result)
+            } else if (result instanceof Responses['portfolio']) {
+                this.content = new Formats.response.portfolioData(result)
+            } else if (result instanceof Responses['watchlists']) {
+                this.content = new Formats.response.watchlistIndex(result)
+            } else if (result instanceof Responses['batch']) {
+                let entries = await Promise.all(result.entries.map(async (entry) => {
+                    let processor = new OutputProcessor();
+                    processor.format = this.format;
+                    processor.fields = this.fields;
+                    await processor.execute(() => {
+                        if (entry.error) {throw entry.error};
+                        return entry.result;
+                    });
+                    return (processor.content instanceof Formats.error) ? {"stock": entry.symbol, "error": processor.message?.error || processor.message} : processor.content;
+                }));
+                this.content = (result instanceof Responses['watchlist']) ? new Formats.response.watchlistData(result.name, entries) : new Formats.response.batchStockData(entries);
             };
         };
 
-        return this.message;
+        return this.body;
     };
 
     /**
@@ -129,4 +362,4 @@ class OutputProcessor {
     };
 };
 
-module.exports = {Formats, OutputProcessor};
\ No newline at end of file
+module.exports = {Formats, Statuses, OutputProcessor};
\ No newline at end of file
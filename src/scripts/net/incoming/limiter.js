@@ -0,0 +1,138 @@
+const z = require(`zod`).z
+const helpers = require(`common-errors`).helpers;
+const Storage = require(`../../storage/storage.js`)
+const config = require(`../../config.js`)
+
+/**
+ * Error thrown when a requester has used up its allowance for the current window.
+ * `retry` holds the number of seconds until the window resets, for the `Retry-After` header.
+ *
+ * @class RateLimitError
+ * @extends Error
+ */
+const RateLimitError = helpers.generateClass(`RateLimitError`, {"args": [`message`, `retry`]});
+
+/**
+ * RateLimiter
+ * Counts the requests of each address in fixed windows, with a separate allowance per bucket (e.g. `reads` and `likes`).
+ *
+ * Counters live in a storage adapter (see scripts/storage), so they can be kept in memory or shared through another adapter.
+ * Each record holds `{count, reset}`: the cost consumed in the current window and the time (in milliseconds since the epoch) the window ends.
+ *
+ * @class RateLimiter
+ */
+class RateLimiter {
+	/**
+	 * Storage adapter holding the counters, keyed by `<bucket>:<address>`.
+	 * @type {import('../../storage/storage.js').MemoryStorage}
+	 * @private
+	 */
+	#counters;
+
+	/**
+	 * Allowance of each bucket: `limit` units per `window` milliseconds; a limit of 0 disables the bucket.
+	 * @type {Object.<string, {limit: number, window: number}>}
+	 */
+	buckets = {};
+
+	/**
+	 * Timer dropping the expired counters.
+	 * @type {NodeJS.Timeout}
+	 * @private
+	 */
+	#timer;
+
+	/**
+	 * Create a RateLimiter.
+	 *
+	 * @constructor
+	 * @param {Object.<string, {limit: number, window: number}>} [buckets] - Defaults to the `limits` configuration.
+	 * @param {import('../../storage/storage.js').MemoryStorage} [storage] - Storage adapter to use; defaults to the one selected by `limits.store`.
+	 */
+	constructor(buckets = config.limits.buckets, storage = undefined) {
+		this.buckets = z.record(z.string(), z.object({"limit": z.number().int().gte(0), "window": z.number().int().gte(1)})).parse(buckets);
+		this.#counters = storage || Storage.create(`limits`, {}, config.limits.store);
+
+		this.#timer = setInterval(() => this.prune(), Math.max(...Object.values(this.buckets).map((bucket) => bucket.window), 1000));
+		this.#timer.unref(); // never keep the process alive
+	}
+
+	/**
+	 * Tell whether units of a bucket can be consumed for an address, without consuming them.
+	 * Lets a request charged to several buckets check them all before consuming any.
+	 *
+	 * @param {string} bucket - Name of the bucket (e.g. `reads` or `likes`).
+	 * @param {string|undefined} address - Address of the requester; requests without an address are not limited.
+	 * @param {number} [cost=1] - Units that would be consumed.
+	 * @returns {{limit: number, remaining: number, reset: Date}|undefined} The state the allowance would have, or undefined when not limited.
+	 * @throws {RateLimitError} If consuming them would exceed the allowance of the current window.
+	 */
+	peek(bucket, address, cost = 1) {
+		let state = this.#counter(bucket, address, cost);
+		return state && {"limit": state.allowance.limit, "remaining": state.allowance.limit - state.counter.count - cost, "reset": new Date(state.counter.reset)};
+	}
+
+	/**
+	 * Consume units of a bucket for an address.
+	 *
+	 * @param {string} bucket - Name of the bucket (e.g. `reads` or `likes`).
+	 * @param {string|undefined} address - Address of the requester; requests without an address are not limited.
+	 * @param {number} [cost=1] - Units consumed.
+	 * @returns {{limit: number, remaining: number, reset: Date}|undefined} The state of the allowance, or undefined when not limited.
+	 * @throws {RateLimitError} If the allowance of the current window is used up; nothing is consumed then.
+	 */
+	consume(bucket, address, cost = 1) {
+		let state = this.#counter(bucket, address, cost);
+		if (!(state)) {return undefined};
+
+		state.counter.count += cost;
+		this.#counters.put(state.key, state.counter);
+		return {"limit": state.allowance.limit, "remaining": state.allowance.limit - state.counter.count, "reset": new Date(state.counter.reset)};
+	}
+
+	/**
+	 * Read the counter of a bucket for an address and check that `cost` more units fit in its window.
+	 *
+	 * @private
+	 * @param {string} bucket - Name of the bucket.
+	 * @param {string|undefined} address - Address of the requester.
+	 * @param {number} cost - Units to fit.
+	 * @returns {{allowance: {limit: number, window: number}, key: string, counter: {count: number, reset: number}}|undefined} The counter (a fresh one when its window has ended), or undefined when not limited.
+	 * @throws {RateLimitError} If the units do not fit.
+	 */
+	#counter(bucket, address, cost) {
+		let allowance = z.enum(Object.keys(this.buckets)).transform((name) => this.buckets[name]).parse(bucket);
+		if (!(allowance.limit) || !(address)) {return undefined};
+
+		let key = `${bucket}:${address}`;
+		let now = Date.now();
+		let counter = this.#counters.get(key);
+		(!(counter) || counter.reset <= now) && (counter = {"count": 0, "reset": now + allowance.window});
+
+		if (counter.count + cost > allowance.limit) {
+			let retry = Math.max(Math.ceil((counter.reset - now) / 1000), 1);
+			throw new RateLimitError(`Too many ${bucket}; retry in ${retry} s.`, retry);
+		};
+		return {"allowance": allowance, "key": key, "counter": counter};
+	}
+
+	/**
+	 * Drop the counters whose window has ended.
+	 * @returns {number} Number of counters dropped.
+	 */
+	prune() {
+		let now = Date.now();
+		let expired = this.#counters.keys().filter((key) => (this.#counters.get(key)?.reset <= now));
+		expired.forEach((key) => this.#counters.delete(key));
+		return expired.length;
+	}
+
+	/**
+	 * Stop the pruning timer.
+	 */
+	close() {
+		clearInterval(this.#timer);
+	}
+}
+
+module.exports = {RateLimiter, RateLimitError};
@@ -0,0 +1,384 @@
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+const StockQuote = require(`../../data/stock.js`).StockQuote
+const StockQuoteFields = require(`../../data/stock.js`).StockQuoteFields
+const Watcher = require(`../../data/watcher.js`)
+const AlertRule = require(`../../data/alert.js`).AlertRule
+const AlertDelivery = require(`../../data/alert.js`).AlertDelivery
+const ListedSymbol = require(`../../data/symbol.js`)
+const Position = require(`../../data/portfolio.js`).Position
+const Renderings = require(`./renderings.js`).Renderings
+const information = require(`../../../package.json`)
+
+/**
+ * Convert a zod schema into a JSON Schema for the document (OpenAPI 3.1 embeds JSON Schema 2020-12).
+ *
+ * Dates are described as `date-time` strings, the way they are serialized, and `z.instanceof()` checks become references to the component named after the class.
+ *
+ * @param {z.ZodType} schema - Schema to convert.
+ * @param {"input"|"output"} [io="output"] - Whether to describe what the schema accepts or what it produces.
+ * @returns {Object} The JSON Schema, without its `$schema` keyword.
+ */
+function convert(schema, io = `output`) {
+	let converted = z.toJSONSchema(schema, {
+		"io": io,
+		"unrepresentable": `any`,
+		"override": (context) => {
+			let definition = context.zodSchema._zod.def;
+			(definition.type == `date`) && Object.assign(context.jsonSchema, {"type": `string`, "format": `date-time`});
+			(definition.type == `custom` && context.zodSchema._zod.bag?.Class) && (context.jsonSchema.$ref = `#/components/schemas/${context.zodSchema._zod.bag.Class.name}`);
+		}
+	});
+	delete converted.$schema;
+	return converted;
+}
+
+/**
+ * Reference to a component schema.
+ *
+ * @param {string} name - Name of the component.
+ * @returns {{$ref: string}} The reference.
+ */
+const reference = (name) => ({"$ref": `#/components/schemas/${name}`});
+
+/**
+ * Shape of the data schemas of the application, read from a blank instance of each class.
+ * @constant {Object.<string, z.ZodObject>}
+ */
+const Models = {
+	"StockQuote": new StockQuote({"symbol": `A`})._schema,
+	"Watcher": new Watcher({"stock": [], "address": ``})._schema,
+	"AlertRule": new AlertRule({"address": ``, "symbol": `A`, "condition": `above`, "value": 0})._schema,
+	"AlertDelivery": new AlertDelivery({"alert": ``, "address": ``, "symbol": `A`})._schema,
+	"ListedSymbol": new ListedSymbol({"symbol": `A`, "name": `A`})._schema,
+	"Position": new Position({"symbol": `A`, "quantity": 1, "basis": 0})._schema
+}
+
+/**
+ * StockQuote fields that can be added to stockData with `fields=` or `full=true`, optional since only the selected ones are sent.
+ * @constant {z.ZodRawShape}
+ */
+const selectable = Object.fromEntries(StockQuoteFields.map((field) => [field, Models.StockQuote.shape[field].optional()]))
+
+/**
+ * Fields describing converted prices, only sent with `currency=`.
+ * @constant {z.ZodRawShape}
+ */
+const conversion = {
+	"currency": z.string().length(3).optional(),
+	"rate": z.number().positive().optional(),
+	"rateTimestamp": z.date().nullable().optional()
+}
+
+/**
+ * Valuation of a position, then of a whole portfolio (see ManagersPortfolioResult).
+ * @constant {z.ZodRawShape}
+ */
+const valuation = {
+	"marketValue": z.number().nullable(),
+	"cost": z.number(),
+	"unrealized": z.number().nullable(),
+	"unrealizedPercent": z.number().nullable(),
+	"dayChange": z.number().nullable()
+}
+
+/**
+ * Schemas of the responses, built from the data schemas so that both stay in sync.
+ * @constant {Object.<string, z.ZodType>}
+ */
+const Responses = {
+	"stockData": z.object({
+		"stock": Models.StockQuote.shape.symbol,
+		"price": Models.StockQuote.shape.latestPrice,
+		"likes": z.number().int().gte(0),
+		...selectable,
+		...conversion
+	}),
+	"comparedStockData": z.object({
+		"stock": Models.StockQuote.shape.symbol,
+		"price": Models.StockQuote.shape.latestPrice,
+		...selectable,
+		...conversion,
+		"rel_likes": z.number()
+	}),
+	"Error": z.object({
+		"error": z.object({"name": z.string(), "description": z.string(), "code": z.union([z.number(), z.string()]), "message": z.number().int()}).loose()
+	}),
+	"Problem": z.object({
+		"type": z.string(),
+		"title": z.string(),
+		"status": z.number().int(),
+		"detail": z.string(),
+		"name": z.string(),
+		"errors": z.array(z.object({}).loose()).optional()
+	}),
+	"portfolio": z.object({
+		"portfolio": z.array(z.object({
+			"stock": Models.Position.shape.symbol,
+			"quantity": Models.Position.shape.quantity,
+			"basis": Models.Position.shape.basis,
+			"price": z.number().nullable(),
+			...valuation,
+			...conversion
+		})),
+		"total": z.object({...valuation, "dayChangePercent": z.number().nullable()})
+	}),
+	"watchlists": z.object({
+		"watchlists": z.array(z.object({"name": z.string(), "stock": z.array(Models.StockQuote.shape.symbol)}))
+	})
+}
+
+/**
+ * Schemas of the request bodies, matching what Routes accepts.
+ * @constant {Object.<string, z.ZodType>}
+ */
+const Requests = {
+	"BatchRequest": z.union([
+		z.array(z.union([z.string(), z.object({"stock": z.string(), "like": z.boolean().optional()})])).min(1).max(config.batch.max),
+		z.object({"stock": z.union([z.string(), z.array(z.string()).min(1).max(config.batch.max)]), "like": z.boolean().optional()})
+	]),
+	"WatchlistRequest": z.object({"name": Watcher.ListName}),
+	"WatchlistStockRequest": z.object({"stock": z.string().min(1)}),
+	"PositionRequest": Models.Position.pick({"quantity": true, "basis": true}).extend({"stock": z.string().min(1)}),
+	"AlertRequest": Models.AlertRule.pick({"field": true, "condition": true, "value": true}).extend({"stock": z.string().min(1).describe(`Stock symbol; case, share-class separators (\`brk-b\`), exchange prefixes (\`TYO:7203\`) and aliases are normalized.`)})
+}
+
+/**
+ * Reusable query parameters.
+ * @constant {Object.<string, Object>}
+ */
+const Parameters = {
+	"stock": {"name": `stock`, "in": `query`, "required": true, "description": `Stock symbol; repeat the parameter (up to ${config.comparison.max} times) to compare symbols.`, "schema": {"oneOf": [{"type": `string`}, {"type": `array`, "items": {"type": `string`}, "maxItems": config.comparison.max}]}, "style": `form`, "explode": true},
+	"symbol": {"name": `stock`, "in": `query`, "required": true, "description": `Stock symbol.`, "schema": {"type": `string`}},
+	"fields": {"name": `fields`, "in": `query`, "description": `Comma-separated StockQuote fields added to each stockData.`, "schema": {"type": `string`, "example": `change,open,latestTime`}},
+	"full": {"name": `full`, "in": `query`, "description": `Add every StockQuote field to each stockData.`, "schema": {"type": `boolean`}},
+	"currency": {"name": `currency`, "in": `query`, "description": `ISO 4217 code prices are converted to, using the local exchange rate table.`, "schema": {"type": `string`, "example": `EUR`}},
+	"format": {"name": `format`, "in": `query`, "description": `Rendering of the body; overrides the Accept header.`, "schema": {"type": `string`, "enum": Object.keys(Renderings)}},
+	"from": {"name": `from`, "in": `query`, "description": `Earliest time included (date or ISO timestamp).`, "schema": {"type": `string`, "format": `date-time`}},
+	"to": {"name": `to`, "in": `query`, "description": `Latest time included (date or ISO timestamp).`, "schema": {"type": `string`, "format": `date-time`}},
+	"limit": {"name": `limit`, "in": `query`, "description": `Number of entries returned.`, "schema": {"type": `integer`, "minimum": 1}}
+}
+
+/**
+ * Response content in every rendering: the JSON schema for JSON, plain text for the tabular renderings.
+ *
+ * @param {Object} schema - JSON Schema (or reference) of the JSON body.
+ * @returns {Object} OpenAPI content map.
+ */
+function content(schema) {
+	return Object.fromEntries(Object.entries(Renderings).map(([name, rendering]) => [
+		rendering.type.split(`;`)[0],
+		{"schema": (name == `json`) ? schema : {"type": `string`}}
+	]));
+}
+
+/**
+ * Error responses shared by the operations, keyed by status.
+ * @constant {Object.<string, Object>}
+ */
+const Failures = Object.fromEntries([
+	[400, `Invalid input.`],
+	[401, `Credentials (API key or bearer token) were refused, or are required by the configured identity strategies.`],
+	[404, `Unknown stock symbol (or resource).`],
+	[429, `Too many requests; see the Retry-After header.`],
+	[502, `The quote provider could not be reached.`],
+	[503, `The quote provider is considered down (circuit breaker open).`],
+	[504, `The quote provider took too long to answer.`]
+].map(([status, description]) => [status, {
+	"description": description,
+	"content": {...content(reference(`Error`)), "application/problem+json": {"schema": reference(`Problem`)}},
+	...((status == 429) ? {"headers": {"Retry-After": {"description": `Seconds to wait before retrying.`, "schema": {"type": `integer`}}}} : {}),
+	...((status == 401) ? {"headers": {"WWW-Authenticate": {"description": `How to authenticate.`, "schema": {"type": `string`}}}} : {})
+}]))
+
+/**
+ * Successful JSON response wrapping a body.
+ *
+ * @param {string} description - Description of the response.
+ * @param {Object} schema - JSON Schema of the body.
+ * @returns {Object} OpenAPI response object.
+ */
+const success = (description, schema) => ({"200": {"description": description, "content": content(schema)}, ...Failures})
+
+/**
+ * Description of the operations of the registered routes, keyed by `<method> <path>` as registered in Express.
+ * @constant {Object.<string, Object>}
+ */
+const Operations = {
+	"get /api/stock-prices": {
+		"summary": `Read, like or compare stocks`,
+		"description": `Returns the price and likes of a stock, or the prices and relative likes of several. \`like=true\` likes the stock(s) for the requester; \`unlike=true\` takes the like back.`,
+		"parameters": [Parameters.stock, {"name": `like`, "in": `query`, "schema": {"type": `boolean`}}, {"name": `unlike`, "in": `query`, "schema": {"type": `boolean`}}, Parameters.fields, Parameters.full, Parameters.currency, Parameters.format],
+		"responses": success(`Stock data`, {"type": `object`, "properties": {"stockData": {"oneOf": [reference(`stockData`), {"type": `array`, "items": reference(`comparedStockData`)}]}}})
+	},
+	"delete /api/stock-prices": {
+		"summary": `Take likes back`,
+		"parameters": [Parameters.stock, Parameters.fields, Parameters.full, Parameters.currency, Parameters.format],
+		"responses": success(`Stock data`, {"type": `object`, "properties": {"stockData": {"oneOf": [reference(`stockData`), {"type": `array`, "items": reference(`comparedStockData`)}]}}})
+	},
+	"get /api/stock-prices/history": {
+		"summary": `Recorded prices of a stock`,
+		"parameters": [Parameters.symbol, Parameters.from, Parameters.to, Parameters.format],
+		"responses": success(`Recorded quotes, oldest first`, {"type": `object`, "properties": {"stockData": {"type": `object`, "properties": {"stock": {"type": `string`}, "history": {"type": `array`, "items": reference(`StockQuote`)}}}}})
+	},
+	"get /api/stock-prices/popular": {
+		"summary": `Most liked stocks`,
+		"parameters": [Parameters.limit, {"name": `offset`, "in": `query`, "schema": {"type": `integer`, "minimum": 0}}, Parameters.from, Parameters.to, Parameters.format],
+		"responses": success(`Ranking`, {"type": `object`, "properties": {"stockData": {"type": `array`, "items": {"type": `object`, "properties": {"rank": {"type": `integer`}, "stock": {"type": `string`}, "likes": {"type": `integer`}}}}, "total": {"type": `integer`}}})
+	},
+	"get /api/stock-prices/stream": {
+		"summary": `Live prices as Server-Sent Events`,
+		"parameters": [Parameters.stock],
+		"responses": {"200": {"description": `Stream of \`{stockData}\` events`, "content": {"text/event-stream": {"schema": {"type": `string`}}}}, ...Failures}
+	},
+	"post /api/stock-prices/batch": {
+		"summary": `Read several stocks at once`,
+		"parameters": [Parameters.fields, Parameters.full, Parameters.format],
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`BatchRequest`)}}},
+		"responses": success(`Stock data or error of each symbol, in request order`, {"type": `object`, "properties": {"stockData": {"type": `array`, "items": {"oneOf": [reference(`stockData`), {"type": `object`, "properties": {"stock": {"type": `string`}, "error": {}}}]}}}})
+	},
+	"get /api/symbols": {
+		"summary": `Search the symbol directory`,
+		"description": `Matches tickers and company names by prefix, then by substring, then within a few typos.`,
+		"parameters": [{"name": `q`, "in": `query`, "required": true, "description": `Ticker, partial ticker or company name.`, "schema": {"type": `string`, "minLength": 1}}, {...Parameters.limit, "schema": {"type": `integer`, "minimum": 1, "maximum": 50}}, Parameters.format],
+		"responses": success(`Matching symbols, best first`, {"type": `object`, "properties": {"symbols": {"type": `array`, "items": {"type": `object`, "properties": {"stock": {"type": `string`}, "name": {"type": `string`}, "exchange": {"type": `string`}}}}}})
+	},
+	"get /api/alerts": {
+		"summary": `Price alert rules of the requester`,
+		"parameters": [{...Parameters.symbol, "required": false}, Parameters.format],
+		"responses": success(`Alert rules`, {"type": `object`, "properties": {"alerts": {"type": `array`, "items": reference(`AlertRule`)}}})
+	},
+	"post /api/alerts": {
+		"summary": `Register a price alert rule`,
+		"description": `\`above\`/\`below\` compare a quote field with \`value\`; \`change\` fires when the quote moved by \`value\` percent or more since the previous close. Triggered alerts are POSTed to the configured webhook.`,
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`AlertRequest`)}}},
+		"responses": success(`The registered rule`, {"type": `object`, "properties": {"alerts": {"type": `array`, "items": reference(`AlertRule`)}}})
+	},
+	"get /api/alerts/deliveries": {
+		"summary": `Delivery log of the requester's alerts`,
+		"parameters": [{"name": `alert`, "in": `query`, "schema": {"type": `string`}}, {"name": `status`, "in": `query`, "schema": {"type": `string`, "enum": [`pending`, `delivered`, `failed`, `skipped`]}}, Parameters.limit, Parameters.format],
+		"responses": success(`Deliveries, newest first`, {"type": `object`, "properties": {"deliveries": {"type": `array`, "items": reference(`AlertDelivery`)}}})
+	},
+	"delete /api/alerts/:id": {
+		"summary": `Remove a price alert rule`,
+		"responses": success(`The removed rule`, {"type": `object`, "properties": {"alerts": {"type": `array`, "items": reference(`AlertRule`)}}})
+	},
+	"get /api/portfolio": {
+		"summary": `Portfolio of the requester, valued`,
+		"description": `Market value, unrealized P&L and day change (from the quote \`change\`) of each position and in total; percentages are fractions.`,
+		"parameters": [Parameters.currency, Parameters.format],
+		"responses": success(`Valued positions and totals`, reference(`portfolio`))
+	},
+	"post /api/portfolio": {
+		"summary": `Record a position`,
+		"description": `\`basis\` is the average price paid per share; a position already held in the symbol is replaced.`,
+		"parameters": [Parameters.currency],
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`PositionRequest`)}}},
+		"responses": success(`The whole portfolio, valued`, reference(`portfolio`))
+	},
+	"delete /api/portfolio/:stock": {
+		"summary": `Close a position`,
+		"parameters": [Parameters.currency],
+		"responses": success(`The remaining portfolio, valued`, reference(`portfolio`))
+	},
+	"get /api/watchlists": {
+		"summary": `Named watchlists of the requester`,
+		"description": `Symbols of each watchlist, without quotes. Likes (\`like=true\`) are kept in the \`likes\` watchlist; a stock counts as one like however many watchlists hold it.`,
+		"parameters": [Parameters.format],
+		"responses": success(`Watchlists, in creation order`, reference(`watchlists`))
+	},
+	"post /api/watchlists": {
+		"summary": `Create a watchlist`,
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`WatchlistRequest`)}}},
+		"responses": success(`Every watchlist`, reference(`watchlists`))
+	},
+	"get /api/watchlists/:name": {
+		"summary": `Read every stock of a watchlist`,
+		"parameters": [Parameters.fields, Parameters.full, Parameters.format],
+		"responses": success(`Stock data or error of each symbol, in watchlist order`, {"type": `object`, "properties": {"watchlist": {"type": `string`}, "stockData": {"type": `array`, "items": {"oneOf": [reference(`stockData`), {"type": `object`, "properties": {"stock": {"type": `string`}, "error": {}}}]}}}})
+	},
+	"patch /api/watchlists/:name": {
+		"summary": `Rename a watchlist`,
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`WatchlistRequest`)}}},
+		"responses": success(`Every watchlist`, reference(`watchlists`))
+	},
+	"delete /api/watchlists/:name": {
+		"summary": `Delete a watchlist`,
+		"description": `Its stocks lose a like unless another watchlist holds them.`,
+		"responses": success(`The remaining watchlists`, reference(`watchlists`))
+	},
+	"post /api/watchlists/:name/stocks": {
+		"summary": `Add a stock to a watchlist`,
+		"requestBody": {"required": true, "content": {"application/json": {"schema": reference(`WatchlistStockRequest`)}}},
+		"responses": success(`The watchlist, read`, {"type": `object`, "properties": {"watchlist": {"type": `string`}, "stockData": {"type": `array`, "items": {"oneOf": [reference(`stockData`), {"type": `object`, "properties": {"stock": {"type": `string`}, "error": {}}}]}}}})
+	},
+	"delete /api/watchlists/:name/stocks/:stock": {
+		"summary": `Remove a stock from a watchlist`,
+		"responses": success(`The watchlist, read`, {"type": `object`, "properties": {"watchlist": {"type": `string`}, "stockData": {"type": `array`, "items": {"oneOf": [reference(`stockData`), {"type": `object`, "properties": {"stock": {"type": `string`}, "error": {}}}]}}}})
+	},
+	"get /api/openapi.json": {
+		"summary": `This document`,
+		"responses": {"200": {"description": `OpenAPI document`, "content": {"application/json": {"schema": {"type": `object`}}}}}
+	},
+	"get /api/docs": {
+		"summary": `Documentation page rendering this document`,
+		"responses": {"200": {"description": `HTML page`, "content": {"text/html": {"schema": {"type": `string`}}}}}
+	}
+}
+
+/**
+ * List the routes registered on an Express application.
+ *
+ * @param {import('express').Application} app - Express application.
+ * @returns {Array<{path: string, method: string}>} Every path and method, in registration order.
+ */
+function routes(app) {
+	return (app?._router?.stack || []).filter((layer) => (layer.route && (typeof(layer.route.path)).includes(`str`))).flatMap((layer) => (
+		Object.keys(layer.route.methods).filter((method) => (method != `_all`)).map((method) => ({"path": layer.route.path, "method": method}))
+	));
+}
+
+/**
+ * Build the OpenAPI 3.1 document of the API routes registered on an Express application.
+ *
+ * Every registered route under `/api` is listed; routes without a description in `Operations` still appear with a generic one.
+ * Component schemas are generated from the zod schemas of the data classes (StockQuote, Watcher, AlertRule, AlertDelivery, ListedSymbol) and of the responses built from them.
+ *
+ * @param {import('express').Application} app - Express application the routes are registered on.
+ * @returns {Object} The OpenAPI document.
+ */
+function document(app) {
+	let paths = {};
+	routes(app).filter((route) => route.path.startsWith(`/api/`)).forEach((route) => {
+		let path = route.path.replace(/:(\w+)/g, `{$1}`);
+		let parameters = [...route.path.matchAll(/:(\w+)/g)].map((match) => ({"name": match[1], "in": `path`, "required": true, "schema": {"type": `string`}}));
+		let operation = Operations[`${route.method} ${route.path}`] || {"summary": `${route.method.toUpperCase()} ${route.path}`, "responses": {"200": {"description": `Success`}}};
+
+		paths[path] = paths[path] || {};
+		paths[path][route.method] = {...operation, ...((parameters.length) ? {"parameters": [...parameters, ...(operation.parameters || [])]} : {})};
+	});
+
+	return {
+		"openapi": `3.1.0`,
+		"info": {
+			"title": `Stock Price Checker`,
+			"version": information.version,
+			"description": `${information.description}. Responses are JSON by default, CSV or NDJSON on request (\`format=\` or \`Accept\`), and errors can be RFC 7807 problem details (\`Accept: application/problem+json\`). Live updates are also available over a WebSocket at \`/api/stock-prices/socket\`.`
+		},
+		"paths": paths,
+		"security": config.identity.strategies.map((strategy) => ({"ip": {}, "key": {"ApiKey": []}, "token": {"Bearer": []}})[strategy]),
+		"components": {
+			"securitySchemes": {
+				"ApiKey": {"type": `apiKey`, "in": `header`, "name": config.identity.header, "description": `Identifies the requester when the \`key\` identity strategy is enabled.`},
+				"Bearer": {"type": `http`, "scheme": `bearer`, "bearerFormat": `JWT`, "description": `HS256 token whose \`sub\` identifies the requester, when the \`token\` identity strategy is enabled.`}
+			},
+			"schemas": Object.fromEntries([
+				...Object.entries(Models).map(([name, schema]) => [name, convert(schema)]),
+				...Object.entries(Responses).map(([name, schema]) => [name, convert(schema)]),
+				...Object.entries(Requests).map(([name, schema]) => [name, convert(schema, `input`)])
+			])
+		}
+	};
+}
+
+module.exports = {document, routes, convert, Operations};
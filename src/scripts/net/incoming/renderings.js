@@ -0,0 +1,56 @@
+/**
+ * Convert a value into a CSV cell (RFC 4180).
+ *
+ * Dates become ISO strings, objects become JSON, null and undefined become empty cells.
+ * Text starting with a formula character (`=`, `+`, `-`, `@`, tab or carriage return) is prefixed with `'` so spreadsheets do not evaluate it.
+ * Cells holding a comma, a quote or a line break are quoted, with quotes doubled.
+ *
+ * @param {any} value - Value of the cell.
+ * @returns {string} The encoded cell.
+ */
+function cell(value) {
+	if (value === null || value === undefined) {return ``};
+	if ((typeof(value)).includes(`num`) || (typeof(value)).includes(`bool`)) {return String(value)};
+
+	let text = (value instanceof Date) ? value.toISOString() : (((typeof(value)).includes(`obj`)) ? JSON.stringify(value) : String(value));
+	(/^[=+\-@\t\r]/).test(text) && (text = `'${text}`);
+	return (/[",\r\n]/).test(text) ? `"${text.replaceAll(`"`, `""`)}"` : text;
+}
+
+/**
+ * Render rows as a CSV document: a header line with every column met, in order of appearance, then one line per row.
+ *
+ * @param {Object[]} rows - Flat records.
+ * @returns {string} The CSV document, with CRLF line endings.
+ */
+function csv(rows) {
+	let columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+	return [columns, ...rows.map((row) => columns.map((column) => row[column]))].map((line) => line.map(cell).join(`,`)).join(`\r\n`) + `\r\n`;
+}
+
+/**
+ * Render rows as newline-delimited JSON: one JSON document per line.
+ *
+ * @param {Object[]} rows - Records.
+ * @returns {string} The NDJSON document.
+ */
+function ndjson(rows) {
+	return rows.map((row) => `${JSON.stringify(row)}\n`).join(``);
+}
+
+/**
+ * Registered response renderings, keyed by the name accepted by the `format` query parameter.
+ *
+ * - types: media types of the `Accept` header selecting the rendering
+ * - type: content type of the rendered responses
+ * - render(message, rows): build the body from the JSON message or from its rows (see OutputProcessor.rows)
+ *
+ * @constant {Object.<string, {types: string[], type: string, render: function(Object, Object[]): (Object|string)}>}
+ */
+const Renderings = {
+	"json": {"types": [`application/json`], "type": `application/json`, "render": (message) => message},
+	"csv": {"types": [`text/csv`], "type": `text/csv; charset=utf-8`, "render": (message, rows) => csv(rows)},
+	"ndjson": {"types": [`application/x-ndjson`, `application/ndjson`], "type": `application/x-ndjson`, "render": (message, rows) => ndjson(rows)}
+}
+
+module.exports = {Renderings, csv, ndjson};
@@ -0,0 +1,281 @@
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+const Managers = require(`../../manager/managers.js`).Managers
+const ManagersResult = require(`../../manager/managers.js`).ManagersResult
+const OutputProcessor = require(`./input-output.js`).OutputProcessor
+const Formats = require(`./input-output.js`).Formats
+
+/**
+ * Messages accepted from clients: a JSON object with a `type`, the `stock` symbol(s) it applies to and an optional `id` echoed in the reply.
+ * Text that is not JSON is reported as a validation issue.
+ * @constant {z.ZodType}
+ */
+const StockSocketMessage = z.string().transform((text, context) => {
+	try {
+		return JSON.parse(text);
+	} catch(error) {
+		context.issues.push({"code": `custom`, "message": `Message is not valid JSON.`, "input": text});
+		return z.NEVER;
+	};
+}).pipe(z.object({
+	"type": z.enum([`subscribe`, `unsubscribe`, `like`, `unlike`]),
+	"stock": z.union([z.string(), z.array(z.string())]),
+	"id": z.union([z.string(), z.number()]).optional()
+}));
+
+/**
+ * StockSocket
+ * Serves one WebSocket client with a small JSON protocol.
+ *
+ * Client messages, e.g. `{"type": "subscribe", "stock": ["GOOG", "MSFT"], "id": 1}`:
+ * - `subscribe`: start receiving the quotes and like counts of the symbols; answered with `subscribed`, then a `quote` (or an `error`) for each new symbol. Each new symbol is charged as a read, like on HTTP, and a socket subscribes to `stream.symbols` symbols at most;
+ * - `unsubscribe`: stop receiving them; answered with `unsubscribed`;
+ * - `like` / `unlike`: like a symbol or take the like back, through the same path as the HTTP API; answered with `liked` / `unliked` and the stockData.
+ *
+ * Server messages:
+ * - `{"type": "subscribed"|"unsubscribed", "stock": [...]}`: every symbol currently subscribed;
+ * - `{"type": "quote", "stockData": {stock, price, likes}}`: the current data of a subscribed symbol, sent whenever a quote is downloaded;
+ * - `{"type": "likes", "stockData": {stock, likes}}`: the new like count of a subscribed symbol, whoever changed it;
+ * - `{"type": "liked"|"unliked", "stockData": ...}`: the result of a like or unlike;
+ * - `{"type": "error", "error": {...}}`: a message that could not be processed.
+ *
+ * Messages are processed one at a time, in the order received; replies carry the `id` of the message they answer, if any.
+ * The connection is pinged every `heartbeat` milliseconds, downloading again the subscribed quotes that are older than half a heartbeat at the same time, whatever the cache ttl; clients that miss a ping are dropped.
+ *
+ * @class StockSocket
+ */
+class StockSocket {
+	/**
+	 * Routes adapter handling likes, so that they are identified and counted like HTTP likes.
+	 * @type {import('../../manager/routes.js')}
+	 * @private
+	 */
+	#routes;
+
+	/**
+	 * Managers whose quotes and like counts are pushed.
+	 * @type {Managers}
+	 * @private
+	 */
+	#manager;
+
+	/**
+	 * Connected WebSocket.
+	 * @type {import('ws').WebSocket}
+	 * @private
+	 */
+	#socket;
+
+	/**
+	 * HTTP request that opened the connection.
+	 * @type {import('http').IncomingMessage}
+	 * @private
+	 */
+	#request;
+
+	/**
+	 * Subscribed symbols.
+	 * @type {Set<string>}
+	 */
+	symbols = new Set();
+
+	/**
+	 * Interval in milliseconds between heartbeats.
+	 * @type {number}
+	 */
+	heartbeat = config.stream.heartbeat;
+
+	/**
+	 * Largest number of symbols subscribed at once.
+	 * @type {number}
+	 */
+	capacity = config.stream.symbols;
+
+	/**
+	 * Heartbeat timer.
+	 * @type {NodeJS.Timeout|undefined}
+	 * @private
+	 */
+	#timer;
+
+	/**
+	 * Whether the client answered the last ping.
+	 * @type {boolean}
+	 * @private
+	 */
+	#alive = true;
+
+	/**
+	 * Processing of the messages received so far; each message waits for the previous one, so that replies keep the order of the messages.
+	 * @type {Promise<void>}
+	 * @private
+	 */
+	#queue = Promise.resolve();
+
+	/**
+	 * Listeners registered on the events of the managers.
+	 * @type {{quote: function(import('../../data/stock.js').StockQuote): void, likes: function(string, number): void}}
+	 * @private
+	 */
+	#listeners = {
+		"quote": (quote) => {
+			this.symbols.has(quote?.symbol) && this.send(`quote`, new OutputProcessor(new Formats.response.stockData(new ManagersResult(quote, this.#manager.watchers.search(quote)))).message);
+		},
+		"likes": (symbol, likes) => {
+			this.symbols.has(symbol) && this.send(`likes`, {"stockData": {"stock": symbol, "likes": likes}});
+		}
+	};
+
+	/**
+	 * Start serving a connected WebSocket.
+	 *
+	 * @constructor
+	 * @param {import('../../manager/routes.js')} routes - Routes adapter handling likes.
+	 * @param {Managers} manager - Managers whose quotes and like counts are pushed.
+	 * @param {import('ws').WebSocket} socket - Connected WebSocket.
+	 * @param {import('http').IncomingMessage} request - HTTP request that opened the connection.
+	 * @param {{heartbeat?: number, symbols?: number}} [options] - Defaults to the `stream` configuration.
+	 */
+	constructor(routes, manager, socket, request, options = config.stream) {
+		this.#routes = routes;
+		this.#manager = z.instanceof(Managers).parse(manager);
+		this.#socket = socket;
+		this.#request = request;
+		options?.heartbeat && (this.heartbeat = options.heartbeat);
+		options?.symbols && (this.capacity = options.symbols);
+
+		socket.on(`message`, (data) => (this.#queue = this.#queue.then(() => this.receive(String(data))).catch((error) => console.error(error))));
+		socket.on(`pong`, () => (this.#alive = true));
+		socket.on(`close`, () => this.close());
+		socket.on(`error`, (error) => console.error(error));
+
+		Object.entries(this.#listeners).forEach(([event, listener]) => this.#manager.events.on(event, listener));
+		this.#timer = setInterval(() => this.beat(), this.heartbeat);
+	}
+
+	/**
+	 * Whether the connection is currently open.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get open() {
+		return (this.#socket?.readyState === 1);
+	}
+
+	/**
+	 * Build the request passed to the routes for a subscription, like or unlike: the symbols to act on, with the address and headers of the connection, so that the requester is identified as on HTTP (see IdentityResolver).
+	 *
+	 * @private
+	 * @param {string|string[]} stock - Symbol(s) of the message.
+	 * @returns {{query: {stock: string|string[]}, ip: string|undefined, headers: Object}} An Express-like request.
+	 */
+	#forward(stock) {
+		return {"query": {"stock": stock}, "ip": this.#request?.socket?.remoteAddress, "headers": this.#request?.headers || {}};
+	}
+
+	/**
+	 * Process a message received from the client.
+	 *
+	 * @async
+	 * @param {string} data - Raw message.
+	 * @returns {Promise<void>} Resolves once the reply has been sent.
+	 */
+	async receive(data) {
+		let message;
+		let quotes = [];
+		let output = new OutputProcessor();
+		let reply = await output.execute(async () => {
+			message = StockSocketMessage.parse(data);
+			switch (message.type) {
+				case `subscribe`:
+					quotes = await this.subscribe(message.stock);
+					return;
+				case `unsubscribe`:
+					this.unsubscribe(message.stock);
+					return;
+				case `like`:
+					return this.#routes.watch(this.#forward(message.stock));
+				case `unlike`:
+					return this.#routes.unwatch(this.#forward(message.stock));
+			};
+		});
+
+		let error = (output.content instanceof Formats.error);
+		let type = (error) ? `error` : {"subscribe": `subscribed`, "unsubscribe": `unsubscribed`, "like": `liked`, "unlike": `unliked`}[message?.type];
+		this.send(type, (error || message?.type.includes(`like`)) ? reply : {"stock": [...this.symbols]}, message?.id);
+		quotes.forEach((quote) => this.send((quote.content instanceof Formats.error) ? `error` : `quote`, quote.message, message?.id));
+	}
+
+	/**
+	 * Subscribe to symbols.
+	 *
+	 * The current quote of each new symbol is read first; symbols that cannot be read (e.g. unknown ones) are not subscribed.
+	 * Symbols are only added once read, so that a first download is not pushed twice.
+	 * The new symbols are charged to the requester through Routes.subscribe before they are read.
+	 *
+	 * @async
+	 * @param {string|string[]} stock - Symbol(s) to subscribe to.
+	 * @returns {Promise<OutputProcessor[]>} The processed reads of the symbols that were not subscribed yet, holding their quote or error.
+	 * @throws {ZodError} If no symbol, too many symbols or an invalid symbol is given, or if the socket would subscribe to more than `capacity` symbols.
+	 * @throws {import('./limiter.js').RateLimitError} If the requester has used up its reads.
+	 */
+	async subscribe(stock) {
+		let symbols = Managers.symbols(stock).filter((symbol) => !(this.symbols.has(symbol)));
+		z.array(z.string()).max(this.capacity).parse([...this.symbols, ...symbols]);
+		symbols.length && this.#routes.subscribe(this.#forward(symbols));
+
+		return await Promise.all(symbols.map(async (symbol) => {
+			let output = new OutputProcessor();
+			await output.execute(() => this.#manager.read(symbol));
+			(output.content instanceof Formats.error) || this.symbols.add(symbol);
+			return output;
+		}));
+	}
+
+	/**
+	 * Unsubscribe from symbols.
+	 *
+	 * @param {string|string[]} stock - Symbol(s) to unsubscribe from.
+	 * @returns {string[]} The symbols still subscribed.
+	 * @throws {ZodError} If no symbol, too many symbols or an invalid symbol is given.
+	 */
+	unsubscribe(stock) {
+		Managers.symbols(stock).forEach((symbol) => this.symbols.delete(symbol));
+		return [...this.symbols];
+	}
+
+	/**
+	 * Ping the client, dropping it if the previous ping went unanswered, and refresh the subscribed quotes that are older than half a heartbeat.
+	 * Refreshed quotes reach every open socket and stream through the `quote` event.
+	 */
+	beat() {
+		if (!(this.#alive)) {return this.#socket.terminate()};
+		this.#alive = false;
+		this.open && this.#socket.ping();
+		this.symbols.forEach((symbol) => {
+			this.#manager.stocks.fetch(symbol, this.heartbeat / 2).catch((error) => console.error(error));
+		});
+	}
+
+	/**
+	 * Send a message to the client.
+	 *
+	 * @param {string} type - Message type.
+	 * @param {Object} payload - JSON-serializable payload, merged into the message.
+	 * @param {string|number} [id] - Identifier of the message being answered.
+	 */
+	send(type, payload, id = undefined) {
+		this.open && this.#socket.send(JSON.stringify({"type": type, ...((id === undefined) ? {} : {"id": id}), ...payload}));
+	}
+
+	/**
+	 * Stop serving the client: unsubscribe from the managers, stop the heartbeat and close the connection if it is still open.
+	 */
+	close() {
+		Object.entries(this.#listeners).forEach(([event, listener]) => this.#manager.events.off(event, listener));
+		clearInterval(this.#timer);
+		this.open && this.#socket.close();
+	}
+}
+
+module.exports = StockSocket;
@@ -0,0 +1,167 @@
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+const Managers = require(`../../manager/managers.js`).Managers
+const ManagersResult = require(`../../manager/managers.js`).ManagersResult
+const OutputProcessor = require(`./input-output.js`).OutputProcessor
+const Formats = require(`./input-output.js`).Formats
+
+/**
+ * StockStream
+ * Pushes live prices of a set of symbols to a client as Server-Sent Events.
+ *
+ * Once opened, the stream:
+ * - sends the current stockData of every subscribed symbol;
+ * - sends a new stockData event whenever the stock manager downloads a quote for a subscribed symbol;
+ * - sends a heartbeat comment every `heartbeat` milliseconds, downloading again the subscribed quotes that are older than half a heartbeat at the same time, whatever the cache ttl (so each beat refreshes them, while quotes another stream just refreshed are shared);
+ * - stops listening once closed (e.g. when the client disconnects).
+ *
+ * Events carry the same payload as GET /api/stock-prices for a single symbol: `{"stockData": {stock, price, likes}}`.
+ *
+ * @class StockStream
+ */
+class StockStream {
+	/**
+	 * Managers whose quotes are streamed.
+	 * @type {Managers}
+	 * @private
+	 */
+	#manager;
+
+	/**
+	 * Subscribed symbols.
+	 * @type {string[]}
+	 */
+	symbols = [];
+
+	/**
+	 * Interval in milliseconds between heartbeats.
+	 * @type {number}
+	 */
+	heartbeat = config.stream.heartbeat;
+
+	/**
+	 * Response the events are written to, once opened.
+	 * @type {import('express').Response|undefined}
+	 * @private
+	 */
+	#response;
+
+	/**
+	 * Heartbeat timer, once opened.
+	 * @type {NodeJS.Timeout|undefined}
+	 * @private
+	 */
+	#timer;
+
+	/**
+	 * Identifier of the last event sent.
+	 * @type {number}
+	 * @private
+	 */
+	#id = 0;
+
+	/**
+	 * Listener registered on the `quote` event of the managers.
+	 * @type {function(import('../../data/stock.js').StockQuote): void}
+	 * @private
+	 */
+	#listener = (quote) => {
+		this.symbols.includes(quote?.symbol) && this.send(new ManagersResult(quote, this.#manager.watchers.search(quote)));
+	};
+
+	/**
+	 * Create a StockStream; nothing is sent until it is opened.
+	 *
+	 * @constructor
+	 * @param {Managers} manager - Managers whose quotes are streamed.
+	 * @param {string|string[]} symbols - Symbols to subscribe to.
+	 * @param {{heartbeat?: number}} [options] - Defaults to the `stream` configuration.
+	 * @throws {ZodError} If no symbol, too many symbols or an invalid symbol is given.
+	 */
+	constructor(manager, symbols, options = config.stream) {
+		this.#manager = z.instanceof(Managers).parse(manager);
+		this.symbols = Managers.symbols(symbols);
+		options?.heartbeat && (this.heartbeat = options.heartbeat);
+	}
+
+	/**
+	 * Whether the stream is currently open.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get open() {
+		return Boolean(this.#response);
+	}
+
+	/**
+	 * Start streaming to a response.
+	 *
+	 * @async
+	 * @param {import('express').Response} response - Response to write the events to.
+	 * @returns {Promise<StockStream>} The current instance, once the initial events have been sent.
+	 */
+	async start(response) {
+		this.#response = response;
+		response.status(200).set({
+			"Content-Type": `text/event-stream`,
+			"Cache-Control": `no-cache`,
+			"Connection": `keep-alive`
+		});
+		response.flushHeaders();
+		response.write(`retry: ${this.heartbeat}\n\n`);
+
+		await Promise.all(this.symbols.map(async (symbol) => {
+			let output = new OutputProcessor();
+			await output.execute(() => this.#manager.read(symbol));
+			this.write(output.message);
+		}));
+
+		// subscribe only once the initial events are out, so a first download is not sent twice
+		if (this.open) {
+			this.#manager.events.on(`quote`, this.#listener);
+			this.#timer = setInterval(() => this.beat(), this.heartbeat);
+		};
+		return this;
+	}
+
+	/**
+	 * Send a heartbeat and refresh the subscribed quotes that are older than half a heartbeat.
+	 * Refreshed quotes reach every open stream through the `quote` event.
+	 */
+	beat() {
+		this.open && this.#response.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+		this.symbols.forEach((symbol) => {
+			this.#manager.stocks.fetch(symbol, this.heartbeat / 2).catch((error) => console.error(error));
+		});
+	}
+
+	/**
+	 * Send the stockData of a result.
+	 *
+	 * @param {ManagersResult} result - Quote and watchers of a symbol.
+	 */
+	send(result) {
+		this.write(new OutputProcessor(new Formats.response.stockData(result)).message);
+	}
+
+	/**
+	 * Write a payload as a single event.
+	 *
+	 * @param {Object} payload - JSON-serializable payload.
+	 */
+	write(payload) {
+		this.open && this.#response.write(`id: ${++this.#id}\ndata: ${JSON.stringify(payload)}\n\n`);
+	}
+
+	/**
+	 * Stop streaming: unsubscribe from the managers, stop the heartbeat and end the response if it is still writable.
+	 */
+	close() {
+		this.#manager.events.off(`quote`, this.#listener);
+		clearInterval(this.#timer);
+		(this.#response?.writableEnded === false) && this.#response.end();
+		this.#response = undefined;
+	}
+}
+
+module.exports = StockStream;
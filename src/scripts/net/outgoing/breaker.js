@@ -0,0 +1,128 @@
+const z = require(`zod`).z
+const helpers = require(`common-errors`).helpers;
+const ConnectionError = require(`common-errors`).ConnectionError;
+
+/**
+ * Error thrown instead of contacting an upstream that the circuit breaker considers down.
+ * Extends ConnectionError so existing handlers treat it as an upstream failure.
+ * `retry` holds the number of seconds until the breaker lets a trial call through, for the `Retry-After` header.
+ *
+ * @class CircuitOpenError
+ * @extends ConnectionError
+ */
+const CircuitOpenError = helpers.generateClass(`CircuitOpenError`, {"extends": ConnectionError, "args": [`message`, `retry`]});
+
+/**
+ * Circuit breaker guarding calls to an unreliable upstream.
+ *
+ * States:
+ * - `closed`: calls go through; consecutive failures are counted.
+ * - `open`: entered after `threshold` consecutive failures; calls fail fast until `cooldown` has elapsed.
+ * - `half-open`: after the cooldown a single trial call is let through; its success closes the circuit, its failure opens it again.
+ *
+ * @class CircuitBreaker
+ */
+class CircuitBreaker {
+	/**
+	 * Consecutive failures that open the circuit.
+	 * @type {number}
+	 */
+	threshold = 5;
+
+	/**
+	 * Time in milliseconds the circuit stays open before a trial call is allowed.
+	 * @type {number}
+	 */
+	cooldown = 30000;
+
+	/**
+	 * Consecutive failures counted so far.
+	 * @type {number}
+	 * @private
+	 */
+	#failures = 0;
+
+	/**
+	 * Time the circuit was last opened, if it is not closed.
+	 * @type {Date|undefined}
+	 * @private
+	 */
+	#opened = undefined;
+
+	/**
+	 * Whether the trial call of the half-open state is in progress.
+	 * @type {boolean}
+	 * @private
+	 */
+	#trial = false;
+
+	/**
+	 * Create a CircuitBreaker.
+	 *
+	 * @constructor
+	 * @param {{threshold?: number, cooldown?: number}} [options]
+	 */
+	constructor(options = {}) {
+		this.threshold = z.number().int().gte(1).default(this.threshold).parse(options?.threshold);
+		this.cooldown = z.number().int().gte(0).default(this.cooldown).parse(options?.cooldown);
+	}
+
+	/**
+	 * Current state of the circuit.
+	 * @type {"closed"|"open"|"half-open"}
+	 * @readonly
+	 */
+	get state() {
+		if (!(this.#opened)) {return `closed`};
+		return ((Date.now() - this.#opened.getTime()) >= this.cooldown) ? `half-open` : `open`;
+	}
+
+	/**
+	 * Snapshot of the breaker, suitable for logs or status responses.
+	 * @type {{state: string, failures: number, opened: Date|undefined, retry: Date|undefined}}
+	 * @readonly
+	 */
+	get status() {
+		return {
+			"state": this.state,
+			"failures": this.#failures,
+			"opened": this.#opened,
+			"retry": this.#opened && new Date(this.#opened.getTime() + this.cooldown)
+		};
+	}
+
+	/**
+	 * Ask whether a call may go through, claiming the trial call when half-open.
+	 * @returns {boolean} True if the caller may contact the upstream.
+	 */
+	allow() {
+		switch (this.state) {
+			case `closed`:
+				return true;
+			case `half-open`:
+				return !(this.#trial) && (this.#trial = true);
+			default:
+				return false;
+		};
+	}
+
+	/**
+	 * Record a successful call, closing the circuit.
+	 */
+	success() {
+		this.#failures = 0;
+		this.#opened = undefined;
+		this.#trial = false;
+	}
+
+	/**
+	 * Record a failed call, opening the circuit once the threshold is reached or when the trial call failed.
+	 */
+	failure() {
+		this.#failures++;
+		(this.#trial || this.#failures >= this.threshold) && (this.#opened = new Date());
+		this.#trial = false;
+	}
+}
+
+module.exports = {CircuitBreaker, CircuitOpenError};
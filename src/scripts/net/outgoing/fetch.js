@@ -1,19 +1,29 @@
 const StockSybmolRegex = require(`../../data/stock.js`).StockSybmolRegex
 const StockQuote = require(`../../data/stock.js`).StockQuote
+const Providers = require(`./providers.js`)
+const CircuitBreaker = require(`./breaker.js`).CircuitBreaker
+const CircuitOpenError = require(`./breaker.js`).CircuitOpenError
+const config = require(`../../config.js`)
 
 const NotFoundError = require(`common-errors`).NotFoundError;
 const ConnectionError = require(`common-errors`).ConnectionError;
+const TimeoutError = require(`common-errors`).TimeoutError;
 
 /**
  * Class responsible for fetching stock quote data for a given stock symbol.
  *
- * Uses StockSybmolRegex.parse to normalize/validate symbols and fetches data
- * from the FreeCodeCamp stock price proxy endpoint. Returns a StockQuote instance
- * built from the remote response.
+ * Uses StockSybmolRegex.parse to normalize/validate symbols and retrieves data
+ * through a quote provider (the freeCodeCamp stock price proxy unless configured
+ * otherwise). Returns a StockQuote instance built from the provider response.
+ *
+ * Each request is bounded by a timeout, transient failures are retried with
+ * exponential backoff and jitter, and a circuit breaker makes requests fail fast
+ * while the upstream is down.
  *
  * @class StockFetcher
  * @see {@link StockSybmolRegex}
  * @see {@link StockQuote}
+ * @see {@link QuoteProvider}
  */
 class StockFetcher {
 	/**
@@ -27,12 +37,46 @@ class StockFetcher {
 	 */
 	#sybmol = '';
 
+	/**
+	 * Quote provider the data is retrieved from.
+	 *
+	 * @type {import('./providers.js').QuoteProvider}
+	 */
+	provider;
+
+	/**
+	 * Circuit breaker guarding the provider. Shared with other fetchers so that failures add up across requests.
+	 *
+	 * @type {CircuitBreaker}
+	 */
+	breaker;
+
+	/**
+	 * Request behaviour.
+	 *
+	 * - timeout: time in milliseconds a single attempt may take before it is aborted.
+	 * - retries: extra attempts made after a transient failure.
+	 * - backoff: base delay in milliseconds; attempt n waits a random time up to backoff × 2ⁿ.
+	 *
+	 * @type {{timeout: number, retries: number, backoff: number}}
+	 */
+	options = {
+		"timeout": config.quotes.timeout,
+		"retries": config.quotes.retries,
+		"backoff": config.quotes.backoff
+	};
+
 	/**
 	 * Create a StockFetcher.
 	 *
 	 * @param {string|undefined} [symbol] - Optional initial stock symbol. If provided, it’ll be parsed/normalized via StockSybmolRegex.parse and stored.
+	 * @param {import('./providers.js').QuoteProvider} [provider] - Quote provider to use; defaults to the configured one.
+	 * @param {{timeout?: number, retries?: number, backoff?: number, breaker?: CircuitBreaker}} [options] - Request behaviour and the breaker to use; defaults to the configuration and StockFetcher.breaker.
 	 */
-	constructor(symbol = undefined) {
+	constructor(symbol = undefined, provider = undefined, options = {}) {
+		this.provider = provider || Providers.resolve();
+		this.breaker = options?.breaker || StockFetcher.breaker;
+		Object.keys(this.options).forEach((name) => ((typeof(options?.[name])).includes(`num`)) && (this.options[name] = options[name]));
 		symbol ? this.symbol = symbol : false;
 	}
 
@@ -69,87 +113,119 @@ class StockFetcher {
 	}
 
 	/**
-	 * Construct the network source URL for the currently stored symbol.
+	 * Construct the source location for the currently stored symbol.
 	 *
-	 * This getter builds the full proxy URL used to request the stock quote. If
-	 * no symbol is set, StockSybmolRegex.parse may be invoked with undefined and
-	 * its behavior will determine the produced URL.
+	 * This getter asks the provider where the stock quote lives (a proxy URL or
+	 * a fixture path). If no symbol is set, StockSybmolRegex.parse may be invoked
+	 * with undefined and its behavior will determine the produced location.
 	 *
 	 * @name source
 	 * @memberof StockFetcher#
 	 * @type {string}
 	 * @readonly
-	 * @returns {string} Fully-qualified URL to fetch the stock quote for the current symbol.
+	 * @returns {string} Location of the stock quote for the current symbol.
 	 */
 	get source() {
-		return `https://stock-price-checker-proxy.freecodecamp.rocks/v1/stock/${StockSybmolRegex.parse(this.#sybmol)}/quote`
+		return this.provider.source(StockSybmolRegex.parse(this.#sybmol))
 	};
 
 	/**
-	 * Fetch the stock quote for the current symbol from the remote API.
+	 * Determine whether a failed attempt is worth retrying.
+	 *
+	 * Timeouts, network errors and 5xx statuses are transient; unknown symbols, 4xx statuses and invalid data are not.
 	 *
-	 * Performs an HTTP GET against the URL produced by the `source` getter, parses
-	 * the JSON response and wraps it in a StockQuote instance.
+	 * @param {Error} error - The error thrown by the attempt.
+	 * @returns {boolean} True if the attempt may be retried.
+	 */
+	static transient(error) {
+		return (error instanceof TimeoutError) || ((error instanceof ConnectionError) && !(error instanceof CircuitOpenError) && (!(error?.status) || error.status >= 500));
+	};
+
+	/**
+	 * Make a single attempt, aborting it once the timeout has elapsed.
+	 *
+	 * @async
+	 * @private
+	 * @param {string} symbol - Validated stock symbol.
+	 * @returns {Promise<Object>} Raw quote properties from the provider.
+	 * @throws {TimeoutError} If the attempt took longer than options.timeout.
+	 */
+	async #attempt(symbol) {
+		let controller = new AbortController();
+		let timer = setTimeout(() => controller.abort(), this.options.timeout);
+		try {
+			return await this.provider.request(symbol, {"signal": controller.signal});
+		} catch(error) {
+			throw (controller.signal.aborted) ? new TimeoutError(`${this.source} (${this.options.timeout} ms)`, error) : error;
+		} finally {
+			clearTimeout(timer);
+		};
+	};
+
+	/**
+	 * Fetch the stock quote for the current symbol from the provider.
+	 *
+	 * Asks the provider for the raw quote at the location produced by the
+	 * `source` getter and wraps it in a StockQuote instance. Transient failures
+	 * are retried up to options.retries times; every outcome is reported to the
+	 * circuit breaker, and no request is made while the breaker is open.
 	 *
 	 * @async
 	 * @memberof StockFetcher#
 	 * @function fetch
 	 * @param {boolean} [verbose=true] Sets the verbose mode; logs are never sent to the client. 
 	 * @returns {Promise<StockQuote>} A promise that resolves to a StockQuote built from the response.
-	 * @throws {ReferenceError} If the HTTP response has a non-OK status (includes status code in the message).
-	 * @throws {SyntaxError} If the response body represents an error string (response parsed as a string).
-	 * @throws {TypeError|Error} May throw other errors related to network failure or JSON parsing.
+	 * @throws {NotFoundError} If the provider does not know the symbol.
+	 * @throws {CircuitOpenError} If the circuit breaker is open.
+	 * @throws {TimeoutError} If the last attempt timed out.
+	 * @throws {ConnectionError} If the provider could not be reached or sent an unexpected response.
+	 * @throws {ZodError} If the symbol or the received quote is invalid.
 	 */
 	async fetch(verbose = true) {
-		/**
-		 * 
-		 * @param {Error|String|Number} status 
-		 */
-		function onConnectionError(status) {
-			throw (() => {
-				let error = new ConnectionError(
-					...((typeof(status)).includes(`obj`) ? [error.message, error] : [error, undefined])
-				);
-				(typeof(status)).includes(`obj`) && (() => {
-					error.stack = status?.stack;
-					error.cause = status?.cause;
-					error.code = status?.code;
-				})();
-				return error;
-			});
-		};
+		let symbol = StockSybmolRegex.parse(this.#sybmol);
+		let response;
 
-		verbose && console.log(`\x1b[33mConnecting to \x1b[1m${this.source}\x1b[22m\x1b[5m…\x1b[0m`)
-		let fetcher = await fetch(this.source);
-		(!fetcher.ok) && onConnectionError(fetcher.status);
+		for (let attempt = 0; response === undefined; attempt++) {
+			if (!(this.breaker.allow())) {
+				let retry = this.breaker.status.retry;
+				throw new CircuitOpenError(`${this.source} is unavailable until ${retry?.toISOString()}`, Math.max(Math.ceil((retry - Date.now()) / 1000), 1));
+			};
 
-		verbose && console.log(`\x1b[F\x1b[KConnected to ${this.source}. \n\x1b[1m\x1b[33mReceiving response\x1b[22m from ${this.source}\x1b[5m…\x1b[0m`) // move cursor up one line, clear it, then print "connected" replacing the previous line
-		let response; 
-		try {
-			response = JSON.parse(await fetcher.text())
-			if ((typeof(response)).includes(`str`)) {
-				if (response.includes(`symbol`)) {
-					throw new NotFoundError(this.#sybmol);
-				} else {
-					onConnectionError("Unknown message received.");
+			verbose && console.log(`\x1b[33mConnecting to \x1b[1m${this.source}\x1b[22m\x1b[5m…\x1b[0m`)
+			try {
+				response = await this.#attempt(symbol);
+				this.breaker.success();
+			} catch(error) {
+				if (!(StockFetcher.transient(error))) {
+					this.breaker.success(); // the upstream answered; the request itself was at fault
+					throw error;
 				};
-			};
-		} catch(error) {
-			if (error instanceof SyntaxError) {
-				onConnectionError(error);
-			} else {
-				throw error;
+
+				this.breaker.failure();
+				if (attempt >= this.options.retries) {throw error};
+
+				let delay = Math.round(Math.random() * this.options.backoff * (2 ** attempt));
+				verbose && console.log(`\x1b[F\x1b[K\x1b[31mAttempt ${attempt + 1} to reach ${this.source} failed; retrying in ${delay} ms.\x1b[0m`);
+				await new Promise((resolve) => setTimeout(resolve, delay));
 			};
 		};
-		verbose && console.log(`\x1b[F\x1b[K\x1b[32mReceived response from ${this.source}.\x1b[0m`); // move cursor up one line, clear it, then print "connected" replacing the previous line
+		verbose && console.log(`\x1b[F\x1b[K\x1b[32mReceived response from ${this.source}.\x1b[0m`); // move cursor up one line, clear it, then print "received" replacing the previous line
 		
 		return new StockQuote(response)
 	};
 };
 
+/**
+ * Circuit breaker shared by the fetchers that are not given one explicitly.
+ * @type {CircuitBreaker}
+ */
+StockFetcher.breaker = new CircuitBreaker(config.quotes);
+
 StockFetcher.Errors = class {
 	static NotFound = NotFoundError;
 	static Connection = ConnectionError;
+	static Timeout = TimeoutError;
+	static CircuitOpen = CircuitOpenError;
 }
 
 module.exports = StockFetcher;
\ No newline at end of file
@@ -0,0 +1,213 @@
+const fs = require(`fs`)
+const path = require(`path`)
+const z = require(`zod`).z
+const config = require(`../../config.js`)
+
+const NotFoundError = require(`common-errors`).NotFoundError;
+const ConnectionError = require(`common-errors`).ConnectionError;
+const NotImplementedError = require(`common-errors`).NotImplementedError;
+
+/**
+ * Build a ConnectionError from a status code, message or underlying error.
+ *
+ * @param {Error|string|number} status - HTTP status code, message, or the error that caused the failure.
+ * @param {string} source - Location that could not be reached, used in the message.
+ * @returns {ConnectionError} The error to throw.
+ */
+function connectionError(status, source) {
+	let error = ((typeof(status)).includes(`obj`))
+		? new ConnectionError(`${source}: ${status?.message}`, status)
+		: new ConnectionError(`${source}: ${status}`);
+	(typeof(status)).includes(`num`) && (error.status = status);
+	(typeof(status)).includes(`obj`) && (() => {
+		error.cause = status?.cause;
+		error.code = status?.code;
+	})();
+	return error;
+};
+
+/**
+ * Base class of quote providers.
+ *
+ * A provider knows where the quote of a symbol lives (`source`) and how to retrieve its raw data (`request`).
+ * It does not validate symbols nor build StockQuote instances; StockFetcher takes care of both.
+ *
+ * Implementations must throw:
+ * - NotFoundError when the symbol is unknown to the provider;
+ * - ConnectionError when the data could not be retrieved or understood.
+ *
+ * @class QuoteProvider
+ * @abstract
+ */
+class QuoteProvider {
+	/**
+	 * Name of the provider, as used in the configuration.
+	 * @type {string}
+	 */
+	name = ``;
+
+	/**
+	 * Location of the quote for a symbol.
+	 *
+	 * @param {string} symbol - Validated stock symbol.
+	 * @returns {string} URL or path of the quote.
+	 */
+	source(symbol) {
+		return symbol;
+	}
+
+	/**
+	 * Retrieve the raw quote data for a symbol.
+	 *
+	 * @async
+	 * @param {string} symbol - Validated stock symbol.
+	 * @param {{signal?: AbortSignal}} [options] - Request options.
+	 * @returns {Promise<Object>} Raw quote properties, suitable for the StockQuote constructor.
+	 */
+	async request(symbol, options = {}) {
+		throw new NotImplementedError(`${this.constructor.name}.request`);
+	}
+}
+
+/**
+ * Provider reading quotes from the freeCodeCamp stock price proxy (or any service with the same response format).
+ *
+ * @class ProxyProvider
+ * @extends QuoteProvider
+ */
+class ProxyProvider extends QuoteProvider {
+	name = `fcc`;
+
+	/**
+	 * URL template; `{symbol}` is replaced by the requested symbol.
+	 * @type {string}
+	 */
+	url;
+
+	/**
+	 * @constructor
+	 * @param {{proxy?: string}} [options] - Defaults to the `quotes` configuration.
+	 */
+	constructor(options = config.quotes) {
+		super();
+		this.url = z.string().includes(`{symbol}`).parse(options?.proxy || config.quotes.proxy);
+	}
+
+	/**
+	 * @param {string} symbol - Validated stock symbol.
+	 * @returns {string} Fully-qualified URL of the quote.
+	 */
+	source(symbol) {
+		return this.url.replaceAll(`{symbol}`, encodeURIComponent(symbol));
+	}
+
+	/**
+	 * Request the quote over HTTP.
+	 *
+	 * The proxy answers unknown symbols with a JSON string (e.g. "Unknown symbol") rather than an HTTP error, so string bodies are inspected too.
+	 *
+	 * @async
+	 * @param {string} symbol - Validated stock symbol.
+	 * @param {{signal?: AbortSignal}} [options] - Request options; the signal aborts the request.
+	 * @returns {Promise<Object>} Raw quote properties.
+	 * @throws {NotFoundError} If the proxy does not know the symbol.
+	 * @throws {ConnectionError} If the proxy could not be reached, answered with an error status or sent an unexpected body.
+	 */
+	async request(symbol, options = {}) {
+		let fetcher;
+		try {
+			fetcher = await fetch(this.source(symbol), {"signal": options?.signal});
+		} catch(error) {
+			throw (error?.name == `AbortError`) ? error : connectionError(error, this.source(symbol));
+		};
+		if (!(fetcher.ok)) {throw connectionError(fetcher.status, this.source(symbol))};
+
+		let response;
+		try {
+			response = JSON.parse(await fetcher.text());
+		} catch(error) {
+			throw (error instanceof SyntaxError) ? connectionError(error, this.source(symbol)) : error;
+		};
+
+		if ((typeof(response)).includes(`str`)) {
+			throw (response.toLowerCase().includes(`symbol`)) ? new NotFoundError(symbol) : connectionError(`Unknown message received.`, this.source(symbol));
+		};
+		return response;
+	}
+}
+
+/**
+ * Provider serving quotes from `<SYMBOL>.json` files in a local directory.
+ *
+ * Meant for offline development and tests; the files use the same format as the proxy responses.
+ *
+ * @class FixtureProvider
+ * @extends QuoteProvider
+ */
+class FixtureProvider extends QuoteProvider {
+	name = `fixture`;
+
+	/**
+	 * Directory holding the fixture files.
+	 * @type {string}
+	 */
+	directory;
+
+	/**
+	 * @constructor
+	 * @param {{fixtures?: string}} [options] - Defaults to the `quotes` configuration.
+	 */
+	constructor(options = config.quotes) {
+		super();
+		this.directory = z.string().parse(options?.fixtures || config.quotes.fixtures);
+	}
+
+	/**
+	 * @param {string} symbol - Validated stock symbol.
+	 * @returns {string} Path of the fixture file.
+	 */
+	source(symbol) {
+		return path.join(this.directory, `${path.basename(symbol)}.json`);
+	}
+
+	/**
+	 * Read the quote from its fixture file.
+	 *
+	 * @async
+	 * @param {string} symbol - Validated stock symbol.
+	 * @returns {Promise<Object>} Raw quote properties.
+	 * @throws {NotFoundError} If there is no fixture for the symbol.
+	 * @throws {ConnectionError} If the fixture could not be read or parsed.
+	 */
+	async request(symbol, options = {}) {
+		try {
+			return JSON.parse(await fs.promises.readFile(this.source(symbol), {"encoding": `utf8`, "signal": options?.signal}));
+		} catch(error) {
+			throw (error?.code == `ENOENT`) ? new NotFoundError(symbol) : ((error?.name == `AbortError`) ? error : connectionError(error, this.source(symbol)));
+		};
+	}
+}
+
+/**
+ * Registered quote providers, keyed by the name used in the configuration.
+ * @constant {Object.<string, typeof QuoteProvider>}
+ */
+const Providers = {
+	"fcc": ProxyProvider,
+	"fixture": FixtureProvider
+}
+
+/**
+ * Create the quote provider selected by the configuration.
+ *
+ * @param {string} [name] - Provider name; defaults to `quotes.provider`.
+ * @param {Object} [options] - Provider options; defaults to the `quotes` configuration.
+ * @returns {QuoteProvider} The provider instance.
+ */
+function resolve(name = config.quotes.provider, options = config.quotes) {
+	return new (z.enum(Object.keys(Providers)).transform((key) => Providers[key]).parse(name))(options);
+}
+
+module.exports = {
+	QuoteProvider, ProxyProvider, FixtureProvider, Providers, resolve
+}
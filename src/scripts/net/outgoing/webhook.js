@@ -0,0 +1,108 @@
+const z = require(`zod`).z
+const StockFetcher = require(`./fetch.js`)
+const config = require(`../../config.js`)
+
+const ConnectionError = require(`common-errors`).ConnectionError;
+const TimeoutError = require(`common-errors`).TimeoutError;
+
+/**
+ * Class POSTing JSON payloads to a webhook URL.
+ *
+ * Each attempt is bounded by a timeout and transient failures (network errors, timeouts, 5xx statuses) are retried with exponential backoff and jitter, like quote downloads.
+ * Other statuses are final: the receiver understood the request and refused it.
+ *
+ * @class WebhookSender
+ */
+class WebhookSender {
+	/**
+	 * URL the payloads are POSTed to.
+	 * @type {string}
+	 */
+	url;
+
+	/**
+	 * Request behaviour.
+	 *
+	 * - timeout: time in milliseconds a single attempt may take before it is aborted.
+	 * - retries: extra attempts made after a transient failure.
+	 * - backoff: base delay in milliseconds; attempt n waits a random time up to backoff × 2ⁿ.
+	 *
+	 * @type {{timeout: number, retries: number, backoff: number}}
+	 */
+	options = {"timeout": 5000, "retries": 3, "backoff": 1000};
+
+	/**
+	 * Create a WebhookSender.
+	 *
+	 * @constructor
+	 * @param {string} url - URL the payloads are POSTed to.
+	 * @param {{timeout?: number, retries?: number, backoff?: number}} [options] - Defaults to the `alerts` configuration.
+	 */
+	constructor(url, options = config.alerts) {
+		this.url = z.url().parse(url);
+		this.options = {
+			"timeout": options?.timeout ?? this.options.timeout,
+			"retries": options?.retries ?? this.options.retries,
+			"backoff": options?.backoff ?? this.options.backoff
+		};
+	}
+
+	/**
+	 * Make a single attempt, aborting it once the timeout has elapsed.
+	 *
+	 * @async
+	 * @private
+	 * @param {string} body - JSON body to send.
+	 * @returns {Promise<number>} The HTTP status of the response, when successful.
+	 * @throws {TimeoutError} If the attempt took longer than options.timeout.
+	 * @throws {ConnectionError} If the webhook could not be reached or answered with an error status (set as `status`).
+	 */
+	async #attempt(body) {
+		let controller = new AbortController();
+		let timer = setTimeout(() => controller.abort(), this.options.timeout);
+		try {
+			let response = await fetch(this.url, {"method": `POST`, "headers": {"Content-Type": `application/json`}, "body": body, "signal": controller.signal});
+			if (!(response.ok)) {
+				let error = new ConnectionError(`${this.url}: ${response.status}`);
+				error.status = response.status;
+				throw error;
+			};
+			return response.status;
+		} catch(error) {
+			if (controller.signal.aborted) {throw new TimeoutError(`${this.url} (${this.options.timeout} ms)`, error)};
+			throw (error instanceof ConnectionError) ? error : new ConnectionError(`${this.url}: ${error?.message}`, error);
+		} finally {
+			clearTimeout(timer);
+		};
+	}
+
+	/**
+	 * POST a payload, retrying transient failures.
+	 *
+	 * @async
+	 * @param {Object} payload - JSON-serializable payload.
+	 * @param {function({time: Date, status?: number, error?: string}): void} [report] - Called after every attempt with its outcome.
+	 * @returns {Promise<number>} The HTTP status of the successful attempt.
+	 * @throws {TimeoutError} If the last attempt timed out.
+	 * @throws {ConnectionError} If the webhook refused the payload or could not be reached.
+	 */
+	async send(payload, report = undefined) {
+		let body = JSON.stringify(payload);
+		const log = (outcome) => ((typeof(report)).includes(`func`)) && report({"time": new Date(), ...outcome});
+
+		for (let attempt = 0; ; attempt++) {
+			try {
+				let status = await this.#attempt(body);
+				log({"status": status});
+				return status;
+			} catch(error) {
+				log({...((error?.status) ? {"status": error.status} : {}), "error": error?.message});
+				if (!(StockFetcher.transient(error)) || attempt >= this.options.retries) {throw error};
+
+				await new Promise((resolve) => setTimeout(resolve, Math.round(Math.random() * this.options.backoff * (2 ** attempt))));
+			};
+		};
+	}
+}
+
+module.exports = WebhookSender;
@@ -0,0 +1,202 @@
+const fs = require(`fs`)
+const path = require(`path`)
+const z = require(`zod`).z
+const config = require(`../config.js`)
+
+/**
+ * Key-value storage adapter kept entirely in memory.
+ *
+ * This is the reference implementation of the storage interface used by the managers:
+ * - list(): every stored value
+ * - keys(): every stored key
+ * - get(key): a single value, or undefined
+ * - put(key, value): insert or replace a value
+ * - delete(key): remove a value
+ *
+ * Contents are lost when the process exits.
+ *
+ * @class MemoryStorage
+ */
+class MemoryStorage {
+	/**
+	 * Internal map of key -> value.
+	 * @type {Map<string, any>}
+	 * @private
+	 */
+	#records = new Map()
+
+	/**
+	 * Create an empty in-memory storage.
+	 * @constructor
+	 */
+	constructor() {}
+
+	/**
+	 * Return every stored value.
+	 * @returns {any[]}
+	 */
+	list() {
+		return Array.from(this.#records.values())
+	}
+
+	/**
+	 * Return every stored key.
+	 * @returns {string[]}
+	 */
+	keys() {
+		return Array.from(this.#records.keys())
+	}
+
+	/**
+	 * Return the value stored for a key.
+	 * @param {string} key - Key to look up.
+	 * @returns {any|undefined} The stored value, or undefined if the key is unknown.
+	 */
+	get(key) {
+		return this.#records.get(String(key))
+	}
+
+	/**
+	 * Insert or replace the value stored for a key.
+	 * @param {string} key - Key to store the value under.
+	 * @param {any} value - Value to store.
+	 * @returns {any} The stored value.
+	 */
+	put(key, value) {
+		this.#records.set(String(key), value)
+		return value
+	}
+
+	/**
+	 * Remove the value stored for a key.
+	 * @param {string} key - Key to remove.
+	 * @returns {boolean} True if a value was removed.
+	 */
+	delete(key) {
+		return this.#records.delete(String(key))
+	}
+}
+
+/**
+ * Key-value storage adapter persisted as a JSON file.
+ *
+ * Values are kept in memory for reads and the whole file is rewritten after every change, going through a temporary file so an interrupted write never leaves a truncated document behind.
+ * Because values are often class instances, callers can provide `serialize` and `deserialize` functions that convert them to and from plain JSON.
+ *
+ * @class FileStorage
+ * @extends MemoryStorage
+ */
+class FileStorage extends MemoryStorage {
+	/**
+	 * Location of the JSON document.
+	 * @type {string}
+	 */
+	path;
+
+	/**
+	 * Converts a stored value into something JSON.stringify can handle.
+	 * @type {function(any): any}
+	 */
+	serialize = (value) => value;
+
+	/**
+	 * Converts a parsed JSON record back into a stored value.
+	 * @type {function(any): any}
+	 */
+	deserialize = (record) => record;
+
+	/**
+	 * Create a file-backed storage and load any existing document.
+	 *
+	 * @constructor
+	 * @param {Object} options
+	 * @param {string} options.path - Location of the JSON document; parent directories are created as needed.
+	 * @param {function(any): any} [options.serialize] - Value -> JSON converter.
+	 * @param {function(any): any} [options.deserialize] - JSON -> value converter.
+	 */
+	constructor(options) {
+		super();
+		this.path = z.string().parse(options?.path);
+		(typeof(options?.serialize)).includes(`func`) && (this.serialize = options.serialize);
+		(typeof(options?.deserialize)).includes(`func`) && (this.deserialize = options.deserialize);
+		this.load();
+	}
+
+	/**
+	 * (Re)load the document from disk, replacing any value held in memory.
+	 * A missing file is treated as empty storage.
+	 *
+	 * @returns {number} Number of records loaded.
+	 * @throws {SyntaxError} If the document exists but is not valid JSON.
+	 */
+	load() {
+		super.keys().forEach((key) => super.delete(key));
+		if (!(fs.existsSync(this.path))) {return 0};
+
+		let records = JSON.parse(fs.readFileSync(this.path, `utf8`) || `{}`);
+		Object.entries(records).forEach(([key, record]) => super.put(key, this.deserialize(record)));
+		return super.keys().length;
+	}
+
+	/**
+	 * Write every record to disk.
+	 * @private
+	 */
+	#save() {
+		fs.mkdirSync(path.dirname(this.path), {"recursive": true});
+		let document = Object.fromEntries(super.keys().map((key) => [key, this.serialize(super.get(key))]));
+		fs.writeFileSync(`${this.path}.tmp`, JSON.stringify(document, null, `\t`));
+		fs.renameSync(`${this.path}.tmp`, this.path);
+	}
+
+	/**
+	 * Insert or replace the value stored for a key, then persist.
+	 * @param {string} key - Key to store the value under.
+	 * @param {any} value - Value to store.
+	 * @returns {any} The stored value.
+	 */
+	put(key, value) {
+		super.put(key, value);
+		this.#save();
+		return value;
+	}
+
+	/**
+	 * Remove the value stored for a key, then persist.
+	 * @param {string} key - Key to remove.
+	 * @returns {boolean} True if a value was removed.
+	 */
+	delete(key) {
+		let deleted = super.delete(key);
+		deleted && this.#save();
+		return deleted;
+	}
+}
+
+/**
+ * Registered storage adapters, keyed by the name used in the configuration.
+ * @constant {Object.<string, Function>}
+ */
+const Storages = {
+	"memory": MemoryStorage,
+	"file": FileStorage
+}
+
+/**
+ * Create the storage adapter selected by the configuration.
+ *
+ * @param {string} name - Name of the collection (e.g. `watchers`); the `file` adapter stores it as `<name>.json` in the configured directory.
+ * @param {Object} [options] - Extra options forwarded to the adapter (e.g. serialize/deserialize).
+ * @param {string} [type] - Adapter to use instead of the configured one.
+ * @returns {MemoryStorage|FileStorage} The storage adapter.
+ */
+function create(name, options = {}, type = config.storage.type) {
+	return new (z.enum(Object.keys(Storages)).transform((key) => Storages[key]).parse(type))({
+		"path": path.join(config.storage.directory, `${name}.json`),
+		...options
+	});
+}
+
+module.exports = {
+	MemoryStorage, FileStorage, Storages, create
+}
@@ -65,4 +65,7 @@ const listener = app.listen(process.env.PORT || 3000, function () {
   }
 });
 
+//WebSocket API, sharing the HTTP server
+apiRoutes.sockets(listener);
+
 module.exports = app; //for testing
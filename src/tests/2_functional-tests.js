@@ -3,8 +3,35 @@ const chai = require('chai');
 const assert = chai.assert;
 const server = require('../server');
 const z = require(`zod`).z;
+const http = require(`http`);
+const crypto = require(`crypto`);
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+const {spawnSync} = require(`child_process`);
+const {mock} = require(`node:test`);
+const express = require(`express`);
+const EventEmitter = require(`events`);
+const {WebSocket, WebSocketServer} = require(`ws`);
 
-const StockSybmolRegex = require(`../scripts/data/stock.js`).StockSybmolRegex;
+const {StockSybmolRegex, StockQuote} = require(`../scripts/data/stock.js`);
+const {AlertRule} = require(`../scripts/data/alert.js`);
+const StockManager = require(`../scripts/manager/stockmanager.js`);
+const StockFetcher = require(`../scripts/net/outgoing/fetch.js`);
+const {FixtureProvider} = require(`../scripts/net/outgoing/providers.js`);
+const {CircuitBreaker, CircuitOpenError} = require(`../scripts/net/outgoing/breaker.js`);
+const {NotFoundError, ConnectionError, TimeoutError} = require(`common-errors`);
+const Routes = require(`../scripts/manager/routes.js`);
+const OutputProcessor = require(`../scripts/net/incoming/input-output.js`).OutputProcessor;
+const {RateLimiter} = require(`../scripts/net/incoming/limiter.js`);
+const {MemoryStorage, FileStorage} = require(`../scripts/storage/storage.js`);
+const {Managers, ManagersBatchResult} = require(`../scripts/manager/managers.js`);
+const StockStream = require(`../scripts/net/incoming/stream.js`);
+const StockSocket = require(`../scripts/net/incoming/socket.js`);
+const AlertManager = require(`../scripts/manager/alertmanager.js`);
+const WebhookSender = require(`../scripts/net/outgoing/webhook.js`);
+const Anonymizer = require(`../scripts/net/incoming/anonymizer.js`);
+const {IdentityResolver, AuthenticationError} = require(`../scripts/net/incoming/identity.js`);
 
 chai.use(chaiHttp);
 
@@ -129,5 +156,1119 @@ let symbol = [`DIS`, `NKE`];
                 }
             );
         return done();
-    })
-});
\ No newline at end of file
+    });
+    test(`Persisting records to a file: FileStorage`, () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), `stocks-`));
+        const file = path.join(directory, `nested`, `records.json`);
+        const options = {"path": file, "serialize": (value) => ({...value, "when": value.when.toISOString()}), "deserialize": (record) => ({...record, "when": new Date(record.when)})};
+
+        try {
+            let storage = new FileStorage(options);
+            storage.put(`a`, {"name": `first`, "when": new Date(0)});
+            storage.put(`b`, {"name": `second`, "when": new Date(1000)});
+            storage.delete(`a`);
+            assert.deepEqual(fs.readdirSync(path.dirname(file)), [`records.json`], `The temporary file should be renamed over the document.`);
+
+            let reloaded = new FileStorage(options);
+            assert.deepEqual(reloaded.keys(), [`b`], `Records should survive a restart, deletions included.`);
+            assert.instanceOf(reloaded.get(`b`).when, Date, `Records should be deserialized when loaded.`);
+            assert.equal(reloaded.get(`b`).when.getTime(), 1000);
+        } finally {
+            fs.rmSync(directory, {"recursive": true, "force": true});
+        };
+    });
+    test(`Anonymizing requester addresses: Anonymizer`, async () => {
+        const anonymizer = new Anonymizer({"secret": `s3cret`, "ipv4": 24, "ipv6": 48});
+        assert.equal(anonymizer.truncate(`203.0.113.7`), `203.0.113.0`);
+        assert.equal(anonymizer.truncate(`::ffff:203.0.113.7`), `203.0.113.0`, `IPv4-mapped addresses should be truncated as IPv4.`);
+        assert.equal(anonymizer.truncate(`2001:db8:1:2::1`), `2001:db8:1:0:0:0:0:0`);
+
+        let pseudonym = anonymizer.anonymize(`203.0.113.7`);
+        assert.match(pseudonym, /^[0-9a-f]{64}$/);
+        assert.equal(anonymizer.anonymize(`203.0.113.200`), pseudonym, `Addresses of the same network should share a pseudonym.`);
+        assert.notEqual(anonymizer.anonymize(`203.0.114.7`), pseudonym);
+        assert.notEqual(new Anonymizer({"secret": `other`, "ipv4": 24}).anonymize(`203.0.113.7`), pseudonym, `Pseudonyms should depend on the secret.`);
+        assert.isUndefined(anonymizer.previous(`203.0.113.7`), `Without rotation there is no previous pseudonym.`);
+
+        // a like recorded during the previous period is carried over to the current pseudonym
+        const rotating = new Anonymizer({"secret": `s3cret`, "rotation": 3600000});
+        const routes = new Routes(rotating);
+        const request = {"query": {"stock": `AAPL`}, "headers": {}, "ip": `192.0.2.60`};
+        assert.notEqual(rotating.previous(request.ip), rotating.anonymize(request.ip));
+
+        await routes._manager.watch(`AAPL`, rotating.previous(request.ip));
+        let liked = await routes.watch(request);
+        assert.lengthOf(liked.watchers, 1, `The like of the previous period should still count once.`);
+        assert.equal(liked.watchers[0].address, rotating.anonymize(request.ip));
+    });
+    test(`Expiring cached quotes: StockManager`, async () => {
+        const wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+        /**
+         * Build a StockManager whose downloads return the number of downloads so far as the price.
+         *
+         * @param {boolean} stale - Whether expired quotes are served while they are refreshed.
+         * @returns {{manager: StockManager, downloads: function(): number}} The manager and a download counter.
+         */
+        const counting = (stale) => {
+            let count = 0;
+            const manager = new StockManager({"ttl": 50, "stale": stale, "provider": `fixture`});
+            manager.callbacks.fetch = async (symbol) => new StockQuote({"symbol": symbol, "latestPrice": ++count});
+            return {"manager": manager, "downloads": () => count};
+        };
+
+        let fresh = counting(false);
+        assert.equal((await fresh.manager.fetch(`AAPL`)).latestPrice, 1);
+        assert.equal((await fresh.manager.fetch(`AAPL`)).latestPrice, 1, `A quote younger than the ttl should be served from the cache.`);
+        await wait(60);
+        assert.isTrue(fresh.manager.expired(`AAPL`));
+        assert.equal((await fresh.manager.fetch(`AAPL`)).latestPrice, 2, `An expired quote should be downloaded again.`);
+
+        let stale = counting(true);
+        await stale.manager.fetch(`AAPL`);
+        await wait(60);
+        assert.equal((await stale.manager.fetch(`AAPL`)).latestPrice, 1, `An expired quote should be served while it is refreshed.`);
+        assert.equal(stale.downloads(), 2, `The refresh should have started.`);
+        await wait(0);
+        assert.equal((await stale.manager.fetch(`AAPL`)).latestPrice, 2, `The refreshed quote should be served next.`);
+    });
+    test(`Reading quotes from fixture files: FixtureProvider`, async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), `fixtures-`));
+        fs.writeFileSync(path.join(directory, `ZZZZ.json`), JSON.stringify({"symbol": `ZZZZ`, "latestPrice": 12.5, "change": -0.5}));
+        fs.writeFileSync(path.join(directory, `BAD.json`), `{not json`);
+        const provider = new FixtureProvider({"fixtures": directory});
+        /**
+         * Fetch a symbol through the provider, without retries and with a breaker of its own.
+         *
+         * @param {string} symbol - Symbol to fetch.
+         * @returns {Promise<StockQuote>} The quote.
+         */
+        const read = (symbol) => new StockFetcher(symbol, provider, {"retries": 0, "breaker": new CircuitBreaker()}).fetch(false);
+
+        try {
+            assert.equal(provider.source(`../ZZZZ`), path.join(directory, `ZZZZ.json`), `Fixture paths should stay within the directory.`);
+            let quote = await read(`ZZZZ`);
+            assert.instanceOf(quote, StockQuote);
+            assert.include(quote, {"symbol": `ZZZZ`, "latestPrice": 12.5, "change": -0.5});
+
+            let missing = await read(`NONE`).catch((error) => error);
+            assert.instanceOf(missing, NotFoundError, `A symbol without fixture should be unknown.`);
+            let malformed = await read(`BAD`).catch((error) => error);
+            assert.instanceOf(malformed, ConnectionError, `An unreadable fixture should be reported as an upstream failure.`);
+        } finally {
+            fs.rmSync(directory, {"recursive": true, "force": true});
+        };
+    });
+    test(`Retrying and failing fast on upstream failures: StockFetcher`, async () => {
+        let calls = 0;
+        let outcomes = [];
+        // answers each request with the next scripted outcome: an error to throw, `hang` to wait until aborted, or a quote
+        const provider = {
+            "source": (symbol) => `scripted:${symbol}`,
+            "request": (symbol, options) => {
+                calls++;
+                let outcome = outcomes.shift();
+                if (outcome == `hang`) {return new Promise((resolve, reject) => options.signal.addEventListener(`abort`, () => reject(new Error(`aborted`))))};
+                return (outcome instanceof Error) ? Promise.reject(outcome) : Promise.resolve({"symbol": symbol, "latestPrice": 10});
+            }
+        };
+        const breaker = new CircuitBreaker({"threshold": 2, "cooldown": 50});
+        const read = (retries) => new StockFetcher(`AAPL`, provider, {"timeout": 20, "retries": retries, "backoff": 1, "breaker": breaker}).fetch(false);
+
+        outcomes = [new ConnectionError(`reset`), `quote`];
+        assert.equal((await read(1)).latestPrice, 10, `A transient failure should be retried.`);
+        assert.equal(calls, 2);
+        assert.equal(breaker.state, `closed`);
+
+        outcomes = [`hang`];
+        assert.instanceOf(await read(0).catch((error) => error), TimeoutError, `An attempt outliving the timeout should be aborted.`);
+        outcomes = [new ConnectionError(`reset`)];
+        await read(0).catch((error) => error);
+        assert.equal(breaker.state, `open`, `The breaker should open after two consecutive failures.`);
+
+        calls = 0;
+        let output = new OutputProcessor();
+        await output.execute(() => read(0));
+        assert.instanceOf(output.content.inner_error, CircuitOpenError);
+        assert.equal(output.status, 503, `Expected status code 503 but received ${output.status}`);
+        assert.equal(output.headers[`Retry-After`], `1`, `The client should be told when the breaker lets a trial call through.`);
+        assert.equal(calls, 0, `An open breaker should not let requests through.`);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        assert.equal(breaker.state, `half-open`);
+        outcomes = [`quote`];
+        await read(0);
+        assert.equal(breaker.state, `closed`, `A successful trial call should close the breaker.`);
+    });
+    test(`Sharing one download between concurrent reads: StockManager`, async () => {
+        let downloads = 0;
+        let release;
+        const manager = new StockManager({"provider": `fixture`});
+        manager.callbacks.fetch = async (symbol) => {
+            downloads++;
+            await new Promise((resolve) => (release = resolve));
+            return new StockQuote({"symbol": symbol, "latestPrice": 10});
+        };
+
+        let reads = [manager.fetch(`AAPL`), manager.fetch(`AAPL`)];
+        assert.deepEqual(manager.pending, [`AAPL`], `The download should be in flight.`);
+        release();
+        let [first, second] = await Promise.all(reads);
+        assert.equal(downloads, 1, `Concurrent reads of a symbol should share one download.`);
+        assert.strictEqual(first, second);
+        assert.deepEqual(manager.pending, [], `Finished downloads should not be shared any more.`);
+    });
+    test(`Viewing one stock and taking the like back: DELETE request to /api/stock-prices/`, (done) => {
+        let symbol = "DIS";
+        chai.request(server).keepOpen()
+            .delete(`/api/stock-prices`)
+            .query({"stock": symbol})
+            .end(
+                /**
+                 * Handles the response from the DELETE request to `/api/stock-prices`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isObject(res.body?.stockData, `The response object must be contained within a stockData key; it’s currently a ${typeof(res.body?.stockData)}.`);
+                    assert.include(res.body?.stockData?.stock, symbol, `The response involved a different symbol (${res.body?.stockData?.stock}) than configured (${symbol}).`);
+                    assert.equal(res.body?.stockData?.likes, 0, `The like should have been taken back; ${res.body?.stockData?.likes} remain.`);
+                    done();
+                }
+            );
+    });
+    test(`Comparing three stocks: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`AAPL`, `GOOG`, `MSFT`]})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.deepEqual(res.body?.stockData?.map((stock) => stock.stock), [`AAPL`, `GOOG`, `MSFT`], `Every symbol should be compared, in request order.`);
+                    res.body.stockData.forEach((stock) => {
+                        assert.isNumber(stock?.price);
+                        assert.isNumber(stock?.rel_likes);
+                    });
+                    done();
+                }
+            );
+    });
+    test(`Comparing likes against the other stocks: GET request to /api/stock-prices/`, async () => {
+        const routes = new Routes();
+        const request = (stock, ip) => ({"query": {"stock": stock}, "headers": {}, "ip": ip});
+        await routes.watch(request(`AAPL`, `192.0.2.50`));
+        await routes.watch(request(`AAPL`, `192.0.2.51`));
+        await routes.watch(request(`GOOG`, `192.0.2.50`));
+
+        let output = new OutputProcessor();
+        let response = await output.execute(() => routes.any(request([`AAPL`, `GOOG`, `MSFT`], `192.0.2.52`)));
+        assert.equal(output.status, 200, `Expected status code 200 but received ${output.status}`);
+        // 2, 1 and 0 likes, each compared with the mean of the other two
+        assert.deepEqual(response?.stockData?.map((stock) => stock.rel_likes), [1.5, 0, -1.5]);
+    });
+    test(`Comparing too many stocks: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`AAPL`, `DIS`, `GOOG`, `MSFT`, `NKE`, `IBM`]})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices` with one symbol more than `comparison.max`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+                    assert.isObject(res.body?.error, `The error must be contained within an error key.`);
+                    done();
+                }
+            );
+    });
+    test(`Viewing an unknown stock: GET request to /api/stock-prices/`, (done) => {
+        let symbol = "ZZZZZ";
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": symbol})
+            .set(`Accept`, `application/problem+json`)
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 404, `Expected status code 404 but received ${res.status}`);
+                    assert.include(res.type, `application/problem+json`, `Expected problem details but received ${res.type}`);
+                    assert.equal(res.body?.status, 404, `The problem details should repeat the status code; received ${res.body?.status}.`);
+                    assert.isString(res.body?.title, `The problem details must have a title; it’s currently a ${typeof(res.body?.title)}.`);
+                    done();
+                }
+            );
+    });
+    test(`Viewing several stocks at once: POST request to /api/stock-prices/batch`, (done) => {
+        let symbol = [`DIS`, `NKE`, `ZZZZZ`];
+        chai.request(server).keepOpen()
+            .post(`/api/stock-prices/batch`)
+            .send(symbol)
+            .end(
+                /**
+                 * Handles the response from the POST request to `/api/stock-prices/batch`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.stockData, `The response array must be contained within a stockData key; it’s currently a ${typeof(res.body?.stockData)}.`);
+                    assert.lengthOf(res.body.stockData, symbol.length, `Expected one entry per symbol but received ${res.body.stockData.length}.`);
+                    res.body.stockData.slice(0, 2).forEach((stock, index) => {
+                        assert.equal(stock?.stock, symbol[index]);
+                        assert.isNumber(stock?.price);
+                        assert.isNumber(stock?.likes);
+                    });
+                    assert.isObject(res.body.stockData[2]?.error, `The unknown symbol should carry its own error.`);
+                    done();
+                }
+            );
+    });
+    test(`Viewing the recorded prices of a stock: GET request to /api/stock-prices/history`, (done) => {
+        let symbol = "DIS";
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices/history`)
+            .query({"stock": symbol})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices/history`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.equal(res.body?.stockData?.stock, symbol, `The response involved a different symbol (${res.body?.stockData?.stock}) than configured (${symbol}).`);
+                    assert.isArray(res.body?.stockData?.history, `The recorded prices must be contained within a history array; it’s currently a ${typeof(res.body?.stockData?.history)}.`);
+                    res.body.stockData.history.forEach((point) => {
+                        assert.isNumber(point?.latestPrice);
+                        assert.isString(point?.latestTime);
+                    });
+                    done();
+                }
+            );
+    });
+    test(`Viewing the most liked stocks: GET request to /api/stock-prices/popular`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices/popular`)
+            .query({"limit": 5})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices/popular`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.stockData, `The ranking must be contained within a stockData key; it’s currently a ${typeof(res.body?.stockData)}.`);
+                    assert.isAtMost(res.body.stockData.length, 5, `The ranking should respect the limit; received ${res.body.stockData.length} entries.`);
+                    assert.isNumber(res.body?.total, `The ranking total doesn’t appear to be a number; it’s currently a ${typeof(res.body?.total)}.`);
+                    res.body.stockData.forEach((stock, index, ranking) => {
+                        assert.isString(stock?.stock);
+                        assert.isNumber(stock?.likes);
+                        index && assert.isAtMost(stock.likes, ranking[index - 1].likes, `The ranking should be sorted by likes.`);
+                    });
+                    done();
+                }
+            );
+    });
+    test(`Registering a price alert: POST request to /api/alerts`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/alerts`)
+            .send({"stock": `AAPL`, "condition": `above`, "value": 0})
+            .end(
+                /**
+                 * Handles the response from the POST request to `/api/alerts`; the condition already holds, so the rule fires at once. Then checks the delivery log and removes the rule.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.alerts, `The rule must be contained within an alerts key; it’s currently a ${typeof(res.body?.alerts)}.`);
+                    let rule = res.body.alerts[0];
+                    assert.include(rule, {"stock": `AAPL`, "condition": `above`, "value": 0, "armed": false});
+
+                    requester.get(`/api/alerts/deliveries`).query({"alert": rule.id}).end((err, res) => {
+                        assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                        assert.isArray(res.body?.deliveries, `The log must be contained within a deliveries key; it’s currently a ${typeof(res.body?.deliveries)}.`);
+                        assert.lengthOf(res.body.deliveries, 1, `The rule should have fired once.`);
+                        assert.equal(res.body.deliveries[0].stock, `AAPL`);
+
+                        requester.delete(`/api/alerts/${rule.id}`).end((err, res) => {
+                            assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                            assert.equal(res.body?.alerts?.[0]?.id, rule.id);
+                            requester.close();
+                            done();
+                        });
+                    });
+                }
+            );
+    });
+    test(`Adding a stock to a named watchlist: POST request to /api/watchlists/:name/stocks`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/watchlists`)
+            .send({"name": `tech`})
+            .end((err, res) => {
+                assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                assert.deepInclude(res.body?.watchlists, {"name": `tech`, "stock": []});
+
+                requester.post(`/api/watchlists/tech/stocks`).send({"stock": `msft`}).end(
+                    /**
+                     * Handles the response from the POST request to `/api/watchlists/tech/stocks`, then deletes the watchlist.
+                     *
+                     * @param {*} err - The error object, if any occurred during the request.
+                     * @param {*} res - The response object returned by the server.
+                     * @throws {AssertionError} If any of the assertions fail.
+                     */
+                    (err, res) => {
+                        assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                        assert.equal(res.body?.watchlist, `tech`);
+                        assert.lengthOf(res.body?.stockData, 1);
+                        assert.include(res.body.stockData[0], {"stock": `MSFT`});
+                        assert.isAtLeast(res.body.stockData[0].likes, 1, `A stock in a watchlist should count as a like.`);
+
+                        requester.delete(`/api/watchlists/tech`).end((err, res) => {
+                            assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                            assert.notDeepInclude(res.body?.watchlists, {"name": `tech`, "stock": [`MSFT`]}, `The watchlist should be deleted.`);
+                            requester.close();
+                            done();
+                        });
+                    }
+                );
+            });
+    });
+    test(`Creating a watchlist with a reserved name: POST request to /api/watchlists`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/watchlists`)
+            .send({"name": `__proto__`})
+            .end((err, res) => {
+                assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+
+                requester.post(`/api/watchlists`).send({"name": `constructor`}).end((err, res) => {
+                    assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+
+                    requester.get(`/api/watchlists`).end((err, res) => {
+                        assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                        assert.notInclude(res.body?.watchlists.map((list) => list.name), `constructor`, `A reserved name should never be stored.`);
+                        requester.close();
+                        done();
+                    });
+                });
+            });
+    });
+    test(`Spoofing X-Forwarded-For from an untrusted peer: GET request to /api/watchlists`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/watchlists`)
+            .set(`X-Forwarded-For`, `198.51.100.7`)
+            .send({"name": `forwarded`})
+            .end((err, res) => {
+                assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+
+                requester.get(`/api/watchlists`).set(`X-Forwarded-For`, `203.0.113.9`).end(
+                    /**
+                     * Handles the response from the GET request to `/api/watchlists`, then deletes the watchlist.
+                     *
+                     * @param {*} err - The error object, if any occurred during the request.
+                     * @param {*} res - The response object returned by the server.
+                     * @throws {AssertionError} If any of the assertions fail.
+                     */
+                    (err, res) => {
+                        assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                        assert.deepInclude(res.body?.watchlists, {"name": `forwarded`, "stock": []}, `The header of an untrusted peer should not change who the requester is.`);
+
+                        requester.delete(`/api/watchlists/forwarded`).end((err, res) => {
+                            assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                            requester.close();
+                            done();
+                        });
+                    }
+                );
+            });
+    });
+    test(`Taking likes back too often: DELETE request to /api/stock-prices/`, async () => {
+        const limiter = new RateLimiter({"reads": {"limit": 5, "window": 60000}, "likes": {"limit": 1, "window": 60000}}, new MemoryStorage());
+        const routes = new Routes(undefined, limiter);
+        const request = {"query": {"stock": `NKE`}, "headers": {}, "ip": `192.0.2.16`};
+
+        let first = new OutputProcessor();
+        await first.execute(() => routes.unwatch(request));
+        assert.equal(first.status, 200, `Expected status code 200 but received ${first.status}`);
+
+        let second = new OutputProcessor();
+        let response = await second.execute(() => routes.unwatch(request));
+        assert.equal(second.status, 429, `Expected status code 429 but received ${second.status}`);
+        assert.isAtLeast(Number(second.headers[`Retry-After`]), 1, `The Retry-After header should tell when to retry.`);
+        assert.isObject(response?.error, `The error must be contained within an error key.`);
+        limiter.close();
+    });
+    test(`Refusing a batch for its likes: POST request to /api/stock-prices/batch`, async () => {
+        const limiter = new RateLimiter({"reads": {"limit": 3, "window": 60000}, "likes": {"limit": 1, "window": 60000}}, new MemoryStorage());
+        const anonymizer = new Anonymizer();
+        const routes = new Routes(anonymizer, limiter);
+        const request = {"query": {}, "headers": {}, "ip": `192.0.2.17`};
+
+        let refused = new OutputProcessor();
+        await refused.execute(() => routes.batch({...request, "body": {"stock": [`AAPL`, `MSFT`], "like": true}}));
+        assert.equal(refused.status, 429, `Expected status code 429 but received ${refused.status}`);
+        assert.equal(limiter.peek(`reads`, anonymizer.anonymize(request.ip), 0)?.remaining, 3, `A refused batch should consume no reads.`);
+        limiter.close();
+    });
+    test(`Searching symbols without using up reads: GET request to /api/symbols`, async () => {
+        const limiter = new RateLimiter({"reads": {"limit": 3, "window": 60000}, "likes": {"limit": 1, "window": 60000}, "lookups": {"limit": 2, "window": 60000}}, new MemoryStorage());
+        const anonymizer = new Anonymizer();
+        const routes = new Routes(anonymizer, limiter);
+        const request = {"query": {"q": `app`}, "headers": {}, "ip": `192.0.2.19`};
+
+        for (let search = 1; search <= 2; search++) {
+            let output = new OutputProcessor();
+            await output.execute(() => routes.symbols(request));
+            assert.equal(output.status, 200, `Expected status code 200 but received ${output.status}`);
+        };
+        let refused = new OutputProcessor();
+        await refused.execute(() => routes.symbols(request));
+        assert.equal(refused.status, 429, `Expected status code 429 but received ${refused.status}`);
+        assert.equal(limiter.peek(`reads`, anonymizer.anonymize(request.ip), 0)?.remaining, 3, `Searches should consume no reads.`);
+        limiter.close();
+    });
+    test(`Subscribing and liking over a WebSocket: /api/stock-prices/socket`, async () => {
+        // own routes and limiter, so that the likes of the other tests do not count
+        const routes = new Routes(undefined, new RateLimiter(undefined, new MemoryStorage()));
+        const listener = http.createServer();
+        const sockets = new WebSocketServer({"server": listener, "path": `/api/stock-prices/socket`});
+        sockets.on(`connection`, (socket, request) => routes.socket(socket, request));
+        await new Promise((resolve) => listener.listen(0, resolve));
+        const client = new WebSocket(`ws://127.0.0.1:${listener.address().port}/api/stock-prices/socket`);
+        let messages = [];
+
+        try {
+            await new Promise((resolve, reject) => {
+                client.on(`error`, reject);
+                client.on(`open`, () => {
+                    client.send(JSON.stringify({"type": `subscribe`, "stock": `MSFT`, "id": 1}));
+                    // sent back to back: the replies must keep this order
+                    client.send(JSON.stringify({"type": `unlike`, "stock": `MSFT`, "id": 2}));
+                    client.send(JSON.stringify({"type": `like`, "stock": `MSFT`, "id": 3}));
+                    client.send(JSON.stringify({"type": `unlike`, "stock": `MSFT`, "id": 4}));
+                });
+                client.on(`message`, (data) => {
+                    messages.push(JSON.parse(String(data)));
+                    (messages.at(-1).id === 4) && resolve();
+                });
+            });
+        } finally {
+            client.close();
+            sockets.close();
+            listener.close();
+        };
+
+        let replies = messages.filter((message) => (message.id !== undefined) && (message.type != `quote`));
+        assert.deepEqual(replies.map((message) => [message.id, message.type]), [[1, `subscribed`], [2, `unliked`], [3, `liked`], [4, `unliked`]], `Replies should keep the order of the messages.`);
+        assert.deepEqual(replies[0].stock, [`MSFT`]);
+
+        let quote = messages.find((message) => message.type == `quote`);
+        assert.equal(quote?.id, 1, `The quote of a new subscription should answer it.`);
+        assert.equal(quote.stockData.stock, `MSFT`);
+        assert.isNumber(quote.stockData.price);
+
+        let likes = replies.map((message) => message.stockData?.likes);
+        assert.equal(likes[2], likes[1] + 1, `A like should add one to the count.`);
+        assert.equal(likes[3], likes[1], `An unlike should take it back.`);
+        assert.deepInclude(messages.filter((message) => message.type == `likes`).map((message) => message.stockData), {"stock": `MSFT`, "likes": likes[2]}, `Subscribers should be told of the new count.`);
+    });
+    /**
+     * Open a Server-Sent Events stream and collect its events.
+     *
+     * @param {string} url - URL of the stream.
+     * @param {number} count - Number of events to wait for.
+     * @returns {Promise<{response: import('http').IncomingMessage, request: import('http').ClientRequest, events: Object[]}>} The response, the request (left open) and the payloads of the events received.
+     */
+    const listen = (url, count) => new Promise((resolve, reject) => {
+        const request = http.get(url, (response) => {
+            let events = [];
+            let buffer = ``;
+            response.setEncoding(`utf8`);
+            response.on(`data`, (chunk) => {
+                buffer += chunk;
+                let blocks = buffer.split(`\n\n`);
+                buffer = blocks.pop();
+                blocks.map((block) => block.split(`\n`).find((line) => line.startsWith(`data: `))).filter(Boolean).forEach((line) => events.push(JSON.parse(line.slice(6))));
+                (events.length >= count) && resolve({"response": response, "request": request, "events": events});
+            });
+            response.on(`end`, () => resolve({"response": response, "request": request, "events": events}));
+        });
+        request.on(`error`, reject);
+    });
+    test(`Streaming live prices: GET request to /api/stock-prices/stream`, async () => {
+        const listener = http.createServer(server);
+        await new Promise((resolve) => listener.listen(0, resolve));
+
+        try {
+            let {response, request, events} = await listen(`http://127.0.0.1:${listener.address().port}/api/stock-prices/stream?stock=AAPL`, 1);
+            request.destroy();
+            assert.equal(response.statusCode, 200, `Expected status code 200 but received ${response.statusCode}`);
+            assert.include(response.headers[`content-type`], `text/event-stream`);
+            assert.equal(response.headers[`cache-control`], `no-cache`);
+            assert.equal(events[0]?.stockData?.stock, `AAPL`, `The current data of the symbol should be sent first.`);
+            assert.isNumber(events[0].stockData.price);
+        } finally {
+            listener.close();
+        };
+    });
+    test(`Streaming an invalid symbol: GET request to /api/stock-prices/stream`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices/stream`)
+            .query({"stock": `NOT A SYMBOL`})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices/stream`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+                    assert.include(res.headers[`content-type`], `json`, `Invalid symbols should get a regular error response.`);
+                    assert.isObject(res.body?.error);
+                    done();
+                }
+            );
+    });
+    test(`Refreshing and closing a stream: StockStream`, async () => {
+        const manager = new Managers();
+        const listener = http.createServer(express().get(`/`, (req, res) => {
+            let stream = new StockStream(manager, `GOOG`, {"heartbeat": 50});
+            req.on(`close`, () => stream.close());
+            stream.start(res);
+        }));
+        await new Promise((resolve) => listener.listen(0, resolve));
+
+        try {
+            // the initial event, then one pushed by a heartbeat although the cache ttl keeps quotes forever
+            let {request, events} = await listen(`http://127.0.0.1:${listener.address().port}/`, 2);
+            assert.deepEqual(events.map((event) => event.stockData?.stock), [`GOOG`, `GOOG`]);
+            assert.equal(manager.events.listenerCount(`quote`), 1);
+
+            request.destroy();
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            assert.equal(manager.events.listenerCount(`quote`), 0, `A closed stream should stop listening to quotes.`);
+        } finally {
+            listener.close();
+        };
+    });
+    /**
+     * Build a Managers whose downloads take `latency` mocked milliseconds, with a function letting mocked time pass in steps of that latency.
+     * Timers and dates must be mocked (see `mock.timers`) before the first download.
+     *
+     * @param {number} latency - Duration of a download in milliseconds.
+     * @returns {{manager: Managers, downloads: function(): number, elapse: function(number): Promise<void>}} The managers, a download counter and the time passer.
+     */
+    const downloading = (latency) => {
+        let count = 0;
+        const manager = new Managers();
+        manager.stocks.callbacks.fetch = async (symbol) => {
+            count++;
+            await new Promise((resolve) => setTimeout(resolve, latency));
+            return new StockQuote({"symbol": symbol, "latestPrice": count});
+        };
+        const elapse = async (milliseconds) => {
+            for (let elapsed = 0; elapsed < milliseconds; elapsed += latency) {
+                mock.timers.tick(latency);
+                await new Promise((resolve) => setImmediate(resolve));
+            };
+        };
+        return {"manager": manager, "downloads": () => count, "elapse": elapse};
+    };
+    test(`Refreshing streamed quotes at every heartbeat: StockStream`, async () => {
+        const {manager, downloads, elapse} = downloading(10);
+        const response = {"status": () => response, "set": () => response, "flushHeaders": () => {}, "write": () => true};
+        mock.timers.enable({"apis": [`setInterval`, `setTimeout`, `Date`], "now": Date.now()});
+        const stream = new StockStream(manager, `GOOG`, {"heartbeat": 1000});
+
+        try {
+            let started = stream.start(response);
+            await elapse(10);
+            await started;
+            assert.equal(downloads(), 1);
+            // each download ends a little after its heartbeat, so the quote is not quite a heartbeat old at the next one
+            for (let beat = 1; beat <= 3; beat++) {
+                await elapse(1000);
+                assert.equal(downloads(), 1 + beat, `Every heartbeat should download the quote once.`);
+            };
+        } finally {
+            stream.close();
+            mock.timers.reset();
+        };
+    });
+    test(`Refreshing subscribed quotes at every heartbeat: StockSocket`, async () => {
+        const {manager, downloads, elapse} = downloading(10);
+        // a connected client answering every ping
+        const client = Object.assign(new EventEmitter(), {"readyState": 1, "send": () => {}, "terminate": () => {}, "close": () => {}});
+        client.ping = () => client.emit(`pong`);
+        mock.timers.enable({"apis": [`setInterval`, `setTimeout`, `Date`], "now": Date.now()});
+        const socket = new StockSocket(new Routes(), manager, client, {"headers": {}}, {"heartbeat": 1000});
+
+        try {
+            let subscribed = socket.subscribe(`GOOG`);
+            await elapse(10);
+            await subscribed;
+            assert.equal(downloads(), 1);
+            for (let beat = 1; beat <= 3; beat++) {
+                await elapse(1000);
+                assert.equal(downloads(), 1 + beat, `Every heartbeat should download the quote once.`);
+            };
+        } finally {
+            socket.close();
+            mock.timers.reset();
+        };
+    });
+    test(`Charging and capping subscriptions: StockSocket`, async () => {
+        const limiter = new RateLimiter({"reads": {"limit": 3, "window": 60000}, "likes": {"limit": 1, "window": 60000}}, new MemoryStorage());
+        const anonymizer = new Anonymizer();
+        const routes = new Routes(anonymizer, limiter);
+        const client = Object.assign(new EventEmitter(), {"readyState": 1, "send": () => {}, "ping": () => {}, "terminate": () => {}, "close": () => {}});
+        const request = {"headers": {}, "socket": {"remoteAddress": `192.0.2.18`}};
+        const socket = new StockSocket(routes, routes._manager, client, request, {"symbols": 3});
+        const subscribe = async (stock) => {
+            let output = new OutputProcessor();
+            await output.execute(() => socket.subscribe(stock));
+            return output;
+        };
+
+        try {
+            assert.equal((await subscribe([`GOOG`, `MSFT`])).status, 200);
+            assert.equal((await subscribe(`GOOG`)).status, 200, `Symbols already subscribed should not be charged again.`);
+            assert.equal((await subscribe([`AAPL`, `NKE`])).status, 400, `The socket should not subscribe to more symbols than its cap.`);
+            assert.equal(limiter.peek(`reads`, anonymizer.anonymize(`192.0.2.18`), 0)?.remaining, 1, `Each new symbol should cost one read.`);
+
+            socket.unsubscribe(`MSFT`);
+            assert.equal((await subscribe(`AAPL`)).status, 200);
+            let refused = await subscribe(`NKE`);
+            assert.equal(refused.status, 429, `Expected status code 429 but received ${refused.status}`);
+            assert.deepEqual([...socket.symbols], [`GOOG`, `AAPL`], `A refused subscription should subscribe to nothing.`);
+        } finally {
+            socket.close();
+            limiter.close();
+        };
+    });
+    test(`Identifying requesters by API key and bearer token: IdentityResolver`, () => {
+        const resolver = new IdentityResolver({"strategies": [`key`, `token`, `ip`], "keys": [`k-123`], "secret": `s3cret`});
+        const request = (headers) => ({"ip": `192.0.2.30`, "headers": headers});
+
+        assert.equal(resolver.resolve(request({"x-api-key": `k-123`})), `key:k-123`);
+        assert.throws(() => resolver.resolve(request({"x-api-key": `k-456`})), AuthenticationError, `Unknown API key`);
+        assert.equal(resolver.resolve(request({"authorization": `Bearer ${resolver.sign(`alice`, 60)}`})), `token:alice`);
+        assert.equal(resolver.resolve(request({})), `192.0.2.30`, `Requests without credentials should fall back to their address.`);
+
+        let forged = new IdentityResolver({"strategies": [`token`], "secret": `other`}).sign(`alice`);
+        assert.throws(() => resolver.resolve(request({"authorization": `Bearer ${forged}`})), AuthenticationError, `bad signature`);
+        assert.throws(() => resolver.resolve(request({"authorization": `Bearer ${resolver.sign(`alice`, -10)}`})), AuthenticationError, `expired`);
+
+        let unsigned = [{"alg": `HS512`, "typ": `JWT`}, {"sub": `alice`}].map((part) => Buffer.from(JSON.stringify(part)).toString(`base64url`)).join(`.`);
+        let other = `${unsigned}.${crypto.createHmac(`sha256`, `s3cret`).update(unsigned).digest(`base64url`)}`;
+        assert.throws(() => resolver.resolve(request({"authorization": `Bearer ${other}`})), AuthenticationError, `unsupported algorithm`);
+
+        assert.throws(() => new IdentityResolver({"strategies": [`ip`, `key`], "keys": [`k-123`]}), /must come last/);
+    });
+    test(`Identifying requesters behind trusted proxies: IdentityResolver`, () => {
+        const resolver = new IdentityResolver({"strategies": [`ip`], "proxies": [`loopback`, `10.0.0.0/8`]});
+        const request = (ip, forwarded) => ({"ip": ip, "headers": {"x-forwarded-for": forwarded}});
+
+        assert.equal(resolver.resolve(request(`127.0.0.1`, `203.0.113.7, 10.1.2.3`)), `203.0.113.7`, `Trusted hops should be skipped from the right.`);
+        assert.equal(resolver.resolve(request(`127.0.0.1`, `198.51.100.99, 203.0.113.7, 10.1.2.3`)), `203.0.113.7`, `Hops left of the first untrusted one should be ignored.`);
+        assert.equal(resolver.resolve(request(`198.51.100.1`, `203.0.113.7`)), `198.51.100.1`, `Untrusted connections should not be believed.`);
+        assert.equal(resolver.resolve(request(`127.0.0.1`, `nonsense, 10.1.2.3`)), `10.1.2.3`, `A malformed hop should end the walk.`);
+    });
+    test(`Requiring credentials: GET request to /api/stock-prices/`, async () => {
+        const identity = new IdentityResolver({"strategies": [`token`], "secret": `s3cret`});
+        const routes = new Routes(undefined, new RateLimiter(undefined, new MemoryStorage()), identity);
+        const request = (headers) => ({"query": {"stock": `AAPL`}, "ip": `192.0.2.31`, "headers": headers});
+
+        let missing = new OutputProcessor();
+        await missing.execute(() => routes.any(request({})));
+        assert.equal(missing.status, 401, `Expected status code 401 but received ${missing.status}`);
+        assert.equal(missing.headers[`WWW-Authenticate`], `Bearer`);
+
+        let invalid = new OutputProcessor();
+        await invalid.execute(() => routes.any(request({"authorization": `Bearer nonsense`})));
+        assert.equal(invalid.status, 401, `Expected status code 401 but received ${invalid.status}`);
+        assert.equal(invalid.headers[`WWW-Authenticate`], `Bearer error="invalid_token"`);
+
+        let valid = new OutputProcessor();
+        let response = await valid.execute(() => routes.any(request({"authorization": `Bearer ${identity.sign(`alice`)}`})));
+        assert.equal(valid.status, 200, `Expected status code 200 but received ${valid.status}`);
+        assert.equal(response?.stockData?.stock, `AAPL`);
+    });
+    test(`Retrying a failed webhook delivery: GET request to /api/alerts/deliveries`, async () => {
+        let received = [];
+        const webhook = http.createServer((req, res) => {
+            req.resume();
+            received.push(req.headers[`content-type`]);
+            res.writeHead((received.length == 1) ? 503 : 204).end();
+        });
+        await new Promise((resolve) => webhook.listen(0, resolve));
+
+        const routes = new Routes(undefined, new RateLimiter(undefined, new MemoryStorage()));
+        routes._manager.alerts.sender = new WebhookSender(`http://127.0.0.1:${webhook.address().port}/hook`, {"timeout": 1000, "retries": 2, "backoff": 10});
+        const request = {"query": {}, "headers": {}, "ip": `192.0.2.40`};
+
+        try {
+            let delivered = new Promise((resolve) => routes._manager.events.once(`alert`, resolve));
+            let created = new OutputProcessor();
+            let rule = (await created.execute(() => routes.alert({...request, "body": {"stock": `AAPL`, "condition": `above`, "value": 0}})))?.alerts?.[0];
+            assert.equal(created.status, 200, `Expected status code 200 but received ${created.status}`);
+            await delivered;
+
+            let log = new OutputProcessor();
+            let response = JSON.parse(JSON.stringify(await log.execute(() => routes.deliveries({...request, "query": {"alert": rule.id}}))));
+            assert.equal(log.status, 200, `Expected status code 200 but received ${log.status}`);
+            assert.lengthOf(response.deliveries, 1);
+            assert.equal(response.deliveries[0].status, `delivered`);
+            assert.deepEqual(response.deliveries[0].attempts.map((attempt) => attempt.status), [503, 204], `The failed attempt should be retried and both logged.`);
+            assert.deepEqual(received, [`application/json`, `application/json`]);
+        } finally {
+            webhook.close();
+        };
+    });
+    test(`Carrying deliveries over to a new address: AlertManager`, async () => {
+        const alerts = new AlertManager({}, {"rules": new MemoryStorage(), "deliveries": new MemoryStorage()});
+        const quote = (await new Managers().read(`AAPL`)).stocks;
+
+        let rule = alerts.add({"symbol": `AAPL`, "condition": `above`, "value": 0}, `before`);
+        await alerts.notify(quote);
+        alerts.remove(rule.id, `before`);
+
+        assert.isTrue(alerts.rekey(`before`, `after`), `Deliveries should move even without rules.`);
+        assert.lengthOf(alerts.log({"address": `after`}), 1);
+        assert.lengthOf(alerts.log({"address": `before`}), 0);
+    });
+    test(`Viewing selected quote fields of two stocks: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`GOOG`, `MSFT`], "fields": `change,open`})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices` with selected fields.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.stockData);
+                    res.body.stockData.forEach((stock) => {
+                        assert.hasAllKeys(stock, [`stock`, `price`, `change`, `open`, `rel_likes`], `Only the selected fields should be added.`);
+                    });
+                    done();
+                }
+            );
+    });
+    test(`Viewing two stocks as CSV: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`GOOG`, `MSFT`], "format": `csv`})
+            .buffer(true)
+            .parse((res, callback) => {
+                let text = ``;
+                res.on(`data`, (chunk) => (text += chunk));
+                res.on(`end`, () => callback(null, text));
+            })
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices` rendered as CSV.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.include(res.headers[`content-type`], `text/csv`);
+                    let lines = res.body.trim().split(`\r\n`);
+                    assert.equal(lines[0], `stock,price,rel_likes`, `The first line should name the columns.`);
+                    assert.lengthOf(lines, 3, `There should be one line per stock.`);
+                    assert.match(lines[1], /^GOOG,/);
+                    done();
+                }
+            );
+    });
+    test(`Reading the OpenAPI document: GET request to /api/openapi.json`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/openapi.json`)
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/openapi.json`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.match(res.body?.openapi, /^3\./, `The document should be an OpenAPI 3 document.`);
+                    assert.includeMembers(Object.keys(res.body.paths), [`/api/stock-prices`, `/api/alerts/{id}`], `Every registered route should be listed.`);
+                    assert.property(res.body.components.schemas, `StockQuote`);
+                    done();
+                }
+            );
+    });
+    test(`Searching the symbol directory with a typo: GET request to /api/symbols`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/symbols`)
+            .query({"q": `microsft`})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/symbols`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.symbols);
+                    assert.equal(res.body.symbols[0]?.stock, `MSFT`, `The closest symbol should come first.`);
+                    assert.hasAllKeys(res.body.symbols[0], [`stock`, `name`, `exchange`]);
+                    done();
+                }
+            );
+    });
+    test(`Viewing a stock typed with an exchange prefix and in lower case: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": `nasdaq:msft`})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices` with a symbol needing normalization.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.equal(res.body?.stockData?.stock, `MSFT`, `The symbol should be read under its canonical form.`);
+                    done();
+                }
+            );
+    });
+    test(`Comparing spellings of the same stock: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`DIS`, `dis`, `NYSE:DIS`, `msft`]})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices`.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.deepEqual(res.body?.stockData?.map((stock) => stock.stock), [`DIS`, `MSFT`], `Each symbol should be compared once, whatever its spelling.`);
+                    done();
+                }
+            );
+    });
+    test(`Viewing two stocks in another currency: GET request to /api/stock-prices/`, (done) => {
+        chai.request(server).keepOpen()
+            .get(`/api/stock-prices`)
+            .query({"stock": [`GOOG`, `MSFT`], "currency": `eur`})
+            .end(
+                /**
+                 * Handles the response from the GET request to `/api/stock-prices` with converted prices.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.isArray(res.body?.stockData);
+                    res.body.stockData.forEach((stock) => {
+                        assert.include(stock, {"currency": `EUR`}, `The currency of the prices should be given.`);
+                        assert.isAbove(stock.rate, 0);
+                        assert.isString(stock.rateTimestamp, `The time of the rates should be given.`);
+                        assert.property(stock, `rel_likes`);
+                    });
+                    done();
+                }
+            );
+    });
+    test(`Recording a position and valuing the portfolio: POST request to /api/portfolio`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/portfolio`)
+            .send({"stock": `DIS`, "quantity": 10, "basis": 100})
+            .end(
+                /**
+                 * Handles the response from the POST request to `/api/portfolio`, then closes the position.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    assert.lengthOf(res.body?.portfolio, 1);
+                    let position = res.body.portfolio[0];
+                    assert.include(position, {"stock": `DIS`, "quantity": 10, "basis": 100, "cost": 1000});
+                    assert.closeTo(position.marketValue, position.price * 10, 0.001, `The market value should be quantity × price.`);
+                    assert.closeTo(position.unrealized, position.marketValue - 1000, 0.001);
+                    assert.deepInclude(res.body.total, {"cost": 1000, "marketValue": position.marketValue, "dayChange": position.dayChange});
+
+                    requester.delete(`/api/portfolio/DIS`).end((err, res) => {
+                        assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                        assert.lengthOf(res.body?.portfolio, 0, `The position should be closed.`);
+                        requester.close();
+                        done();
+                    });
+                }
+            );
+    });
+    test(`Recording an oversized position: POST request to /api/portfolio`, (done) => {
+        chai.request(server).keepOpen()
+            .post(`/api/portfolio`)
+            .send({"stock": `DIS`, "quantity": 1e308, "basis": 1e308})
+            .end(
+                /**
+                 * Handles the response from the POST request to `/api/portfolio` with a position whose cost would overflow.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+                    assert.isObject(res.body?.error, `The error must be contained within an error key.`);
+                    done();
+                }
+            );
+    });
+    test(`Valuing the portfolio in another currency: POST request to /api/portfolio`, (done) => {
+        const requester = chai.request(server).keepOpen();
+        requester
+            .post(`/api/portfolio`)
+            .query({"currency": `eur`})
+            .send({"stock": `NKE`, "quantity": 2, "basis": 50})
+            .end(
+                /**
+                 * Handles the response from the POST request to `/api/portfolio` in euros, then closes the position.
+                 *
+                 * @param {*} err - The error object, if any occurred during the request.
+                 * @param {*} res - The response object returned by the server.
+                 * @throws {AssertionError} If any of the assertions fail.
+                 */
+                (err, res) => {
+                    assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                    let position = res.body?.portfolio?.find((entry) => entry.stock == `NKE`);
+                    assert.equal(position?.currency, `EUR`, `The currency of the amounts should be given.`);
+                    assert.isAbove(position.rate, 0);
+                    assert.closeTo(position.basis, 50 * position.rate, 0.0001, `The cost basis should be converted too.`);
+                    assert.closeTo(position.cost, 2 * position.basis, 0.0001);
+
+                    requester.delete(`/api/portfolio/NKE`).query({"currency": `bogus`}).end((err, res) => {
+                        assert.equal(res.status, 400, `Expected status code 400 but received ${res.status}`);
+                        requester.delete(`/api/portfolio/NKE`).end((err, res) => {
+                            assert.equal(res.status, 200, `Expected status code 200 but received ${res.status}`);
+                            requester.close();
+                            done();
+                        });
+                    });
+                }
+            );
+    });
+    test(`Requiring an address secret with file storage: config`, () => {
+        /**
+         * Load the configuration in a separate process, with the given environment variables on top of the current ones.
+         *
+         * @param {Object<string, string>} variables - Environment variables to set.
+         * @returns {import("child_process").SpawnSyncReturns<string>} The finished process.
+         */
+        const load = (variables) => spawnSync(process.execPath, [`-e`, `require(${JSON.stringify(path.join(__dirname, `..`, `scripts`, `config.js`))})`], {"env": {...process.env, ...variables}, "encoding": `utf8`});
+
+        let refused = load({"STORAGE": `file`, "ADDRESS_SECRET": ``});
+        assert.notEqual(refused.status, 0, `File storage without an address secret should refuse to start.`);
+        assert.include(refused.stderr, `fixed address secret`);
+        assert.equal(load({"STORAGE": `file`, "ADDRESS_SECRET": `s3cret`}).status, 0);
+        assert.equal(load({"STORAGE": `memory`, "ADDRESS_SECRET": ``}).status, 0, `Memory storage can do with a random secret.`);
+    });
+    test(`Failing unexpectedly: OutputProcessor`, async () => {
+        const failing = () => {throw new TypeError(`secret internals`)};
+
+        let output = new OutputProcessor();
+        let response = await output.execute(failing);
+        assert.equal(output.status, 500, `Expected status code 500 but received ${output.status}`);
+        assert.isObject(response?.error, `The error must be contained within an error key.`);
+        assert.notInclude(JSON.stringify(response), `secret internals`, `Unknown errors should not leak their details.`);
+
+        let problem = new OutputProcessor().negotiate({"headers": {"accept": `application/problem+json`}, "query": {}});
+        response = await problem.execute(failing);
+        assert.equal(problem.type, `application/problem+json`);
+        assert.include(response, {"status": 500, "title": `Internal Server Error`});
+    });
+    test(`Failing unexpectedly for one symbol of a batch: OutputProcessor`, async () => {
+        const manager = new Managers();
+        let result = new ManagersBatchResult([
+            {"symbol": `AAPL`, "result": await manager.read(`AAPL`)},
+            {"symbol": `ZZZZZ`, "error": new NotFoundError(`ZZZZZ`)},
+            {"symbol": `MSFT`, "error": new TypeError(`secret internals`)}
+        ]);
+
+        let output = new OutputProcessor();
+        let response = await output.execute(() => result);
+        assert.equal(output.status, 200, `Expected status code 200 but received ${output.status}`);
+        assert.equal(response?.stockData?.[0]?.stock, `AAPL`, `The other symbols should still be answered.`);
+        assert.equal(response.stockData[1]?.error?.message, 404);
+        assert.equal(response.stockData[2]?.stock, `MSFT`);
+        assert.equal(response.stockData[2]?.error?.message, 500, `An unknown error should be reported as the 500 of its own entry.`);
+    });
+    test(`Checking change alerts against quotes without a change: AlertRule`, () => {
+        const rule = new AlertRule({"address": `192.0.2.70`, "symbol": `AAPL`, "condition": `change`, "value": 5});
+        assert.isTrue(rule.matches(new StockQuote({"symbol": `AAPL`, "changePercent": -0.06})), `A fall of 6 % should match a 5 % change alert.`);
+        assert.isFalse(rule.matches(new StockQuote({"symbol": `AAPL`, "changePercent": 0.01})));
+        assert.isFalse(rule.matches(new StockQuote({"symbol": `AAPL`, "changePercent": null})), `A quote without changePercent should not match.`);
+
+        assert.throws(() => new AlertRule({"address": `192.0.2.70`, "symbol": `AAPL`, "condition": `change`, "value": 0}), /positive percentage/);
+        assert.doesNotThrow(() => new AlertRule({"address": `192.0.2.70`, "symbol": `AAPL`, "condition": `below`, "value": 0}));
+    });
+    test(`Configuring aliases in any spelling: normalizeSymbol`, () => {
+        const stock = path.join(__dirname, `..`, `scripts`, `data`, `stock.js`);
+        const script = `const {normalizeSymbol} = require(${JSON.stringify(stock)}); console.log(JSON.stringify(${JSON.stringify([`nyse:fb`, `brk b`, `X`])}.map((symbol) => normalizeSymbol(symbol))))`;
+        let loaded = spawnSync(process.execPath, [`-e`, script], {"env": {...process.env, "SYMBOL_ALIASES": `NYSE:FB=meta, BRK-B=brk/a, X=nyse:x`}, "encoding": `utf8`});
+
+        assert.equal(loaded.status, 0, loaded.stderr);
+        assert.deepEqual(JSON.parse(loaded.stdout), [`META`, `BRK.A`, `X`], `Both sides of an alias should be normalized like requested symbols.`);
+    });
+});